@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// Audit trail of data-changing operations, stored in B4 (audit_log). Each
+// entry names who did what to which car, the values before and after the
+// change and the request that made it. The table is append-only: B4 rejects
+// updates and deletes of entries.
+
+const MAX_LIMIT = 500;
+const ACTION_PATTERN = /^[a-z_]+(\.[a-z_]*)?$/;
+
+// Metadata of the HTTP request making a change
+function auditRequest(req) {
+  return {
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || null,
+    requestId: req.get('X-Request-Id') || crypto.randomUUID()
+  };
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// The fields of `after` that differ from `before`, as { before, after } with
+// the old and new values of those fields only. Timestamps kept by the
+// database are left out.
+function diffValues(before, after, { ignore = ['updatedAt'] } = {}) {
+  const changed = { before: {}, after: {} };
+  for (const field of Object.keys(after)) {
+    if (ignore.includes(field)) continue;
+    const old = before ? before[field] : undefined;
+    if (!sameValue(old, after[field])) {
+      changed.before[field] = old === undefined ? null : old;
+      changed.after[field] = after[field];
+    }
+  }
+  return changed;
+}
+
+function isTimestamp(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(new Date(value).getTime());
+}
+
+// Validate the filters of an audit log query. Returns a list of
+// { field, message }.
+function validateAuditQuery(query) {
+  const errors = [];
+  const { action, from, to, limit, beforeId } = query;
+  if (action !== undefined && !ACTION_PATTERN.test(action)) {
+    errors.push({ field: 'action', message: 'action must be an action such as "reservation.cancel", or a prefix such as "reservation."' });
+  }
+  if (from !== undefined && !isTimestamp(from)) {
+    errors.push({ field: 'from', message: 'from must be an ISO 8601 date or timestamp' });
+  }
+  if (to !== undefined && !isTimestamp(to)) {
+    errors.push({ field: 'to', message: 'to must be an ISO 8601 date or timestamp' });
+  } else if (to !== undefined && from !== undefined && isTimestamp(from) && new Date(to) < new Date(from)) {
+    errors.push({ field: 'to', message: 'to must not be before from' });
+  }
+  if (limit !== undefined && !(/^\d+$/.test(limit) && Number(limit) >= 1 && Number(limit) <= MAX_LIMIT)) {
+    errors.push({ field: 'limit', message: `limit must be an integer from 1 to ${MAX_LIMIT}` });
+  }
+  if (beforeId !== undefined && !(/^\d+$/.test(beforeId) && Number(beforeId) >= 1)) {
+    errors.push({ field: 'beforeId', message: 'beforeId must be a positive integer' });
+  }
+  return errors;
+}
+
+// Entry of a B4 audit_log row
+function formatAuditEntry(row) {
+  return {
+    auditId: Number(row.id),
+    occurredAt: row.occurred_at,
+    actor: row.actor,
+    actorRole: row.actor_role,
+    action: row.action,
+    licensePlate: row.license_plate,
+    target: row.target_type === null ? null : { type: row.target_type, id: row.target_id },
+    before: row.before_values,
+    after: row.after_values,
+    request: row.request
+  };
+}
+
+module.exports = {
+  MAX_LIMIT,
+  auditRequest,
+  diffValues,
+  validateAuditQuery,
+  formatAuditEntry
+};
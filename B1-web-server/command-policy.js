@@ -0,0 +1,98 @@
+const { haversineDistance, isValidPoint } = require('../shared/geo');
+const { sameEmail } = require('../shared/auth');
+
+// Safety interlocks evaluated against the car's latest B3 telemetry and
+// B4 rental status before a command is dispatched.
+
+const DEFAULTS = {
+  // Telemetry older than this cannot prove the car is safe to command
+  maxTelemetryAgeSeconds: 300,
+  // Requester must be this close to the car to unlock it (when location is sent)
+  maxUnlockDistanceMeters: 200
+};
+
+// Commands whose rules rely on up-to-date telemetry
+const TELEMETRY_REQUIRED = ['unlock_doors', 'start_engine', 'stop_engine'];
+
+function isMoving(telemetry) {
+  return typeof telemetry.speed === 'number' && telemetry.speed > 0;
+}
+
+// The requester is the current renter by account email, the identity car
+// access is granted by; names and phone numbers are not unique
+function isRenter(rental, requester) {
+  return Boolean(requester) && sameEmail(requester.email, rental.current_renter_email);
+}
+
+const RULES = {
+  unlock_doors: [
+    ({ telemetry }) => isMoving(telemetry) && {
+      code: 'VEHICLE_MOVING',
+      message: `Doors cannot be unlocked while the car is moving (${telemetry.speed} km/h)`
+    },
+    ({ telemetry, requesterLocation, options }) => {
+      if (!requesterLocation || !isValidPoint(telemetry.gps)) return null;
+      const distance = haversineDistance(requesterLocation, telemetry.gps);
+      return distance > options.maxUnlockDistanceMeters && {
+        code: 'REQUESTER_TOO_FAR',
+        message: `Requester is ${Math.round(distance)} m from the car, must be within ${options.maxUnlockDistanceMeters} m to unlock`
+      };
+    }
+  ],
+  start_engine: [
+    ({ rental, requester }) => rental && rental.is_available === false && !isRenter(rental, requester) && {
+      code: 'RENTED_TO_OTHER',
+      message: 'Car is currently rented to someone else'
+    },
+    ({ telemetry }) => telemetry.engineStatus === 'running' && {
+      code: 'ENGINE_RUNNING',
+      message: 'Engine is already running'
+    }
+  ],
+  stop_engine: [
+    ({ telemetry }) => isMoving(telemetry) && {
+      code: 'VEHICLE_MOVING',
+      message: `Engine cannot be stopped remotely while the car is moving (${telemetry.speed} km/h)`
+    }
+  ]
+};
+
+// Evaluate the interlocks for a command.
+// Returns { allowed, reasons: [{ code, message }] }.
+function evaluateCommandPolicy({ command, telemetry, rental, requester, requesterLocation, now = new Date(), options = {} }) {
+  const settings = { ...DEFAULTS, ...options };
+  const rules = RULES[command] || [];
+  const reasons = [];
+
+  if (TELEMETRY_REQUIRED.includes(command)) {
+    if (!telemetry) {
+      return {
+        allowed: false,
+        reasons: [{ code: 'TELEMETRY_UNAVAILABLE', message: 'No telemetry received from the car, its state cannot be verified' }]
+      };
+    }
+
+    const ageSeconds = (now - new Date(telemetry.timestamp)) / 1000;
+    if (ageSeconds > settings.maxTelemetryAgeSeconds) {
+      return {
+        allowed: false,
+        reasons: [{ code: 'TELEMETRY_STALE', message: `Latest telemetry is ${Math.round(ageSeconds)} s old, the car's state cannot be verified` }]
+      };
+    }
+
+    if (typeof telemetry.speed !== 'number') {
+      reasons.push({ code: 'SPEED_UNKNOWN', message: 'Car did not report its speed' });
+    }
+  }
+
+  for (const rule of rules) {
+    const reason = rule({ telemetry: telemetry || {}, rental, requester, requesterLocation, options: settings });
+    if (reason) reasons.push(reason);
+  }
+
+  return { allowed: reasons.length === 0, reasons };
+}
+
+module.exports = {
+  evaluateCommandPolicy
+};
@@ -0,0 +1,125 @@
+const cronParser = require('cron-parser');
+
+// Runs scheduled car commands stored in B3 (command_schedules). Schedules are
+// either one-off (runAt) or recurring (cron expression in a timezone). The
+// next run time is persisted, so schedules survive restarts.
+
+// Validate a cron expression and timezone. Returns an error message or null.
+function validateCron(cron, timezone) {
+  try {
+    // The timezone is only checked when a date is computed
+    cronParser.parseExpression(cron, { tz: timezone }).next();
+    return null;
+  } catch (error) {
+    return `Invalid cron expression or timezone: ${error.message}`;
+  }
+}
+
+// Next run time of a schedule after the given date, or null if it has none
+function computeNextRun(schedule, after = new Date()) {
+  if (schedule.type === 'once') {
+    const runAt = new Date(schedule.runAt);
+    return runAt > after ? runAt : null;
+  }
+
+  const interval = cronParser.parseExpression(schedule.cron, {
+    currentDate: after,
+    tz: schedule.timezone
+  });
+  return interval.next().toDate();
+}
+
+class CommandScheduler {
+  // runCommand(schedule) dispatches the schedule's command and resolves to
+  // the run outcome: { outcome, commandId?, reasons?, error? }.
+  // checkAccess(schedule), if given, resolves to the reasons its creator may
+  // no longer send the command, or null; such runs are denied and the
+  // schedule is paused.
+  constructor({ queries, runCommand, checkAccess = null, intervalMs = 30000, misfireGraceSeconds = 300 }) {
+    this.queries = queries;
+    this.runCommand = runCommand;
+    this.checkAccess = checkAccess;
+    this.intervalMs = intervalMs;
+    this.misfireGraceSeconds = misfireGraceSeconds;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick(now = new Date()) {
+    // Skip if the previous tick is still dispatching
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const due = await this.queries.getDueSchedules(now);
+      for (const schedule of due) {
+        await this.runSchedule(schedule, now);
+      }
+    } catch (error) {
+      console.error('Error running scheduled commands:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async runSchedule(schedule, now) {
+    const scheduledFor = schedule.nextRunAt;
+    const nextRunAt = computeNextRun(schedule, now);
+    const fields = { nextRunAt, lastRunAt: now };
+    if (!nextRunAt) {
+      fields.status = 'completed';
+    }
+
+    const claimed = await this.queries.claimScheduleRun(schedule._id, scheduledFor, fields);
+    if (!claimed) return;
+
+    let result;
+    const lateSeconds = (now - scheduledFor) / 1000;
+    if (lateSeconds > this.misfireGraceSeconds) {
+      // B1 was down at the scheduled time; running hours late could surprise the driver
+      console.log(`Schedule ${schedule._id} missed its run at ${scheduledFor.toISOString()}`);
+      result = { outcome: 'missed', error: `Scheduler was not running at the scheduled time (${Math.round(lateSeconds)} s late)` };
+    } else {
+      try {
+        const reasons = this.checkAccess ? await this.checkAccess(schedule) : null;
+        if (reasons) {
+          console.log(`Schedule ${schedule._id} paused, ${schedule.createdBy} may no longer send "${schedule.command}":`, reasons);
+          if (nextRunAt) {
+            await this.queries.updateSchedule(schedule._id, { status: 'paused' });
+          }
+          result = { outcome: 'denied', reasons };
+        } else {
+          result = await this.runCommand(schedule);
+        }
+      } catch (error) {
+        console.error(`Error running schedule ${schedule._id}:`, error);
+        result = { outcome: 'failed', error: error.message };
+      }
+    }
+
+    await this.queries.insertScheduleRun({
+      scheduleId: schedule._id,
+      licensePlate: schedule.licensePlate,
+      command: schedule.command,
+      scheduledFor,
+      runAt: now,
+      ...result
+    });
+  }
+}
+
+module.exports = {
+  CommandScheduler,
+  computeNextRun,
+  validateCron
+};
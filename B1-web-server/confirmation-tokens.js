@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// Single-use tokens for the two-step confirmation of sensitive commands.
+// A token is bound to the user, car, command and parameters it was issued for.
+class ConfirmationTokens {
+  constructor({ ttlSeconds = 120 } = {}) {
+    this.ttlSeconds = ttlSeconds;
+    this.tokens = new Map();
+  }
+
+  static fingerprint({ requestedBy = null, licensePlate, command, parameters = {} }) {
+    const sortedParameters = Object.keys(parameters).sort().map(key => [key, parameters[key]]);
+    return JSON.stringify([requestedBy, licensePlate, command, sortedParameters]);
+  }
+
+  issue(request) {
+    this.prune();
+
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + this.ttlSeconds * 1000);
+    this.tokens.set(token, { fingerprint: ConfirmationTokens.fingerprint(request), expiresAt });
+    return { token, expiresAt };
+  }
+
+  // Returns true and invalidates the token if it matches the request
+  consume(token, request) {
+    this.prune();
+
+    const entry = this.tokens.get(token);
+    if (!entry || entry.fingerprint !== ConfirmationTokens.fingerprint(request)) {
+      return false;
+    }
+
+    this.tokens.delete(token);
+    return true;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [token, entry] of this.tokens.entries()) {
+      if (entry.expiresAt.getTime() <= now) {
+        this.tokens.delete(token);
+      }
+    }
+  }
+}
+
+module.exports = ConfirmationTokens;
@@ -0,0 +1,108 @@
+// Digital keys. A key lets the renter of a reservation lock and unlock its car
+// from the user app, from the first to the last day of the rental (calendar
+// days in the rental timezone). Keys are stored in B4 (digital_keys) and are
+// revoked when the rental is completed or cancelled; every command attempted
+// with a key is logged.
+
+const KEY_COMMANDS = ['lock_doors', 'unlock_doors'];
+
+function sameEmail(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// Status of a key (B4 getDigitalKey row) on a date
+function keyStatus(key, today) {
+  if (key.revoked_at) return 'revoked';
+  if (key.reservation_status !== 'confirmed' || key.end_date < today) return 'expired';
+  if (key.start_date > today) return 'scheduled';
+  return 'active';
+}
+
+// Check a key before dispatching a command with it.
+// Returns { valid, reasons: [{ code, message }] }.
+function checkDigitalKey(key, { licensePlate, command, holderEmail, today }) {
+  if (!key) {
+    return {
+      valid: false,
+      reasons: [{ code: 'NO_DIGITAL_KEY', message: `No digital key for car ${licensePlate}, ask the rental staff to issue one` }]
+    };
+  }
+
+  const reasons = [];
+  if (!sameEmail(key.holder_email, holderEmail)) {
+    reasons.push({ code: 'NOT_KEY_HOLDER', message: 'The digital key was issued to someone else' });
+  }
+  if (key.license_plate !== licensePlate) {
+    reasons.push({ code: 'WRONG_CAR', message: `The digital key is for car ${key.license_plate}` });
+  }
+  if (!key.commands.includes(command)) {
+    reasons.push({ code: 'COMMAND_NOT_ALLOWED', message: `The digital key does not allow "${command}"` });
+  }
+
+  const status = keyStatus(key, today);
+  if (status === 'revoked') {
+    reasons.push({ code: 'KEY_REVOKED', message: 'The digital key has been revoked' });
+  } else if (status === 'expired') {
+    reasons.push({ code: 'KEY_EXPIRED', message: `The rental has ended (${key.end_date})` });
+  } else if (status === 'scheduled') {
+    reasons.push({ code: 'KEY_NOT_YET_VALID', message: `The digital key is valid from ${key.start_date}` });
+  }
+
+  return { valid: reasons.length === 0, reasons };
+}
+
+// Key to use for a command: the requested one, or else the holder's key for
+// the car that is valid today (else the first one, so the reasons tell why)
+function selectDigitalKey(keys, { keyId = null, licensePlate, today }) {
+  if (keyId !== null) {
+    return keys.find(key => key.id === keyId) || null;
+  }
+  const forCar = keys.filter(key => key.license_plate === licensePlate);
+  return forCar.find(key => keyStatus(key, today) === 'active') || forCar[0] || null;
+}
+
+// Validate the commands a new key allows. Returns a list of { field, message }.
+function validateKeyCommands(commands) {
+  if (commands === undefined) return [];
+  const valid = Array.isArray(commands) && commands.length > 0 && commands.every(command => KEY_COMMANDS.includes(command));
+  return valid ? [] : [{ field: 'commands', message: `commands must list some of: ${KEY_COMMANDS.join(', ')}` }];
+}
+
+function formatDigitalKey(key, today) {
+  return {
+    keyId: key.id,
+    reservationId: key.reservation_id,
+    licensePlate: key.license_plate,
+    holderEmail: key.holder_email,
+    commands: key.commands,
+    validFrom: key.start_date,
+    validUntil: key.end_date,
+    status: keyStatus(key, today),
+    issuedBy: key.issued_by,
+    issuedAt: key.issued_at,
+    revokedAt: key.revoked_at,
+    revokedBy: key.revoked_by,
+    revokeReason: key.revoke_reason
+  };
+}
+
+function formatKeyAccess(row) {
+  return {
+    command: row.command,
+    granted: row.granted,
+    reasons: row.reasons,
+    commandId: row.command_id,
+    requestedBy: row.requested_by,
+    requestedAt: row.requested_at
+  };
+}
+
+module.exports = {
+  KEY_COMMANDS,
+  keyStatus,
+  checkDigitalKey,
+  selectDigitalKey,
+  validateKeyCommands,
+  formatDigitalKey,
+  formatKeyAccess
+};
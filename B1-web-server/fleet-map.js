@@ -0,0 +1,148 @@
+// Fleet map for staff: the latest position of every car as a GeoJSON
+// (RFC 7946) FeatureCollection, with its temperatures from B3, whether it is
+// connected to B2 (Redis presence) and its rental status from B4. Also the
+// cars near a point, found with the B3 2dsphere index on car_data.location.
+
+const { isValidPoint, toGeoJsonPoint } = require('../shared/geo');
+const { parsePresence } = require('../shared/presence');
+
+const DEFAULT_NEARBY_RADIUS_M = 2000;
+const MAX_NEARBY_RADIUS_M = 50000;
+
+function roundTemp(value) {
+  return typeof value === 'number' ? parseFloat(value.toFixed(1)) : null;
+}
+
+// Bounding box "west,south,east,north" in degrees (GeoJSON bbox order).
+// A west edge east of the east edge crosses the antimeridian. Returns
+// { bbox } (null when not given) or { error }.
+function parseBbox(value) {
+  if (value === undefined || value === '') return { bbox: null };
+
+  const parts = String(value).split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+  const [west, south, east, north] = parts;
+  const valid = parts.length === 4 && parts.every(Number.isFinite) &&
+    isValidPoint({ lat: south, lng: west }) && isValidPoint({ lat: north, lng: east }) && south <= north;
+  if (!valid) {
+    return { error: 'bbox must be west,south,east,north in degrees, e.g. 24.8,60.1,25.1,60.3' };
+  }
+  return { bbox: [west, south, east, north] };
+}
+
+function inBbox(point, [west, south, east, north]) {
+  if (point.lat < south || point.lat > north) return false;
+  return west <= east
+    ? point.lng >= west && point.lng <= east
+    : point.lng >= west || point.lng <= east;
+}
+
+// Rental status of a B4 getFleetStatus row
+function rentalStatus(car) {
+  if (car.is_available === false) return 'rented';
+  if (car.daily_rate === null || car.daily_rate === undefined) return 'not_offered';
+  return 'available';
+}
+
+// Feature of a car (B4 getFleetStatus row) with its latest B3 reading, or
+// null, and its Redis presence value (undefined when Redis is not available,
+// making online unknown). Cars without a GPS position have no geometry.
+function positionFeature(car, reading, presence) {
+  const gps = reading && reading.gps;
+  const { online, connectedAt } = presence === undefined
+    ? { online: null, connectedAt: null }
+    : parsePresence(presence);
+  const rented = rentalStatus(car) === 'rented';
+
+  return {
+    type: 'Feature',
+    id: car.license_plate,
+    geometry: toGeoJsonPoint(gps),
+    properties: {
+      licensePlate: car.license_plate,
+      make: car.make,
+      model: car.model,
+      color: car.color,
+      owner: car.owner_name,
+      online,
+      connectedAt,
+      rentalStatus: rentalStatus(car),
+      renter: rented ? { name: car.current_renter_name, email: car.current_renter_email } : null,
+      rentalEndDate: rented ? car.rental_end_date : null,
+      indoorTemp: reading ? roundTemp(reading.indoorTemp) : null,
+      outdoorTemp: reading ? roundTemp(reading.outdoorTemp) : null,
+      speed: reading && typeof reading.speed === 'number' ? reading.speed : null,
+      engineStatus: reading && reading.engineStatus !== undefined ? reading.engineStatus : null,
+      lastUpdated: reading && reading.timestamp ? new Date(reading.timestamp).toISOString() : null
+    }
+  };
+}
+
+// FeatureCollection of the features, limited to those inside bbox if given
+function featureCollection(features, bbox = null) {
+  const inside = bbox
+    ? features.filter(feature => feature.geometry &&
+      inBbox({ lng: feature.geometry.coordinates[0], lat: feature.geometry.coordinates[1] }, bbox))
+    : features;
+
+  const collection = { type: 'FeatureCollection', features: inside };
+  if (bbox) collection.bbox = bbox;
+  return collection;
+}
+
+function parseNumber(value) {
+  return value === undefined || String(value).trim() === '' ? NaN : Number(value);
+}
+
+// Validate a nearby query ({ lat, lng, radius, available } query parameters;
+// radius in meters). Returns { errors } or { point, radius, availableOnly }.
+function parseNearbyQuery(query) {
+  const errors = [];
+  const lat = parseNumber(query.lat);
+  const lng = parseNumber(query.lng);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    errors.push({ field: 'lat', message: 'lat must be a latitude between -90 and 90' });
+  }
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+    errors.push({ field: 'lng', message: 'lng must be a longitude between -180 and 180' });
+  }
+  const radius = query.radius === undefined ? DEFAULT_NEARBY_RADIUS_M : parseNumber(query.radius);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_NEARBY_RADIUS_M) {
+    errors.push({ field: 'radius', message: `radius must be a number of meters up to ${MAX_NEARBY_RADIUS_M}` });
+  }
+  if (query.available !== undefined && !['true', 'false'].includes(query.available)) {
+    errors.push({ field: 'available', message: 'available must be true or false' });
+  }
+  if (errors.length > 0) return { errors };
+
+  return { point: { lat, lng }, radius, availableOnly: query.available === 'true' };
+}
+
+// Car near the searched point: a B3 getCarsNear reading (with distance)
+// joined with the car's B4 getFleetStatus row
+function nearbyCar(car, reading) {
+  return {
+    licensePlate: car.license_plate,
+    make: car.make,
+    model: car.model,
+    year: car.year,
+    color: car.color,
+    distance: Math.round(reading.distance),
+    gps: { lat: reading.gps.lat, lng: reading.gps.lng },
+    rentalStatus: rentalStatus(car),
+    available: rentalStatus(car) === 'available',
+    dailyRate: car.daily_rate === null || car.daily_rate === undefined ? null : parseFloat(car.daily_rate),
+    lastUpdated: reading.timestamp ? new Date(reading.timestamp).toISOString() : null
+  };
+}
+
+module.exports = {
+  DEFAULT_NEARBY_RADIUS_M,
+  MAX_NEARBY_RADIUS_M,
+  parseBbox,
+  inBbox,
+  rentalStatus,
+  positionFeature,
+  featureCollection,
+  parseNearbyQuery,
+  nearbyCar
+};
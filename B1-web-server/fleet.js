@@ -0,0 +1,198 @@
+const { CAPABILITIES } = require('../shared/command-catalog');
+
+// Fleet administration: adding, editing, retiring and restoring cars in B4
+// (cars, with a rental_info row per car). License plates are stored in one
+// format (upper case, letters and digits separated by a hyphen, e.g.
+// ABC-123) and VINs must carry a valid ISO 3779 check digit.
+
+const PLATE_PATTERN = /^[A-ZÅÄÖ0-9]{1,8}(-[A-ZÅÄÖ0-9]{1,8}){0,2}$/;
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+// Transliteration of VIN letters and the weight of each position
+const VIN_LETTER_VALUES = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const VIN_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+const MIN_YEAR = 1900;
+const TEXT_FIELDS = {
+  make: 100,
+  model: 100,
+  color: 50
+};
+
+// License plate in the stored format, or null if it is not a plate:
+// " abc 123" and "abc123" become "ABC-123"
+function normalizeLicensePlate(value) {
+  if (typeof value !== 'string') return null;
+  let plate = value.trim().toUpperCase().replace(/[\s-]+/g, '-');
+  if (/^[A-ZÅÄÖ]+\d+$/.test(plate)) {
+    plate = plate.replace(/^([A-ZÅÄÖ]+)(\d+)$/, '$1-$2');
+  }
+  return PLATE_PATTERN.test(plate) ? plate : null;
+}
+
+// Check digit (position 9) of a 17 character VIN
+function vinCheckDigit(vin) {
+  const sum = [...vin].reduce((total, char, index) => {
+    const value = /\d/.test(char) ? Number(char) : VIN_LETTER_VALUES[char];
+    return total + value * VIN_WEIGHTS[index];
+  }, 0);
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+// VIN in upper case, or null if it is not a valid VIN
+function normalizeVin(value) {
+  if (typeof value !== 'string') return null;
+  const vin = value.trim().toUpperCase();
+  if (!VIN_PATTERN.test(vin)) return null;
+  return vin[8] === vinCheckDigit(vin) ? vin : null;
+}
+
+function vinError(value) {
+  if (typeof value === 'string' && VIN_PATTERN.test(value.trim().toUpperCase())) {
+    return { field: 'vin', message: 'vin check digit (9th character) does not match' };
+  }
+  return { field: 'vin', message: 'vin must be 17 letters and digits (no I, O or Q)' };
+}
+
+function validateOwner(owner, current) {
+  if (!owner || typeof owner !== 'object') {
+    return [{ field: 'owner', message: 'owner with name and email is required' }];
+  }
+
+  const merged = { ...current, ...owner };
+  const errors = [];
+  if (typeof merged.name !== 'string' || merged.name.trim() === '' || merged.name.length > 255) {
+    errors.push({ field: 'owner.name', message: 'owner.name is required' });
+  }
+  if (typeof merged.email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(merged.email)) {
+    errors.push({ field: 'owner.email', message: 'owner.email must be an email address' });
+  }
+  if (merged.phone !== undefined && merged.phone !== null && (typeof merged.phone !== 'string' || merged.phone.length > 20)) {
+    errors.push({ field: 'owner.phone', message: 'owner.phone must be a string of at most 20 characters' });
+  }
+  return errors;
+}
+
+function validateRental(rental) {
+  if (rental === undefined) return [];
+  if (!rental || typeof rental !== 'object') {
+    return [{ field: 'rental', message: 'rental must be an object' }];
+  }
+
+  const errors = [];
+  const { dailyRate, includedKmPerDay, extraKmRate } = rental;
+  if (dailyRate !== undefined && dailyRate !== null && (typeof dailyRate !== 'number' || !(dailyRate > 0) || dailyRate >= 1e8)) {
+    errors.push({ field: 'rental.dailyRate', message: 'rental.dailyRate must be a positive number of euros' });
+  }
+  if (includedKmPerDay !== undefined && includedKmPerDay !== null && (!Number.isInteger(includedKmPerDay) || includedKmPerDay < 0)) {
+    errors.push({ field: 'rental.includedKmPerDay', message: 'rental.includedKmPerDay must be a non-negative integer, or null for unlimited' });
+  }
+  if (extraKmRate !== undefined && (typeof extraKmRate !== 'number' || !(extraKmRate >= 0) || extraKmRate >= 10000)) {
+    errors.push({ field: 'rental.extraKmRate', message: 'rental.extraKmRate must be a non-negative number of euros' });
+  }
+  return errors;
+}
+
+// Validate a new car, or the changes to the stored car `current` (B4 row).
+// Returns a list of { field, message }.
+function validateCar(body, { current = null, thisYear = new Date().getFullYear() } = {}) {
+  const partial = current !== null;
+  const errors = [];
+  const given = field => !partial || body[field] !== undefined;
+
+  if (!partial && normalizeLicensePlate(body.licensePlate) === null) {
+    errors.push({ field: 'licensePlate', message: 'licensePlate must be letters and digits, e.g. ABC-123' });
+  }
+  if (partial && body.licensePlate !== undefined && normalizeLicensePlate(body.licensePlate) !== current.license_plate) {
+    errors.push({ field: 'licensePlate', message: 'The license plate of a car cannot change' });
+  }
+  if (given('vin') && normalizeVin(body.vin) === null) {
+    errors.push(vinError(body.vin));
+  }
+  for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+    const value = body[field];
+    const required = field !== 'color';
+    if (value === undefined || value === null) {
+      if (required && given(field)) errors.push({ field, message: `${field} is required` });
+    } else if (typeof value !== 'string' || value.trim() === '' || value.length > maxLength) {
+      errors.push({ field, message: `${field} must be a string of at most ${maxLength} characters` });
+    }
+  }
+  if (given('year') && (!Number.isInteger(body.year) || body.year < MIN_YEAR || body.year > thisYear + 1)) {
+    errors.push({ field: 'year', message: `year must be a year from ${MIN_YEAR} to ${thisYear + 1}` });
+  }
+  if (given('owner')) {
+    const currentOwner = partial
+      ? { name: current.owner_name, phone: current.owner_phone, email: current.owner_email }
+      : {};
+    errors.push(...validateOwner(body.owner, currentOwner));
+  }
+  if (body.capabilities !== undefined && (!Array.isArray(body.capabilities)
+    || !body.capabilities.every(capability => CAPABILITIES.includes(capability)))) {
+    errors.push({ field: 'capabilities', message: `capabilities must list some of: ${CAPABILITIES.join(', ')}` });
+  }
+  if (partial && body.rental !== undefined) {
+    errors.push({ field: 'rental', message: 'Rental terms are set when the car is added' });
+  } else {
+    errors.push(...validateRental(body.rental));
+  }
+
+  const fields = ['vin', 'make', 'model', 'year', 'color', 'owner', 'capabilities'];
+  if (partial && errors.length === 0 && !fields.some(field => body[field] !== undefined)) {
+    errors.push({ field: 'body', message: `Nothing to change, send some of: ${fields.join(', ')}` });
+  }
+  return errors;
+}
+
+// B4 addCar / updateCar fields of a validated request body
+function carFields(body) {
+  const fields = {
+    vin: body.vin === undefined ? undefined : normalizeVin(body.vin),
+    make: body.make === undefined ? undefined : body.make.trim(),
+    model: body.model === undefined ? undefined : body.model.trim(),
+    year: body.year,
+    color: body.color === undefined || body.color === null ? body.color : body.color.trim(),
+    capabilities: body.capabilities === undefined ? undefined : [...new Set(body.capabilities)]
+  };
+  if (body.owner !== undefined) {
+    if (body.owner.name !== undefined) fields.ownerName = body.owner.name.trim();
+    if (body.owner.email !== undefined) fields.ownerEmail = body.owner.email.trim();
+    if (body.owner.phone !== undefined) fields.ownerPhone = body.owner.phone;
+  }
+  return fields;
+}
+
+// Car of a B4 cars row
+function formatCar(row) {
+  return {
+    licensePlate: row.license_plate,
+    vin: row.vin,
+    make: row.make,
+    model: row.model,
+    year: row.year,
+    color: row.color,
+    owner: {
+      name: row.owner_name,
+      phone: row.owner_phone,
+      email: row.owner_email
+    },
+    capabilities: row.capabilities,
+    retired: Boolean(row.retired_at),
+    retiredAt: row.retired_at,
+    retiredBy: row.retired_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = {
+  normalizeLicensePlate,
+  vinCheckDigit,
+  normalizeVin,
+  validateCar,
+  carFields,
+  formatCar
+};
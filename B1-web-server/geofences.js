@@ -0,0 +1,130 @@
+const { isValidPoint } = require('../shared/geo');
+const { normalizeLicensePlate } = require('./fleet');
+
+// Geofences: circular or polygonal zones, such as the region a rental car may
+// be driven in or a depot. A zone applies to every car, or to one car when it
+// has a licensePlate. They are stored in B3 (geofences); B2 checks each
+// reading against them and records when a car enters or leaves a zone
+// (geofence_events), publishing it on Redis (car:<plate>:geofence).
+
+const GEOFENCE_TYPES = ['circle', 'polygon'];
+const MAX_NAME_LENGTH = 100;
+const MAX_RADIUS_M = 100000;
+const MAX_POLYGON_POINTS = 500;
+const MAX_EVENTS_LIMIT = 500;
+
+function validPoints(points) {
+  return Array.isArray(points) && points.length >= 3 && points.length <= MAX_POLYGON_POINTS &&
+    points.every(isValidPoint);
+}
+
+// Validate a geofence to create, or the changes to current. Returns a list
+// of { field, message } errors.
+function validateGeofence(body, { current = null } = {}) {
+  const errors = [];
+  const merged = { ...current, ...body };
+
+  if (typeof merged.name !== 'string' || merged.name.trim() === '' || merged.name.length > MAX_NAME_LENGTH) {
+    errors.push({ field: 'name', message: `name is required, at most ${MAX_NAME_LENGTH} characters` });
+  }
+  if (body.licensePlate !== undefined && body.licensePlate !== null && !normalizeLicensePlate(body.licensePlate)) {
+    errors.push({ field: 'licensePlate', message: 'licensePlate must be a license plate, or null for every car' });
+  }
+
+  if (!GEOFENCE_TYPES.includes(merged.type)) {
+    errors.push({ field: 'type', message: `type must be one of: ${GEOFENCE_TYPES.join(', ')}` });
+  } else if (merged.type === 'circle') {
+    if (!isValidPoint(merged.center)) {
+      errors.push({ field: 'center', message: 'center must be a { lat, lng } point' });
+    }
+    if (typeof merged.radius !== 'number' || !(merged.radius > 0) || merged.radius > MAX_RADIUS_M) {
+      errors.push({ field: 'radius', message: `radius must be a number of meters up to ${MAX_RADIUS_M}` });
+    }
+  } else if (!validPoints(merged.points)) {
+    errors.push({ field: 'points', message: `points must be 3 to ${MAX_POLYGON_POINTS} { lat, lng } corners of the polygon` });
+  }
+  return errors;
+}
+
+// Fields of a validated geofence body to store. The shape fields of the
+// other type are cleared when the type is given.
+function geofenceFields(body) {
+  const fields = {};
+  if (body.name !== undefined) fields.name = body.name.trim();
+  if (body.licensePlate !== undefined) {
+    fields.licensePlate = body.licensePlate === null ? null : normalizeLicensePlate(body.licensePlate);
+  }
+  if (body.type !== undefined) fields.type = body.type;
+  if (body.type === 'polygon') {
+    fields.center = null;
+    fields.radius = null;
+  }
+  if (body.type === 'circle') fields.points = null;
+  if (body.center !== undefined) fields.center = { lat: body.center.lat, lng: body.center.lng };
+  if (body.radius !== undefined) fields.radius = body.radius;
+  if (body.points !== undefined) fields.points = body.points.map(point => ({ lat: point.lat, lng: point.lng }));
+  return fields;
+}
+
+// Shape a geofences document for API responses
+function formatGeofence(doc) {
+  const circle = doc.type === 'circle';
+  return {
+    geofenceId: doc._id,
+    name: doc.name,
+    licensePlate: doc.licensePlate || null,
+    type: doc.type,
+    center: circle ? doc.center : null,
+    radius: circle ? doc.radius : null,
+    points: circle ? null : doc.points,
+    createdBy: doc.createdBy,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+function parseTime(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+  const time = new Date(value);
+  return isNaN(time.getTime()) ? null : time;
+}
+
+// Validate a geofence events query ({ geofenceId, from, to, limit } query
+// parameters). Returns { errors } or the filters.
+function parseEventsQuery(query) {
+  const errors = [];
+  const from = query.from === undefined ? undefined : parseTime(query.from);
+  const to = query.to === undefined ? undefined : parseTime(query.to);
+  if (from === null) errors.push({ field: 'from', message: 'from must be an ISO 8601 date or timestamp' });
+  if (to === null) errors.push({ field: 'to', message: 'to must be an ISO 8601 date or timestamp' });
+
+  const limit = query.limit === undefined ? 100 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_EVENTS_LIMIT) {
+    errors.push({ field: 'limit', message: `limit must be an integer from 1 to ${MAX_EVENTS_LIMIT}` });
+  }
+  if (errors.length > 0) return { errors };
+
+  return { geofenceId: query.geofenceId, from, to, limit };
+}
+
+// Shape a geofence_events document for API responses
+function formatGeofenceEvent(doc) {
+  return {
+    eventId: doc._id,
+    licensePlate: doc.licensePlate,
+    geofenceId: doc.geofenceId,
+    geofenceName: doc.geofenceName,
+    type: doc.type,
+    gps: doc.gps,
+    occurredAt: doc.occurredAt
+  };
+}
+
+module.exports = {
+  GEOFENCE_TYPES,
+  validateGeofence,
+  geofenceFields,
+  formatGeofence,
+  parseEventsQuery,
+  formatGeofenceEvent
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Rental handover (checkout) and return (checkin) inspections. Staff record
+// the odometer, fuel or charge level, cleanliness and damage of the car, and
+// at return the fees charged for new damage; the car's latest B3 telemetry is
+// stored with the inspection. Comparing the two
+// inspections of a reservation settles disputes about the rental.
+
+const INSPECTION_KINDS = ['checkout', 'checkin'];
+const CLEANLINESS_LEVELS = ['clean', 'acceptable', 'dirty'];
+
+// Accepted photo types and their file extensions
+const PHOTO_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+// Fuel or charge level drop (percentage points) tolerated at return
+const DEFAULT_FUEL_TOLERANCE = 5;
+
+// Validate an inspection. A checkin is validated against the checkout of the
+// same reservation. Returns a list of { field, message }.
+function validateInspection(body, { checkout = null } = {}) {
+  const errors = [];
+
+  if (!Number.isInteger(body.odometerKm) || body.odometerKm < 0) {
+    errors.push({ field: 'odometerKm', message: 'odometerKm must be a non-negative integer' });
+  } else if (checkout && body.odometerKm < checkout.odometer_km) {
+    errors.push({ field: 'odometerKm', message: `odometerKm must not be below the checkout reading (${checkout.odometer_km} km)` });
+  }
+  if (!Number.isInteger(body.fuelLevelPercent) || body.fuelLevelPercent < 0 || body.fuelLevelPercent > 100) {
+    errors.push({ field: 'fuelLevelPercent', message: 'fuelLevelPercent must be an integer from 0 to 100' });
+  }
+  if (!CLEANLINESS_LEVELS.includes(body.cleanliness)) {
+    errors.push({ field: 'cleanliness', message: `cleanliness must be one of: ${CLEANLINESS_LEVELS.join(', ')}` });
+  }
+  for (const field of ['damageNotes', 'notes']) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+      errors.push({ field, message: `${field} must be a string` });
+    }
+  }
+  if (body.damageFees !== undefined) {
+    errors.push(...validateDamageFees(body.damageFees, { checkin: checkout !== null }));
+  }
+
+  return errors;
+}
+
+// Damage fees are charged at return: [{ description, amount }] in euros
+function validateDamageFees(damageFees, { checkin }) {
+  if (!checkin) {
+    return [{ field: 'damageFees', message: 'damageFees are recorded at checkin' }];
+  }
+  if (!Array.isArray(damageFees)) {
+    return [{ field: 'damageFees', message: 'damageFees must be a list of { description, amount }' }];
+  }
+
+  const errors = [];
+  damageFees.forEach((fee, index) => {
+    if (!fee || typeof fee.description !== 'string' || fee.description.trim() === '') {
+      errors.push({ field: `damageFees[${index}].description`, message: 'description is required' });
+    }
+    if (!fee || typeof fee.amount !== 'number' || !(fee.amount > 0) || fee.amount > 100000) {
+      errors.push({ field: `damageFees[${index}].amount`, message: 'amount must be a positive number of euros' });
+    }
+  });
+  return errors;
+}
+
+// Telemetry snapshot from a B3 car_data document
+function snapshotTelemetry(carData) {
+  if (!carData) return null;
+  const { _id, ...snapshot } = carData;
+  return snapshot;
+}
+
+// Inspection from a B4 rental_inspections row
+function formatInspection(row) {
+  if (!row) return null;
+  return {
+    inspectionId: row.id,
+    kind: row.kind,
+    odometerKm: row.odometer_km,
+    fuelLevelPercent: row.fuel_level_percent,
+    cleanliness: row.cleanliness,
+    damageNotes: row.damage_notes,
+    damageFees: row.damage_fees || [],
+    notes: row.notes,
+    telemetry: row.telemetry_snapshot,
+    inspectedBy: row.inspected_by,
+    inspectedAt: row.inspected_at,
+    photos: (row.photos || []).map(photo => ({
+      photoId: photo.id,
+      contentType: photo.content_type,
+      sizeBytes: photo.size_bytes,
+      caption: photo.caption,
+      uploadedBy: photo.uploaded_by,
+      uploadedAt: photo.uploaded_at
+    }))
+  };
+}
+
+function hasText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+// Differences between the checkout and checkin inspections (B4 rows).
+// Returns null until the car has been returned.
+function compareInspections(checkout, checkin, { fuelTolerance = DEFAULT_FUEL_TOLERANCE } = {}) {
+  if (!checkout || !checkin) return null;
+
+  const issues = [];
+  const distanceKm = checkin.odometer_km - checkout.odometer_km;
+  const fuelLevelChange = checkin.fuel_level_percent - checkout.fuel_level_percent;
+  const cleanlinessWorse = CLEANLINESS_LEVELS.indexOf(checkin.cleanliness) > CLEANLINESS_LEVELS.indexOf(checkout.cleanliness);
+  const newDamage = hasText(checkin.damage_notes) && checkin.damage_notes.trim() !== (checkout.damage_notes || '').trim();
+
+  if (fuelLevelChange < -fuelTolerance) {
+    issues.push({ type: 'fuel', message: `Returned with ${-fuelLevelChange} percentage points less fuel or charge` });
+  }
+  if (cleanlinessWorse) {
+    issues.push({ type: 'cleanliness', message: `Returned ${checkin.cleanliness}, handed over ${checkout.cleanliness}` });
+  }
+  if (newDamage) {
+    issues.push({ type: 'damage', message: 'Damage noted at return that was not noted at handover' });
+  }
+
+  return {
+    distanceKm,
+    fuelLevelChange,
+    cleanliness: { checkout: checkout.cleanliness, checkin: checkin.cleanliness, worse: cleanlinessWorse },
+    damage: { checkout: checkout.damage_notes, checkin: checkin.damage_notes, newDamage },
+    photos: { checkout: (checkout.photos || []).length, checkin: (checkin.photos || []).length },
+    issues
+  };
+}
+
+// Store a photo under dir; returns the file name relative to dir
+async function savePhoto(dir, inspectionId, buffer, contentType) {
+  const fileName = path.join(String(inspectionId), `${crypto.randomUUID()}.${PHOTO_TYPES[contentType]}`);
+  await fs.promises.mkdir(path.join(dir, String(inspectionId)), { recursive: true });
+  await fs.promises.writeFile(path.join(dir, fileName), buffer);
+  return fileName;
+}
+
+// Remove a photo stored with savePhoto, e.g. when its row could not be saved
+async function removePhoto(dir, fileName) {
+  await fs.promises.rm(path.join(dir, fileName), { force: true });
+}
+
+module.exports = {
+  INSPECTION_KINDS,
+  CLEANLINESS_LEVELS,
+  PHOTO_TYPES,
+  validateInspection,
+  snapshotTelemetry,
+  formatInspection,
+  compareInspections,
+  savePhoto,
+  removePhoto
+};
@@ -0,0 +1,153 @@
+const { isValidDate } = require('./reservations');
+
+// Insurance policies of cars, stored in B4 (insurance). Policies cover their
+// days from start_date to end_date, both inclusive; a car is insured on a day
+// some policy covers, and is only rented out for days it is insured. A car
+// without a policy in force today has lapsed insurance and is not rentable.
+
+const TEXT_FIELDS = {
+  policyNumber: 100,
+  insuranceCompany: 255,
+  coverageType: 100
+};
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+// Last day of uninterrupted coverage from `date`, or null if no policy covers
+// it. Back-to-back and overlapping policies count as one.
+function insuredThrough(policies, date) {
+  let through = null;
+  let day = date;
+  for (;;) {
+    const covering = policies.filter(policy => policy.start_date <= day && policy.end_date >= day);
+    if (covering.length === 0) return through;
+    through = covering.reduce((end, policy) => (policy.end_date > end ? policy.end_date : end), day);
+    day = addDays(through, 1);
+  }
+}
+
+// First day from startDate to endDate that no policy covers, or null
+function firstUninsuredDay(policies, startDate, endDate) {
+  const through = insuredThrough(policies, startDate);
+  if (through === null) return startDate;
+  return through >= endDate ? null : addDays(through, 1);
+}
+
+// Insurance of a car on a date from its policies (B4 rows)
+function insuranceStatus(policies, today) {
+  const through = insuredThrough(policies, today);
+  let status = 'insured';
+  if (policies.length === 0) {
+    status = 'uninsured';
+  } else if (through === null) {
+    status = 'lapsed';
+  }
+  return { status, rentable: through !== null, insuredUntil: through };
+}
+
+function policyStatus(policy, today) {
+  if (policy.end_date < today) return 'expired';
+  if (policy.start_date > today) return 'scheduled';
+  return 'active';
+}
+
+// Validate a new policy. Returns a list of { field, message }.
+function validateInsurancePolicy(policy) {
+  const errors = [];
+  for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+    const value = policy[field];
+    const required = field !== 'coverageType';
+    if (value === undefined || value === null) {
+      if (required) errors.push({ field, message: `${field} is required` });
+    } else if (typeof value !== 'string' || value.trim() === '' || value.length > maxLength) {
+      errors.push({ field, message: `${field} must be a string of at most ${maxLength} characters` });
+    }
+  }
+  if (!isValidDate(policy.startDate)) {
+    errors.push({ field: 'startDate', message: 'startDate must be a date (YYYY-MM-DD)' });
+  }
+  if (!isValidDate(policy.endDate)) {
+    errors.push({ field: 'endDate', message: 'endDate must be a date (YYYY-MM-DD)' });
+  } else if (isValidDate(policy.startDate) && policy.endDate < policy.startDate) {
+    errors.push({ field: 'endDate', message: 'endDate must not be before startDate' });
+  }
+  const premium = policy.premiumAmount;
+  if (premium !== undefined && premium !== null && (typeof premium !== 'number' || !(premium >= 0) || premium >= 1e8)) {
+    errors.push({ field: 'premiumAmount', message: 'premiumAmount must be a non-negative number of euros' });
+  }
+  return errors;
+}
+
+// Policy continuing `policy` (B4 row) from the day after it ends, for a year
+// unless an endDate is given. Fields not given are kept.
+function renewalOf(policy, changes = {}) {
+  const startDate = addDays(policy.end_date, 1);
+  const yearLater = new Date(`${policy.end_date}T00:00:00Z`);
+  yearLater.setUTCFullYear(yearLater.getUTCFullYear() + 1);
+  const pick = (field, current) => (changes[field] !== undefined ? changes[field] : current);
+
+  return {
+    licensePlate: policy.license_plate,
+    policyNumber: pick('policyNumber', policy.policy_number),
+    insuranceCompany: pick('insuranceCompany', policy.insurance_company),
+    startDate,
+    endDate: pick('endDate', yearLater.toISOString().slice(0, 10)),
+    coverageType: pick('coverageType', policy.coverage_type),
+    premiumAmount: pick('premiumAmount', policy.premium_amount === null ? null : parseFloat(policy.premium_amount))
+  };
+}
+
+function formatInsurancePolicy(row, today) {
+  return {
+    policyId: row.id,
+    licensePlate: row.license_plate,
+    policyNumber: row.policy_number,
+    insuranceCompany: row.insurance_company,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    coverageType: row.coverage_type,
+    premiumAmount: row.premium_amount === null ? null : parseFloat(row.premium_amount),
+    status: policyStatus(row, today),
+    createdAt: row.created_at
+  };
+}
+
+// Car from a B4 getExpiringInsurance row, with the policy ending last
+function formatInsuranceExpiry(row) {
+  let status = 'insured';
+  if (row.policy_id === null) {
+    status = 'uninsured';
+  } else if (!row.insured_today) {
+    status = 'lapsed';
+  }
+
+  return {
+    licensePlate: row.license_plate,
+    owner: row.owner_name,
+    ownerPhone: row.owner_phone,
+    status,
+    rentable: row.insured_today,
+    daysUntilExpiry: row.days_until_expiry,
+    policy: row.policy_id === null ? null : {
+      policyId: row.policy_id,
+      policyNumber: row.policy_number,
+      insuranceCompany: row.insurance_company,
+      startDate: row.start_date,
+      endDate: row.end_date
+    }
+  };
+}
+
+module.exports = {
+  insuredThrough,
+  firstUninsuredDay,
+  insuranceStatus,
+  validateInsurancePolicy,
+  renewalOf,
+  formatInsurancePolicy,
+  formatInsuranceExpiry
+};
@@ -0,0 +1,234 @@
+// Printable invoices: an HTML page and a single-font PDF. The PDF is written
+// directly (text only, standard Helvetica fonts), so no PDF library is needed.
+
+const DEFAULT_ISSUER = 'Car Demo Rentals';
+
+const LINE_TYPE_LABELS = {
+  rental: 'Rental',
+  adjustment: 'Pricing',
+  discount: 'Discount',
+  mileage: 'Mileage',
+  damage: 'Damage'
+};
+
+function formatMoney(amount) {
+  return amount === null ? '' : amount.toFixed(2);
+}
+
+function formatQuantity(quantity) {
+  return Number.isInteger(quantity) ? String(quantity) : quantity.toFixed(2);
+}
+
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Header fields shared by both formats
+function invoiceDetails(invoice) {
+  return [
+    ['Invoice number', invoice.invoiceNumber],
+    ['Issue date', invoice.issueDate],
+    ['Due date', invoice.dueDate],
+    ['Reservation', String(invoice.reservationId)],
+    ['Car', invoice.licensePlate],
+    ['Rental period', `${invoice.startDate} - ${invoice.endDate} (${invoice.rentalDays} days)`],
+    ['Distance driven', invoice.distanceKm === null ? 'not recorded' : `${invoice.distanceKm} km`],
+    ['Status', invoice.status]
+  ];
+}
+
+function renderInvoiceHtml(invoice, { issuer = DEFAULT_ISSUER } = {}) {
+  const details = invoiceDetails(invoice)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('\n        ');
+  const lines = invoice.lines
+    .map(line => `<tr>
+          <td>${escapeHtml(LINE_TYPE_LABELS[line.type])}</td>
+          <td>${escapeHtml(line.description)}</td>
+          <td class="number">${formatQuantity(line.quantity)}</td>
+          <td class="number">${formatMoney(line.unitPrice)}</td>
+          <td class="number">${formatMoney(line.amount)}</td>
+        </tr>`)
+    .join('\n        ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; font-size: 14px; margin: 40px; color: #222; }
+    h1 { font-size: 24px; margin-bottom: 0; }
+    table { border-collapse: collapse; margin-top: 24px; }
+    th, td { padding: 4px 12px 4px 0; text-align: left; vertical-align: top; }
+    .lines { width: 100%; }
+    .lines thead th { border-bottom: 1px solid #222; }
+    .number { text-align: right; }
+    .total td { border-top: 1px solid #222; font-weight: bold; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Invoice</h1>
+  <p>${escapeHtml(issuer)}</p>
+  <table class="details">
+    <tbody>
+        ${details}
+    </tbody>
+  </table>
+  <h2>Billed to</h2>
+  <p>${escapeHtml(invoice.renter.name)}<br>${escapeHtml(invoice.renter.email)}${invoice.renter.phone ? `<br>${escapeHtml(invoice.renter.phone)}` : ''}</p>
+  <table class="lines">
+    <thead>
+      <tr><th></th><th>Description</th><th class="number">Quantity</th><th class="number">Unit price</th><th class="number">Amount (${escapeHtml(invoice.currency)})</th></tr>
+    </thead>
+    <tbody>
+        ${lines}
+        <tr class="total"><td></td><td>Total</td><td></td><td></td><td class="number">${formatMoney(invoice.total)}</td></tr>
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+// PDF text is Latin-1 (WinAnsiEncoding) with (, ) and \ escaped
+function pdfText(text) {
+  const latin1 = String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+  return `(${latin1.replace(/[\\()]/g, match => `\\${match}`)})`;
+}
+
+// Split text into lines of at most width characters
+function wrapText(text, width) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text).split(' ')) {
+    if (line && line.length + 1 + word.length > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Lay out text items ({ x, text, size, bold }) per page from the top down
+class PdfLayout {
+  constructor() {
+    this.pages = [[]];
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  row(items, height = 14) {
+    if (this.y - height < MARGIN) {
+      this.pages.push([]);
+      this.y = PAGE_HEIGHT - MARGIN;
+    }
+    this.y -= height;
+    for (const item of items) {
+      this.pages[this.pages.length - 1].push({ size: 10, bold: false, ...item, y: this.y });
+    }
+  }
+}
+
+function renderInvoicePdf(invoice, { issuer = DEFAULT_ISSUER } = {}) {
+  const layout = new PdfLayout();
+  const columns = { description: MARGIN, quantity: 340, unitPrice: 410, amount: 490 };
+
+  layout.row([{ x: MARGIN, text: 'Invoice', size: 20, bold: true }], 24);
+  layout.row([{ x: MARGIN, text: issuer }], 18);
+  layout.row([], 8);
+  for (const [label, value] of invoiceDetails(invoice)) {
+    layout.row([{ x: MARGIN, text: label, bold: true }, { x: 170, text: value }]);
+  }
+
+  layout.row([], 12);
+  layout.row([{ x: MARGIN, text: 'Billed to', bold: true }]);
+  for (const text of [invoice.renter.name, invoice.renter.email, invoice.renter.phone].filter(Boolean)) {
+    layout.row([{ x: MARGIN, text }]);
+  }
+
+  layout.row([], 12);
+  layout.row([
+    { x: columns.description, text: 'Description', bold: true },
+    { x: columns.quantity, text: 'Quantity', bold: true },
+    { x: columns.unitPrice, text: 'Unit price', bold: true },
+    { x: columns.amount, text: `Amount (${invoice.currency})`, bold: true }
+  ]);
+  for (const line of invoice.lines) {
+    const [first, ...rest] = wrapText(line.description, 52);
+    layout.row([
+      { x: columns.description, text: first },
+      { x: columns.quantity, text: formatQuantity(line.quantity) },
+      { x: columns.unitPrice, text: formatMoney(line.unitPrice) },
+      { x: columns.amount, text: formatMoney(line.amount) }
+    ]);
+    for (const text of rest) {
+      layout.row([{ x: columns.description, text }]);
+    }
+  }
+  layout.row([
+    { x: columns.description, text: 'Total', bold: true },
+    { x: columns.amount, text: formatMoney(invoice.total), bold: true }
+  ], 20);
+
+  return buildPdf(layout.pages);
+}
+
+// Assemble a PDF document from pages of positioned text items
+function buildPdf(pages) {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map((items) => {
+    const content = items
+      .map(item => `BT /${item.bold ? 'F2' : 'F1'} ${item.size} Tf ${item.x} ${item.y} Td ${pdfText(item.text)} Tj ET`)
+      .join('\n');
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
@@ -0,0 +1,206 @@
+const { quotePrice, formatPricingRule } = require('./pricing');
+const { localDate } = require('./reservations');
+
+// Rental invoicing. When a rental is completed it is invoiced for the days
+// it actually lasted at the car's daily rate, with the active pricing rules
+// (see pricing.js), plus kilometres driven beyond the car's allowance and the
+// damage fees recorded at return. Invoices are stored in B4 (invoices,
+// invoice_lines); amounts are in euros.
+
+const DEFAULT_DUE_DAYS = 14;
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+function formatPercent(percent) {
+  return `${percent > 0 ? '+' : ''}${percent} %`;
+}
+
+// Invoice of a completed reservation (B4 row). car is its getRentalCars row,
+// rules its formatted pricing rules and checkout/checkin its inspections
+// (null if the car was not inspected; mileage is then not charged).
+function buildInvoice({ reservation, car, rules = [], checkout = null, checkin = null, issueDate, dueDays = DEFAULT_DUE_DAYS }) {
+  const dailyRate = parseFloat(car.daily_rate);
+  const quote = quotePrice({ dailyRate, startDate: reservation.start_date, endDate: reservation.end_date, rules });
+
+  const lines = [{
+    type: 'rental',
+    description: `Rental of ${car.make} ${car.model} (${reservation.license_plate}), ${reservation.start_date} - ${reservation.end_date}`,
+    quantity: quote.rentalDays,
+    unitPrice: dailyRate,
+    amount: roundCents(dailyRate * quote.rentalDays)
+  }];
+
+  // One line per pricing rule, over the days it applied to
+  const adjustments = new Map();
+  for (const day of quote.days) {
+    for (const adjustment of day.adjustments) {
+      const line = adjustments.get(adjustment.ruleId) || {
+        type: 'adjustment',
+        description: `${adjustment.name} (${formatPercent(adjustment.percent)})`,
+        quantity: 0,
+        unitPrice: adjustment.amount,
+        amount: 0
+      };
+      line.quantity += 1;
+      line.amount = roundCents(line.amount + adjustment.amount);
+      adjustments.set(adjustment.ruleId, line);
+    }
+  }
+  lines.push(...adjustments.values());
+
+  for (const discount of quote.discounts) {
+    lines.push({
+      type: 'discount',
+      description: `${discount.name} (${formatPercent(discount.percent)})`,
+      quantity: 1,
+      unitPrice: discount.amount,
+      amount: discount.amount
+    });
+  }
+
+  let distanceKm = null;
+  if (checkout && checkin) {
+    distanceKm = checkin.odometer_km - checkout.odometer_km;
+    const includedKm = car.included_km_per_day === null ? null : car.included_km_per_day * quote.rentalDays;
+    const extraKm = includedKm === null ? 0 : Math.max(0, distanceKm - includedKm);
+    if (extraKm > 0) {
+      const rate = parseFloat(car.extra_km_rate);
+      lines.push({
+        type: 'mileage',
+        description: `Extra kilometres (${distanceKm} km driven, ${includedKm} km included)`,
+        quantity: extraKm,
+        unitPrice: rate,
+        amount: roundCents(extraKm * rate)
+      });
+    }
+  }
+
+  for (const fee of (checkin && checkin.damage_fees) || []) {
+    lines.push({
+      type: 'damage',
+      description: `Damage: ${fee.description}`,
+      quantity: 1,
+      unitPrice: fee.amount,
+      amount: roundCents(fee.amount)
+    });
+  }
+
+  return {
+    reservationId: reservation.id,
+    licensePlate: reservation.license_plate,
+    renterName: reservation.renter_name,
+    renterPhone: reservation.renter_phone,
+    renterEmail: reservation.renter_email,
+    startDate: reservation.start_date,
+    endDate: reservation.end_date,
+    rentalDays: quote.rentalDays,
+    distanceKm,
+    currency: quote.currency,
+    lines,
+    total: roundCents(lines.reduce((sum, line) => sum + line.amount, 0)),
+    issueDate,
+    dueDate: addDays(issueDate, dueDays)
+  };
+}
+
+function parseAmount(value) {
+  return value === null ? null : parseFloat(value);
+}
+
+// Invoice from a B4 invoices row
+function formatInvoice(row) {
+  return {
+    invoiceId: row.id,
+    invoiceNumber: row.invoice_number,
+    reservationId: row.reservation_id,
+    licensePlate: row.license_plate,
+    renter: {
+      name: row.renter_name,
+      phone: row.renter_phone,
+      email: row.renter_email
+    },
+    startDate: row.start_date,
+    endDate: row.end_date,
+    rentalDays: row.rental_days,
+    distanceKm: row.distance_km,
+    currency: row.currency,
+    lines: row.lines.map(line => ({
+      type: line.line_type,
+      description: line.description,
+      quantity: parseAmount(line.quantity),
+      unitPrice: parseAmount(line.unit_price),
+      amount: parseAmount(line.amount)
+    })),
+    total: parseFloat(row.total),
+    status: row.status,
+    issueDate: row.issue_date,
+    dueDate: row.due_date,
+    paidAt: row.paid_at,
+    createdAt: row.created_at
+  };
+}
+
+// Invoices completed rentals. Rentals are invoiced when they are returned;
+// invoicePending catches up on any completed rental without an invoice, e.g.
+// those completed automatically after their end date.
+class Invoicer {
+  constructor({ queries, timeZone, dueDays = DEFAULT_DUE_DAYS }) {
+    this.queries = queries;
+    this.timeZone = timeZone;
+    this.dueDays = dueDays;
+  }
+
+  // Invoice a completed reservation. Returns the B4 invoice row, or null if it
+  // has already been invoiced or its car has no daily rate.
+  async invoiceReservation(reservation, now = new Date()) {
+    // Rentals are invoiced also when the car has been retired since
+    const [car] = await this.queries.getRentalCars(reservation.license_plate, { includeRetired: true });
+    if (!car || car.daily_rate === null) {
+      console.warn(`Reservation ${reservation.id} not invoiced: car ${reservation.license_plate} has no daily rate`);
+      return null;
+    }
+
+    const rules = await this.queries.getPricingRules(reservation.license_plate);
+    const inspections = await this.queries.getInspections(reservation.id);
+    const invoice = buildInvoice({
+      reservation,
+      car,
+      rules: rules.map(formatPricingRule),
+      checkout: inspections.find(row => row.kind === 'checkout') || null,
+      checkin: inspections.find(row => row.kind === 'checkin') || null,
+      issueDate: localDate(now, this.timeZone),
+      dueDays: this.dueDays
+    });
+
+    const created = await this.queries.createInvoice(invoice);
+    if (created) {
+      console.log(`Invoice ${created.invoice_number} for reservation ${reservation.id}: ${created.total} ${created.currency}`);
+    }
+    return created;
+  }
+
+  async invoicePending(now = new Date()) {
+    const reservations = await this.queries.getUninvoicedReservations();
+    for (const reservation of reservations) {
+      try {
+        await this.invoiceReservation(reservation, now);
+      } catch (error) {
+        console.error(`Error invoicing reservation ${reservation.id}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = {
+  Invoicer,
+  buildInvoice,
+  formatInvoice
+};
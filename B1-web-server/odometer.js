@@ -0,0 +1,49 @@
+// Odometer of cars, in km. Cars that report it send `odometer` with their
+// telemetry (B3 car_data). The latest reading is that, or the mileage last
+// entered by hand on a service record or rental inspection (B4) if that is
+// newer; the distance of the trips detected since (B3 trips) is added to it.
+
+// Days of trips the average daily distance of a car is taken from
+const DAILY_DISTANCE_DAYS = 30;
+
+// Latest odometer reading of a car from its telemetry (B3
+// getLatestOdometers) and hand-entered mileage (B4 getRecordedMileage), or
+// null if it has neither
+function latestOdometerReading(telemetry, recorded) {
+  const readings = [];
+  if (telemetry) {
+    readings.push({ km: telemetry.odometer, readAt: new Date(telemetry.timestamp), source: 'telemetry' });
+  }
+  if (recorded) {
+    readings.push({ km: recorded.mileage_km, readAt: new Date(recorded.recorded_at), source: recorded.source });
+  }
+  if (readings.length === 0) return null;
+  return readings.reduce((latest, reading) => (reading.readAt > latest.readAt ? reading : latest));
+}
+
+// Current odometer from the latest reading and the meters driven on trips
+// since it was read
+function currentOdometer(reading, tripMeters = 0) {
+  if (!reading) return null;
+  const tripKm = Math.round(tripMeters / 1000);
+  return {
+    km: Math.round(reading.km) + tripKm,
+    source: reading.source,
+    readAt: reading.readAt,
+    tripKmSinceReading: tripKm
+  };
+}
+
+// Average km a day from the meters of trips over `days` days, or null
+// without trips to go by
+function averageDailyKm(tripMeters, days = DAILY_DISTANCE_DAYS) {
+  if (!(tripMeters > 0)) return null;
+  return parseFloat((tripMeters / 1000 / days).toFixed(1));
+}
+
+module.exports = {
+  DAILY_DISTANCE_DAYS,
+  latestOdometerReading,
+  currentOdometer,
+  averageDailyKm
+};
@@ -0,0 +1,256 @@
+// Closed-loop cabin preconditioning. A session brings the cabin to a target
+// temperature, optionally by a given time: it starts heating or AC, follows
+// the indoorTemp telemetry stored in B3 and stops the climate system when the
+// target is reached, the session times out or the energy budget is used up.
+// Sessions are stored in B3 (preconditioning_sessions) and survive restarts.
+
+const ACTIVE_STATES = ['scheduled', 'running'];
+const TERMINAL_STATES = ['completed', 'timed_out', 'energy_limit', 'cancelled', 'failed'];
+
+const CLIMATE_COMMANDS = {
+  heating: { start: 'start_heating', stop: 'stop_heating' },
+  cooling: { start: 'start_ac', stop: 'stop_ac' }
+};
+
+const DEFAULTS = {
+  // Readings this close to the target count as reached
+  toleranceC: 0.5,
+  // Assumed climate system draw, used to estimate energy use
+  climatePowerKw: 4,
+  // Assumed warm-up rate, used to plan the start before readings exist
+  estimatedRateCPerMinute: 0.5,
+  // Readings kept per session for the rate and ETA estimate
+  maxSamples: 10
+};
+
+function readIndoorTemp(telemetry) {
+  return telemetry && typeof telemetry.indoorTemp === 'number' ? telemetry.indoorTemp : null;
+}
+
+// When to switch the climate system on so the cabin is ready by readyBy
+function planStart({ readyBy, currentTemp, targetTemp, maxDurationMinutes, now = new Date(), options = {} }) {
+  const settings = { ...DEFAULTS, ...options };
+  if (!readyBy) return now;
+
+  const leadMinutes = currentTemp === null
+    ? maxDurationMinutes
+    : Math.min(maxDurationMinutes, Math.ceil(Math.abs(targetTemp - currentTemp) / settings.estimatedRateCPerMinute));
+  const startAt = new Date(new Date(readyBy).getTime() - leadMinutes * 60 * 1000);
+  return startAt > now ? startAt : now;
+}
+
+// Progress of a session towards its target.
+// Returns { progressPercent, rateCPerMinute, eta }.
+function estimateProgress(session) {
+  const { startTemp, currentTemp, targetTemp, samples = [] } = session;
+  if (typeof startTemp !== 'number' || typeof currentTemp !== 'number') {
+    return { progressPercent: session.state === 'completed' ? 100 : 0, rateCPerMinute: null, eta: null };
+  }
+
+  const span = targetTemp - startTemp;
+  const progressPercent = span === 0
+    ? 100
+    : Math.round(Math.min(100, Math.max(0, ((currentTemp - startTemp) / span) * 100)));
+
+  if (samples.length < 2) {
+    return { progressPercent, rateCPerMinute: null, eta: null };
+  }
+
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const minutes = (new Date(last.at) - new Date(first.at)) / 60000;
+  const rateCPerMinute = minutes > 0 ? (last.temp - first.temp) / minutes : null;
+
+  // Only a rate towards the target gives a meaningful ETA
+  let eta = null;
+  const remaining = targetTemp - currentTemp;
+  if (rateCPerMinute && Math.sign(rateCPerMinute) === Math.sign(remaining)) {
+    eta = new Date(new Date(last.at).getTime() + (remaining / rateCPerMinute) * 60000);
+  }
+
+  return {
+    progressPercent,
+    rateCPerMinute: rateCPerMinute === null ? null : Math.round(rateCPerMinute * 100) / 100,
+    eta
+  };
+}
+
+class PreconditioningManager {
+  // runCommand({ licensePlate, command, parameters, source, requestedBy })
+  // sends a climate command and resolves to { outcome, commandId?, reasons?, error? }
+  constructor({ queries, runCommand, intervalMs = 10000, options = {} }) {
+    this.queries = queries;
+    this.runCommand = runCommand;
+    this.intervalMs = intervalMs;
+    this.options = { ...DEFAULTS, ...options };
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick(now = new Date()) {
+    // Skip if the previous tick is still running
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const sessions = await this.queries.getActivePreconditioningSessions();
+      for (const session of sessions) {
+        try {
+          await this.advance(session, now);
+        } catch (error) {
+          console.error(`Error advancing preconditioning session ${session._id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error running preconditioning sessions:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async advance(session, now) {
+    if (session.state === 'scheduled') {
+      if (now >= new Date(session.startAt)) {
+        await this.begin(session, now);
+      }
+      return;
+    }
+    await this.monitor(session, now);
+  }
+
+  // Switch the climate system on in the direction the cabin needs
+  async begin(session, now) {
+    const telemetry = await this.queries.getLatestCarData(session.licensePlate);
+    const currentTemp = readIndoorTemp(telemetry);
+
+    if (currentTemp === null) {
+      return this.finish(session, 'failed', now, { error: 'No indoor temperature telemetry from the car' });
+    }
+    if (Math.abs(currentTemp - session.targetTemp) <= this.options.toleranceC) {
+      return this.finish(session, 'completed', now, { startTemp: currentTemp, currentTemp });
+    }
+
+    const mode = currentTemp < session.targetTemp ? 'heating' : 'cooling';
+    const started = await this.queries.updatePreconditioningSession(session._id, {
+      state: 'running',
+      mode,
+      startTemp: currentTemp,
+      currentTemp,
+      startedAt: now,
+      energyKwh: 0,
+      samples: [{ temp: currentTemp, at: new Date(telemetry.timestamp) }]
+    }, ['scheduled']);
+    if (!started) return;
+
+    const result = await this.sendClimateCommand(session, CLIMATE_COMMANDS[mode].start, { targetTemp: session.targetTemp });
+    if (result.outcome !== 'dispatched') {
+      const error = result.error || (result.reasons || []).map(reason => reason.message).join('; ');
+      return this.finish(started, 'failed', now, { error: `Could not start ${mode}: ${error}` }, false);
+    }
+
+    await this.queries.updatePreconditioningSession(session._id, { startCommandId: result.commandId });
+    console.log(`Preconditioning ${session._id}: ${mode} car ${session.licensePlate} from ${currentTemp.toFixed(1)}°C to ${session.targetTemp}°C`);
+  }
+
+  // Follow the cabin temperature and stop when a limit is hit
+  async monitor(session, now) {
+    if (session.startCommandId) {
+      const startCommand = await this.queries.getCommand(session.startCommandId);
+      if (startCommand && ['failed', 'expired'].includes(startCommand.status)) {
+        // The climate system never came on, so there is nothing to stop
+        return this.finish(session, 'failed', now, {
+          error: `Start command ${startCommand.status}${startCommand.error ? `: ${startCommand.error}` : ''}`
+        }, false);
+      }
+    }
+
+    const fields = {};
+    const telemetry = await this.queries.getLatestCarData(session.licensePlate);
+    const temp = readIndoorTemp(telemetry);
+    const samples = session.samples || [];
+    const lastSample = samples[samples.length - 1];
+    if (temp !== null && (!lastSample || new Date(telemetry.timestamp) > new Date(lastSample.at))) {
+      fields.currentTemp = temp;
+      fields.samples = [...samples, { temp, at: new Date(telemetry.timestamp) }].slice(-this.options.maxSamples);
+    }
+
+    const elapsedMinutes = (now - new Date(session.startedAt)) / 60000;
+    fields.energyKwh = Math.round(this.options.climatePowerKw * (elapsedMinutes / 60) * 100) / 100;
+
+    const currentTemp = fields.currentTemp !== undefined ? fields.currentTemp : session.currentTemp;
+    const reached = session.mode === 'heating'
+      ? currentTemp >= session.targetTemp - this.options.toleranceC
+      : currentTemp <= session.targetTemp + this.options.toleranceC;
+
+    if (reached) {
+      return this.finish(session, 'completed', now, fields);
+    }
+    if (elapsedMinutes >= session.maxDurationMinutes) {
+      return this.finish(session, 'timed_out', now, fields);
+    }
+    if (fields.energyKwh >= session.maxEnergyKwh) {
+      return this.finish(session, 'energy_limit', now, fields);
+    }
+
+    await this.queries.updatePreconditioningSession(session._id, fields, ['running']);
+  }
+
+  async sendClimateCommand(session, command, parameters = {}) {
+    try {
+      return await this.runCommand({
+        licensePlate: session.licensePlate,
+        command,
+        parameters,
+        source: `preconditioning:${session._id}`,
+        requestedBy: session.createdBy
+      });
+    } catch (error) {
+      console.error(`Preconditioning ${session._id}: error sending ${command}:`, error);
+      return { outcome: 'failed', error: error.message };
+    }
+  }
+
+  // Move a session to a terminal state, switching the climate system off if it was on
+  async finish(session, state, now, fields = {}, stopClimate = session.state === 'running') {
+    const finished = await this.queries.updatePreconditioningSession(
+      session._id,
+      { ...fields, state, endedAt: now },
+      ACTIVE_STATES
+    );
+    if (!finished) return null;
+
+    console.log(`Preconditioning ${session._id} for car ${session.licensePlate} ended: ${state}`);
+
+    if (stopClimate) {
+      const result = await this.sendClimateCommand(session, CLIMATE_COMMANDS[session.mode].stop);
+      if (result.outcome === 'dispatched') {
+        return this.queries.updatePreconditioningSession(session._id, { stopCommandId: result.commandId });
+      }
+      console.error(`Preconditioning ${session._id}: could not stop ${session.mode}:`, result.error || result.reasons);
+    }
+
+    return finished;
+  }
+
+  async cancel(session, now = new Date()) {
+    return this.finish(session, 'cancelled', now);
+  }
+}
+
+module.exports = {
+  PreconditioningManager,
+  planStart,
+  estimateProgress,
+  ACTIVE_STATES,
+  TERMINAL_STATES
+};
@@ -0,0 +1,143 @@
+const { eachDay } = require('./reservations');
+
+// Rental pricing. A rental costs the car's daily_rate for each day, adjusted
+// by the active pricing rules stored in B4 (pricing_rules):
+// - weekend: surcharge or discount on the given days of the week
+// - season: surcharge or discount between two month-days (MM-DD), every year
+// - long_rental: discount on the whole rental from minDays days on; only the
+//   applicable rule with the highest minDays is used
+// Day adjustments add up: a summer Saturday with +15 % and +20 % costs 135 %
+// of the daily rate. Amounts are in euros, rounded to cents.
+
+const RULE_TYPES = ['weekend', 'season', 'long_rental'];
+const MONTH_DAY_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Pricing rule from a B4 pricing_rules row
+function formatPricingRule(row) {
+  return {
+    ruleId: row.id,
+    name: row.name,
+    type: row.rule_type,
+    licensePlate: row.license_plate,
+    adjustmentPercent: parseFloat(row.adjustment_percent),
+    daysOfWeek: row.days_of_week,
+    seasonStart: row.season_start,
+    seasonEnd: row.season_end,
+    minDays: row.min_days,
+    active: row.active,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+// Whether a date falls in a season; seasons may wrap around the new year
+function inSeason(date, seasonStart, seasonEnd) {
+  const monthDay = date.slice(5);
+  return seasonStart <= seasonEnd
+    ? monthDay >= seasonStart && monthDay <= seasonEnd
+    : monthDay >= seasonStart || monthDay <= seasonEnd;
+}
+
+function appliesToDay(rule, date) {
+  if (rule.type === 'weekend') {
+    return rule.daysOfWeek.includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+  }
+  if (rule.type === 'season') {
+    return inSeason(date, rule.seasonStart, rule.seasonEnd);
+  }
+  return false;
+}
+
+// Itemized price of renting a car from startDate to endDate (inclusive)
+function quotePrice({ dailyRate, startDate, endDate, rules = [] }) {
+  const dates = eachDay(startDate, endDate);
+
+  const days = dates.map((date) => {
+    const adjustments = rules
+      .filter(rule => appliesToDay(rule, date))
+      .map(rule => ({
+        ruleId: rule.ruleId,
+        name: rule.name,
+        percent: rule.adjustmentPercent,
+        amount: roundCents(dailyRate * rule.adjustmentPercent / 100)
+      }));
+    const price = dailyRate + adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+    return { date, baseRate: dailyRate, adjustments, price: Math.max(0, roundCents(price)) };
+  });
+  const subtotal = roundCents(days.reduce((sum, day) => sum + day.price, 0));
+
+  const longRental = rules
+    .filter(rule => rule.type === 'long_rental' && dates.length >= rule.minDays)
+    .sort((a, b) => b.minDays - a.minDays)[0];
+  const discounts = longRental
+    ? [{
+      ruleId: longRental.ruleId,
+      name: longRental.name,
+      percent: longRental.adjustmentPercent,
+      amount: roundCents(subtotal * longRental.adjustmentPercent / 100)
+    }]
+    : [];
+
+  return {
+    startDate,
+    endDate,
+    rentalDays: dates.length,
+    dailyRate,
+    currency: 'EUR',
+    days,
+    subtotal,
+    discounts,
+    total: roundCents(subtotal + discounts.reduce((sum, discount) => sum + discount.amount, 0))
+  };
+}
+
+// Validate a new pricing rule. Returns a list of { field, message }.
+function validatePricingRule(rule) {
+  const errors = [];
+
+  if (typeof rule.name !== 'string' || rule.name.trim() === '') {
+    errors.push({ field: 'name', message: 'name is required' });
+  }
+  if (!RULE_TYPES.includes(rule.type)) {
+    errors.push({ field: 'type', message: `type must be one of: ${RULE_TYPES.join(', ')}` });
+  }
+  if (typeof rule.adjustmentPercent !== 'number' || !(rule.adjustmentPercent > -100) || rule.adjustmentPercent > 500) {
+    errors.push({ field: 'adjustmentPercent', message: 'adjustmentPercent must be a number above -100 and at most 500' });
+  }
+
+  if (rule.type === 'weekend') {
+    const valid = Array.isArray(rule.daysOfWeek) && rule.daysOfWeek.length > 0 &&
+      rule.daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    if (!valid) {
+      errors.push({ field: 'daysOfWeek', message: 'daysOfWeek must list days from 0 (Sunday) to 6 (Saturday)' });
+    }
+  }
+  if (rule.type === 'season') {
+    for (const field of ['seasonStart', 'seasonEnd']) {
+      if (typeof rule[field] !== 'string' || !MONTH_DAY_PATTERN.test(rule[field])) {
+        errors.push({ field, message: `${field} must be a month and day (MM-DD)` });
+      }
+    }
+  }
+  if (rule.type === 'long_rental') {
+    if (!Number.isInteger(rule.minDays) || rule.minDays < 2) {
+      errors.push({ field: 'minDays', message: 'minDays must be an integer of at least 2' });
+    }
+    if (typeof rule.adjustmentPercent === 'number' && rule.adjustmentPercent >= 0) {
+      errors.push({ field: 'adjustmentPercent', message: 'A long rental rule must be a discount (negative percent)' });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  RULE_TYPES,
+  formatPricingRule,
+  quotePrice,
+  validatePricingRule
+};
@@ -0,0 +1,181 @@
+// Rental reservations. Bookings are stored in B4 (reservations), where
+// confirmed bookings of the same car cannot overlap. rental_info availability
+// and current renter are derived from the booking covering today. Dates are
+// calendar days (YYYY-MM-DD, both inclusive) in the rental timezone.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Calendar date of an instant in a timezone, as YYYY-MM-DD
+function localDate(now, timeZone) {
+  // The en-CA locale formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+}
+
+// Number of rental days, both dates inclusive
+function rentalDays(startDate, endDate) {
+  return Math.round((Date.parse(endDate) - Date.parse(startDate)) / 86400000) + 1;
+}
+
+// Every date from startDate to endDate, both inclusive
+function eachDay(startDate, endDate) {
+  const dates = [];
+  const date = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+  while (date <= end) {
+    dates.push(date.toISOString().slice(0, 10));
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+// Per-day availability of rental cars (B4 getRentalCars rows) from the
+// confirmed reservations overlapping the range
+function buildAvailabilityCalendar(cars, reservations, from, to) {
+  const dates = eachDay(from, to);
+
+  return cars.map((car) => {
+    const booked = reservations.filter(reservation => reservation.license_plate === car.license_plate);
+    const days = dates.map((date) => {
+      const reservation = booked.find(r => r.start_date <= date && r.end_date >= date);
+      return { date, available: !reservation, reservationId: reservation ? reservation.id : null };
+    });
+
+    return {
+      licensePlate: car.license_plate,
+      make: car.make,
+      model: car.model,
+      dailyRate: car.daily_rate === null ? null : parseFloat(car.daily_rate),
+      availableDays: days.filter(day => day.available).length,
+      days
+    };
+  });
+}
+
+// Validate the dates of a new booking, or of a change to the stored
+// reservation `current`. Returns a list of { field, message }.
+function validateReservationDates({ startDate, endDate }, { today, maxDays, current = null }) {
+  const errors = [];
+  if (!isValidDate(startDate)) {
+    errors.push({ field: 'startDate', message: 'startDate must be a date (YYYY-MM-DD)' });
+  }
+  if (!isValidDate(endDate)) {
+    errors.push({ field: 'endDate', message: 'endDate must be a date (YYYY-MM-DD)' });
+  }
+  if (errors.length > 0) return errors;
+
+  // A rental that has started keeps its start date
+  const started = current !== null && current.start_date <= today;
+  if (started && startDate !== current.start_date) {
+    errors.push({ field: 'startDate', message: 'The rental has started, its start date cannot change' });
+  } else if (!started && startDate < today) {
+    errors.push({ field: 'startDate', message: 'startDate must not be in the past' });
+  }
+
+  if (endDate < startDate) {
+    errors.push({ field: 'endDate', message: 'endDate must not be before startDate' });
+  } else if (endDate < today) {
+    errors.push({ field: 'endDate', message: 'endDate must not be in the past' });
+  } else if (rentalDays(startDate, endDate) > maxDays) {
+    errors.push({ field: 'endDate', message: `A reservation can be at most ${maxDays} days` });
+  }
+
+  return errors;
+}
+
+// Validate the renter of a booking made by staff. Returns a list of { field, message }.
+function validateRenter(renter) {
+  if (!renter || typeof renter !== 'object') {
+    return [{ field: 'renter', message: 'renter with name and email is required' }];
+  }
+
+  const errors = [];
+  if (typeof renter.name !== 'string' || renter.name.trim() === '') {
+    errors.push({ field: 'renter.name', message: 'renter.name is required' });
+  }
+  if (typeof renter.email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(renter.email)) {
+    errors.push({ field: 'renter.email', message: 'renter.email must be an email address' });
+  }
+  if (renter.phone !== undefined && renter.phone !== null && typeof renter.phone !== 'string') {
+    errors.push({ field: 'renter.phone', message: 'renter.phone must be a string' });
+  }
+  return errors;
+}
+
+// Completes rentals whose end date has passed and keeps rental_info in step
+// with the calendar, e.g. a booking that starts today makes the car unavailable.
+// With an invoicer, completed rentals without an invoice are invoiced;
+// onCompleted(reservation) is called for each rental it completes.
+class ReservationSync {
+  constructor({ queries, timeZone, intervalMs = 60000, invoicer = null, onCompleted = null }) {
+    this.queries = queries;
+    this.timeZone = timeZone;
+    this.intervalMs = intervalMs;
+    this.invoicer = invoicer;
+    this.onCompleted = onCompleted;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick(now = new Date()) {
+    // Skip if the previous tick is still running
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const today = localDate(now, this.timeZone);
+
+      const completed = await this.queries.completeEndedReservations(today);
+      for (const reservation of completed) {
+        console.log(`Reservation ${reservation.id} for car ${reservation.license_plate} completed (${reservation.rental_days} days)`);
+        if (this.onCompleted) {
+          await this.onCompleted(reservation);
+        }
+      }
+
+      const changed = await this.queries.syncRentalInfo(today);
+      for (const rental of changed) {
+        console.log(`Car ${rental.license_plate} is now ${rental.is_available ? 'available' : `rented to ${rental.current_renter_email}`}`);
+      }
+
+      if (this.invoicer) {
+        await this.invoicer.invoicePending(now);
+      }
+    } catch (error) {
+      console.error('Error syncing reservations:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = {
+  ReservationSync,
+  isValidDate,
+  localDate,
+  rentalDays,
+  eachDay,
+  buildAvailabilityCalendar,
+  validateReservationDates,
+  validateRenter
+};
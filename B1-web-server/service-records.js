@@ -0,0 +1,170 @@
+const { isValidDate } = require('./reservations');
+
+// Service history of cars, stored in B4 (service_records). The next service
+// of each type is due at the next_service_date of its latest record, or after
+// the interval of the type (B4 service_intervals) in months or km, whichever
+// comes first. The date a car reaches the mileage is forecast from its
+// odometer and the km it drives a day.
+
+const FIELDS = ['serviceDate', 'serviceType', 'description', 'mileage', 'cost', 'serviceProvider', 'nextServiceDate'];
+const TEXT_FIELDS = {
+  serviceType: 100,
+  description: 10000,
+  serviceProvider: 255
+};
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+// Validate a new service record, or the changes to the stored record
+// `current` (formatted). Returns a list of { field, message }.
+function validateServiceRecord(body, { current = null } = {}) {
+  const partial = current !== null;
+  const errors = [];
+  const present = field => body[field] !== undefined && body[field] !== null;
+
+  if (!partial || body.serviceDate !== undefined) {
+    if (!isValidDate(body.serviceDate)) {
+      errors.push({ field: 'serviceDate', message: 'serviceDate must be a date (YYYY-MM-DD)' });
+    }
+  }
+  if (!partial || body.serviceType !== undefined) {
+    if (typeof body.serviceType !== 'string' || body.serviceType.trim() === '') {
+      errors.push({ field: 'serviceType', message: 'serviceType is required' });
+    }
+  }
+  for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+    if (present(field) && (typeof body[field] !== 'string' || body[field].length > maxLength)) {
+      errors.push({ field, message: `${field} must be a string of at most ${maxLength} characters` });
+    }
+  }
+  if (present('mileage') && (!Number.isInteger(body.mileage) || body.mileage < 0)) {
+    errors.push({ field: 'mileage', message: 'mileage must be a non-negative integer (km)' });
+  }
+  if (present('cost') && (typeof body.cost !== 'number' || !(body.cost >= 0) || body.cost >= 1e8)) {
+    errors.push({ field: 'cost', message: 'cost must be a non-negative number of euros' });
+  }
+  if (present('nextServiceDate') && !isValidDate(body.nextServiceDate)) {
+    errors.push({ field: 'nextServiceDate', message: 'nextServiceDate must be a date (YYYY-MM-DD)' });
+  }
+  if (errors.length > 0) return errors;
+
+  // The next service comes after this one, also when only one date changes
+  const serviceDate = body.serviceDate !== undefined ? body.serviceDate : current.serviceDate;
+  const nextServiceDate = body.nextServiceDate !== undefined ? body.nextServiceDate : current && current.nextServiceDate;
+  if (nextServiceDate && nextServiceDate <= serviceDate) {
+    const field = body.nextServiceDate !== undefined ? 'nextServiceDate' : 'serviceDate';
+    errors.push({ field, message: 'nextServiceDate must be after serviceDate' });
+  }
+  if (partial && !FIELDS.some(field => body[field] !== undefined)) {
+    errors.push({ field: 'body', message: `Nothing to change, send some of: ${FIELDS.join(', ')}` });
+  }
+
+  return errors;
+}
+
+// Service record from a B4 service_records row
+function formatServiceRecord(row) {
+  return {
+    recordId: row.id,
+    licensePlate: row.license_plate,
+    serviceDate: row.service_date,
+    serviceType: row.service_type,
+    description: row.description,
+    mileage: row.mileage,
+    cost: row.cost === null ? null : parseFloat(row.cost),
+    serviceProvider: row.service_provider,
+    nextServiceDate: row.next_service_date,
+    createdAt: row.created_at
+  };
+}
+
+// Next service of a B4 getServiceSchedule row, due at its date or its
+// mileage, whichever comes first. Without a daily distance the mileage date
+// is only known once the mileage is reached. Returns the row with the
+// forecast; next_service_date is null if neither is known.
+function forecastService(row, { today, odometerKm = null, dailyKm = null }) {
+  const dueMileage = row.interval_km && row.last_service_mileage !== null
+    ? row.last_service_mileage + row.interval_km
+    : null;
+  const kmUntilDue = dueMileage !== null && odometerKm !== null ? dueMileage - odometerKm : null;
+
+  let mileageDate = null;
+  if (kmUntilDue !== null && kmUntilDue <= 0) {
+    mileageDate = today;
+  } else if (kmUntilDue !== null && dailyKm > 0) {
+    mileageDate = addDays(today, Math.ceil(kmUntilDue / dailyKm));
+  }
+
+  const dueBy = mileageDate && (!row.next_service_date || mileageDate < row.next_service_date) ? 'mileage' : 'date';
+  const nextServiceDate = dueBy === 'mileage' ? mileageDate : row.next_service_date;
+  const daysUntilDue = nextServiceDate ? daysBetween(today, nextServiceDate) : null;
+
+  return {
+    ...row,
+    next_service_date: nextServiceDate,
+    days_until_due: daysUntilDue,
+    due_by: nextServiceDate ? dueBy : null,
+    due_mileage: dueMileage,
+    km_until_due: kmUntilDue,
+    overdue: daysUntilDue < 0 || kmUntilDue < 0
+  };
+}
+
+// Next service of one type from a forecastService row
+function formatServiceForecast(row) {
+  return {
+    serviceType: row.service_type,
+    lastService: {
+      date: row.last_service_date,
+      mileage: row.last_service_mileage
+    },
+    intervalMonths: row.interval_months,
+    intervalKm: row.interval_km,
+    nextServiceDate: row.next_service_date,
+    dueBy: row.due_by,
+    daysUntilDue: row.days_until_due,
+    dueMileage: row.due_mileage,
+    kmUntilDue: row.km_until_due,
+    overdue: row.overdue
+  };
+}
+
+// Car due for service from a forecastService row (or a B4
+// getCarsDueForService row, due by date)
+function formatServiceDue(row, odometer = null) {
+  return {
+    licensePlate: row.license_plate,
+    owner: row.owner_name,
+    make: row.make,
+    model: row.model,
+    serviceType: row.service_type,
+    nextServiceDate: row.next_service_date,
+    dueBy: row.due_by || 'date',
+    daysUntilDue: row.days_until_due,
+    dueMileage: row.due_mileage === undefined ? null : row.due_mileage,
+    kmUntilDue: row.km_until_due === undefined ? null : row.km_until_due,
+    overdue: row.overdue === undefined ? row.days_until_due < 0 : row.overdue,
+    odometer,
+    lastService: {
+      date: row.last_service_date,
+      type: row.service_type,
+      mileage: row.last_service_mileage
+    }
+  };
+}
+
+module.exports = {
+  validateServiceRecord,
+  formatServiceRecord,
+  forecastService,
+  formatServiceForecast,
+  formatServiceDue
+};
@@ -0,0 +1,189 @@
+// Live car telemetry for Server-Sent Events. B2 republishes every reading on
+// Redis (car:<plate>:data); TelemetryStream numbers each reading, merges it
+// with the car's static B4 fields and relays it to the clients watching that
+// car or the whole fleet. The latest readings are kept in memory, so a client
+// reconnecting with Last-Event-ID receives the readings it missed.
+
+const TELEMETRY_FIELDS = ['indoorTemp', 'outdoorTemp', 'gps', 'speed', 'engineStatus'];
+const STATIC_FIELDS = ['owner', 'make', 'model', 'lastService'];
+const STREAM_FIELDS = [...STATIC_FIELDS, ...TELEMETRY_FIELDS];
+// Sent with every reading whatever the fields filter
+const KEY_FIELDS = ['licensePlate', 'lastUpdated'];
+
+function roundTemp(value) {
+  return typeof value === 'number' ? parseFloat(value.toFixed(1)) : value;
+}
+
+// The reading of a car (a B2 message or a B3 car_data document) merged with
+// the static fields of its B4 cars row, in the shape of GET /api/car
+function mergeReading(reading, car) {
+  const merged = {
+    licensePlate: reading.licensePlate,
+    owner: car ? car.owner_name : null,
+    make: car ? car.make : null,
+    model: car ? car.model : null,
+    lastService: car ? car.last_service : null
+  };
+  for (const field of TELEMETRY_FIELDS) {
+    if (reading[field] !== undefined) merged[field] = reading[field];
+  }
+  merged.indoorTemp = roundTemp(merged.indoorTemp);
+  merged.outdoorTemp = roundTemp(merged.outdoorTemp);
+  merged.lastUpdated = reading.timestamp ? new Date(reading.timestamp).toISOString() : new Date().toISOString();
+  return merged;
+}
+
+// Fields filter of a stream from a comma-separated list. Returns
+// { fields } (null for all fields) or { error }.
+function parseFields(value) {
+  if (value === undefined || value === '') return { fields: null };
+
+  const fields = [...new Set(String(value).split(',').map(field => field.trim()).filter(Boolean))];
+  const unknown = fields.filter(field => !STREAM_FIELDS.includes(field) && !KEY_FIELDS.includes(field));
+  if (fields.length === 0 || unknown.length > 0) {
+    return { error: `fields must list some of: ${STREAM_FIELDS.join(', ')}` };
+  }
+  return { fields };
+}
+
+function pickFields(data, fields) {
+  if (!fields) return data;
+  const picked = {};
+  for (const field of [...KEY_FIELDS, ...fields]) {
+    if (data[field] !== undefined) picked[field] = data[field];
+  }
+  return picked;
+}
+
+// An event in the text/event-stream format
+function formatSseEvent({ id, event, data }) {
+  let text = '';
+  if (id) text += `id: ${id}\n`;
+  if (event) text += `event: ${event}\n`;
+  return `${text}data: ${JSON.stringify(data)}\n\n`;
+}
+
+class TelemetryStream {
+  // loadCar(licensePlate) resolves to the car's B4 cars row (with
+  // last_service), or null. Static fields are cached for staticTtlMs.
+  constructor({ loadCar, bufferSize = 500, staticTtlMs = 60000 }) {
+    this.loadCar = loadCar;
+    this.bufferSize = bufferSize;
+    this.staticTtlMs = staticTtlMs;
+    // Event ids are <epoch>-<sequence>; ids of an earlier server run cannot be replayed
+    this.epoch = Date.now().toString(36);
+    this.sequence = 0;
+    this.buffer = [];
+    this.cars = new Map();
+    this.subscribers = new Set();
+  }
+
+  // Id of the latest reading; a client that has it has missed nothing
+  get lastEventId() {
+    return `${this.epoch}-${this.sequence}`;
+  }
+
+  async staticFields(licensePlate, now = Date.now()) {
+    const cached = this.cars.get(licensePlate);
+    if (cached && cached.expiresAt > now) return cached.car;
+
+    const car = await this.loadCar(licensePlate);
+    this.cars.set(licensePlate, { car, expiresAt: now + this.staticTtlMs });
+    return car;
+  }
+
+  // Relay a reading published by B2. Returns the event, or null if the
+  // message is not a reading.
+  async publish(licensePlate, message) {
+    let reading;
+    try {
+      reading = typeof message === 'string' ? JSON.parse(message) : message;
+    } catch (error) {
+      console.warn(`Ignoring telemetry of car ${licensePlate} that is not JSON`);
+      return null;
+    }
+    if (!reading || typeof reading !== 'object' || reading.type) return null;
+
+    let car = null;
+    try {
+      car = await this.staticFields(licensePlate);
+    } catch (error) {
+      console.error(`Error loading static fields of car ${licensePlate}:`, error);
+    }
+
+    this.sequence += 1;
+    const event = {
+      sequence: this.sequence,
+      id: `${this.epoch}-${this.sequence}`,
+      licensePlate,
+      data: mergeReading({ ...reading, licensePlate }, car)
+    };
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+
+    for (const subscriber of this.subscribers) {
+      this.deliver(subscriber, event);
+    }
+    return event;
+  }
+
+  deliver(subscriber, event) {
+    if (subscriber.licensePlates && !subscriber.licensePlates.includes(event.licensePlate)) return;
+    subscriber.send({ id: event.id, event: 'telemetry', data: pickFields(event.data, subscriber.fields) });
+  }
+
+  // Events after lastEventId for the subscriber's cars, or null if they can
+  // no longer be replayed (an id of an earlier run, or older than the buffer)
+  missedEvents(lastEventId, { licensePlates = null, fields = null } = {}) {
+    const match = /^([0-9a-z]+)-(\d+)$/.exec(lastEventId || '');
+    if (!match || match[1] !== this.epoch) return null;
+
+    const after = Number(match[2]);
+    if (after > this.sequence) return null;
+    const oldest = this.buffer.length > 0 ? this.buffer[0].sequence : this.sequence + 1;
+    if (after < oldest - 1) return null;
+
+    return this.buffer
+      .filter(event => event.sequence > after)
+      .filter(event => !licensePlates || licensePlates.includes(event.licensePlate))
+      .map(event => ({ id: event.id, event: 'telemetry', data: pickFields(event.data, fields) }));
+  }
+
+  // Open a stream: send the readings missed since lastEventId, or when they
+  // cannot be replayed the latest reading of each car from loadLatest() (B3
+  // car_data documents), then readings as they arrive. Returns a function
+  // that ends the subscription.
+  async open({ licensePlates = null, fields = null, lastEventId = null, loadLatest }, send) {
+    let events = lastEventId ? this.missedEvents(lastEventId, { licensePlates, fields }) : null;
+    if (events === null) {
+      const head = this.lastEventId;
+      for (const reading of await loadLatest()) {
+        const car = await this.staticFields(reading.licensePlate);
+        send({ id: head, event: 'telemetry', data: pickFields(mergeReading(reading, car), fields) });
+      }
+      // Readings that arrived meanwhile
+      events = this.missedEvents(head, { licensePlates, fields }) || [];
+    }
+
+    events.forEach(send);
+    return this.subscribe({ licensePlates, fields }, send);
+  }
+
+  // Send readings to `send` as they arrive. licensePlates limits the cars
+  // (null for all), fields the fields sent (null for all). Returns a function
+  // that ends the subscription.
+  subscribe({ licensePlates = null, fields = null }, send) {
+    const subscriber = { licensePlates, fields, send };
+    this.subscribers.add(subscriber);
+    return () => this.subscribers.delete(subscriber);
+  }
+}
+
+module.exports = {
+  STREAM_FIELDS,
+  TelemetryStream,
+  mergeReading,
+  parseFields,
+  pickFields,
+  formatSseEvent
+};
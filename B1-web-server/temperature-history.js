@@ -0,0 +1,83 @@
+// Temperature history of a car for charts: min/avg/max indoor and outdoor
+// temperature per time bucket, aggregated in B3 (car_data) so that weeks of
+// readings come back as a few hundred points. Buckets are aligned to UTC.
+
+const BUCKETS = {
+  '1m': 60,
+  '5m': 5 * 60,
+  '1h': 60 * 60,
+  '1d': 24 * 60 * 60
+};
+const MAX_BUCKETS = 1500;
+// Buckets chosen when none is given: the smallest giving at most this many
+const DEFAULT_MAX_BUCKETS = 500;
+const DEFAULT_RANGE_HOURS = 24;
+
+function parseTime(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+  const time = new Date(value);
+  return isNaN(time.getTime()) ? null : time;
+}
+
+// Smallest bucket giving at most DEFAULT_MAX_BUCKETS buckets over the range
+function defaultBucket(from, to) {
+  const seconds = (to - from) / 1000;
+  const fitting = Object.keys(BUCKETS).find(bucket => seconds / BUCKETS[bucket] <= DEFAULT_MAX_BUCKETS);
+  return fitting || '1d';
+}
+
+// Validate a history query ({ from, to, bucket } query parameters). The range
+// defaults to the last 24 hours. Returns { errors } or { from, to, bucket }.
+function parseHistoryQuery(query, now = new Date()) {
+  const errors = [];
+  const to = query.to === undefined ? now : parseTime(query.to);
+  if (to === null) {
+    errors.push({ field: 'to', message: 'to must be an ISO 8601 date or timestamp' });
+  }
+  let from = null;
+  if (query.from === undefined) {
+    from = new Date((to || now).getTime() - DEFAULT_RANGE_HOURS * 60 * 60 * 1000);
+  } else {
+    from = parseTime(query.from);
+    if (from === null) errors.push({ field: 'from', message: 'from must be an ISO 8601 date or timestamp' });
+  }
+  if (from && to && from >= to) {
+    errors.push({ field: 'to', message: 'to must be after from' });
+  }
+  if (query.bucket !== undefined && !BUCKETS[query.bucket]) {
+    errors.push({ field: 'bucket', message: `bucket must be one of: ${Object.keys(BUCKETS).join(', ')}` });
+  }
+  if (errors.length > 0) return { errors };
+
+  const bucket = query.bucket || defaultBucket(from, to);
+  const buckets = Math.ceil((to - from) / (BUCKETS[bucket] * 1000));
+  if (buckets > MAX_BUCKETS) {
+    return {
+      errors: [{ field: 'bucket', message: `The range has ${buckets} ${bucket} buckets, at most ${MAX_BUCKETS} are returned; use a larger bucket or a shorter range` }]
+    };
+  }
+  return { from, to, bucket };
+}
+
+function round(value) {
+  return typeof value === 'number' ? parseFloat(value.toFixed(1)) : null;
+}
+
+// Bucket of a B3 getTemperatureHistory document
+function formatTemperatureBucket(doc, bucket) {
+  const start = new Date(doc.bucketStart);
+  return {
+    start: start.toISOString(),
+    end: new Date(start.getTime() + BUCKETS[bucket] * 1000).toISOString(),
+    readings: doc.dataPoints,
+    indoorTemp: { min: round(doc.minIndoorTemp), avg: round(doc.avgIndoorTemp), max: round(doc.maxIndoorTemp) },
+    outdoorTemp: { min: round(doc.minOutdoorTemp), avg: round(doc.avgOutdoorTemp), max: round(doc.maxOutdoorTemp) }
+  };
+}
+
+module.exports = {
+  BUCKETS,
+  MAX_BUCKETS,
+  parseHistoryQuery,
+  formatTemperatureBucket
+};
@@ -0,0 +1,70 @@
+const { auditRequest, diffValues, validateAuditQuery, formatAuditEntry } = require('../audit');
+
+describe('B1 Audit Tests', () => {
+  describe('Changes', () => {
+    test('keeps only the changed fields', () => {
+      const before = { status: 'confirmed', endDate: '2024-11-10', cancelledAt: null, updatedAt: '2024-11-01T08:00:00Z' };
+      const after = { status: 'cancelled', endDate: '2024-11-10', cancelledAt: '2024-11-05T10:12:00Z', updatedAt: '2024-11-05T10:12:00Z' };
+
+      expect(diffValues(before, after)).toEqual({
+        before: { status: 'confirmed', cancelledAt: null },
+        after: { status: 'cancelled', cancelledAt: '2024-11-05T10:12:00Z' }
+      });
+    });
+
+    test('compares nested values', () => {
+      const before = { owner: { name: 'John Doe', email: 'john.doe@email.com' }, capabilities: ['climate'] };
+
+      expect(diffValues(before, { ...before, capabilities: ['climate'] })).toEqual({ before: {}, after: {} });
+      expect(diffValues(before, { ...before, owner: { name: 'John Doe', email: 'john@email.com' } }).after)
+        .toEqual({ owner: { name: 'John Doe', email: 'john@email.com' } });
+      expect(diffValues(null, { status: 'active' })).toEqual({ before: { status: null }, after: { status: 'active' } });
+    });
+  });
+
+  describe('Requests', () => {
+    test('records the request metadata', () => {
+      const headers = { 'User-Agent': 'curl/8.0', 'X-Request-Id': 'req-1' };
+      const req = { method: 'POST', originalUrl: '/api/reservations/12/cancel', ip: '127.0.0.1', get: name => headers[name] };
+
+      expect(auditRequest(req)).toEqual({
+        method: 'POST',
+        path: '/api/reservations/12/cancel',
+        ip: '127.0.0.1',
+        userAgent: 'curl/8.0',
+        requestId: 'req-1'
+      });
+      expect(auditRequest({ ...req, get: () => undefined }).requestId).toMatch(/^[0-9a-f-]{36}$/);
+    });
+  });
+
+  describe('Queries', () => {
+    test('validates the filters', () => {
+      expect(validateAuditQuery({ licensePlate: 'ABC-123', action: 'reservation.', from: '2024-11-01', to: '2024-11-05T23:59:59Z' }))
+        .toEqual([]);
+      expect(validateAuditQuery({ action: 'DROP TABLE', from: 'yesterday', limit: '1000', beforeId: '0' })
+        .map(error => error.field)).toEqual(['action', 'from', 'limit', 'beforeId']);
+      expect(validateAuditQuery({ from: '2024-11-05', to: '2024-11-01' }))
+        .toEqual([{ field: 'to', message: 'to must not be before from' }]);
+    });
+
+    test('converts B4 audit_log rows', () => {
+      const entry = formatAuditEntry({
+        id: '1042',
+        occurred_at: new Date('2024-11-05T10:12:00Z'),
+        actor: 'system',
+        actor_role: null,
+        action: 'rental_info.sync',
+        license_plate: 'XYZ-789',
+        target_type: 'rental_info',
+        target_id: 'XYZ-789',
+        before_values: { is_available: false },
+        after_values: { is_available: true },
+        request: null
+      });
+
+      expect(entry).toMatchObject({ auditId: 1042, actor: 'system', target: { type: 'rental_info', id: 'XYZ-789' } });
+      expect(entry.after).toEqual({ is_available: true });
+    });
+  });
+});
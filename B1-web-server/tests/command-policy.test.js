@@ -0,0 +1,135 @@
+const { evaluateCommandPolicy } = require('../command-policy');
+const ConfirmationTokens = require('../confirmation-tokens');
+
+describe('B1 Command Policy Tests', () => {
+  const now = new Date('2024-11-04T10:30:00Z');
+  const parked = {
+    licensePlate: 'ABC-123',
+    speed: 0,
+    engineStatus: 'off',
+    gps: { lat: 60.1699, lng: 24.9384 },
+    timestamp: new Date('2024-11-04T10:29:30Z')
+  };
+  const rentedToLaura = {
+    license_plate: 'ABC-123',
+    is_available: false,
+    current_renter_name: 'Laura Mäkinen',
+    current_renter_phone: '+358-41-777-8888'
+  };
+
+  describe('Safety interlocks', () => {
+    test('allows unlocking a parked car', () => {
+      const result = evaluateCommandPolicy({ command: 'unlock_doors', telemetry: parked, now });
+
+      expect(result).toEqual({ allowed: true, reasons: [] });
+    });
+
+    test('refuses unlock_doors while moving', () => {
+      const result = evaluateCommandPolicy({ command: 'unlock_doors', telemetry: { ...parked, speed: 42 }, now });
+
+      expect(result.allowed).toBe(false);
+      expect(result.reasons[0].code).toBe('VEHICLE_MOVING');
+    });
+
+    test('refuses unlock_doors when the requester is far from the car', () => {
+      const result = evaluateCommandPolicy({
+        command: 'unlock_doors',
+        telemetry: parked,
+        requesterLocation: { lat: 60.2055, lng: 24.6559 }, // Espoo
+        now
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.reasons[0].code).toBe('REQUESTER_TOO_FAR');
+    });
+
+    test('refuses start_engine when the car is rented to someone else', () => {
+      const result = evaluateCommandPolicy({
+        command: 'start_engine',
+        telemetry: parked,
+        rental: rentedToLaura,
+        requester: { name: 'John Doe' },
+        now
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.reasons[0].code).toBe('RENTED_TO_OTHER');
+    });
+
+    test('recognizes the current renter by email', () => {
+      const result = evaluateCommandPolicy({
+        command: 'start_engine',
+        telemetry: parked,
+        rental: { ...rentedToLaura, current_renter_email: 'laura.makinen@email.com' },
+        requester: { email: 'Laura.Makinen@email.com' },
+        now
+      });
+
+      expect(result.allowed).toBe(true);
+    });
+
+    test('does not take a matching name or phone for the current renter', () => {
+      for (const requester of [{ name: 'Laura Mäkinen' }, { phone: '+358 41 777 8888' }]) {
+        const result = evaluateCommandPolicy({
+          command: 'start_engine',
+          telemetry: parked,
+          rental: { ...rentedToLaura, current_renter_email: 'laura.makinen@email.com' },
+          requester: { email: 'other.laura@email.com', ...requester },
+          now
+        });
+
+        expect(result.reasons[0].code).toBe('RENTED_TO_OTHER');
+      }
+    });
+
+    test('refuses sensitive commands without fresh telemetry', () => {
+      expect(evaluateCommandPolicy({ command: 'unlock_doors', telemetry: null, now }).reasons[0].code)
+        .toBe('TELEMETRY_UNAVAILABLE');
+
+      const stale = { ...parked, timestamp: new Date('2024-11-04T09:00:00Z') };
+      expect(evaluateCommandPolicy({ command: 'unlock_doors', telemetry: stale, now }).reasons[0].code)
+        .toBe('TELEMETRY_STALE');
+    });
+
+    test('does not restrict commands without interlocks', () => {
+      const result = evaluateCommandPolicy({ command: 'start_ac', telemetry: null, now });
+
+      expect(result.allowed).toBe(true);
+    });
+  });
+
+  describe('Confirmation tokens', () => {
+    const request = { licensePlate: 'ABC-123', command: 'unlock_doors', parameters: {} };
+
+    test('tokens are single use', () => {
+      const tokens = new ConfirmationTokens();
+      const { token } = tokens.issue(request);
+
+      expect(tokens.consume(token, request)).toBe(true);
+      expect(tokens.consume(token, request)).toBe(false);
+    });
+
+    test('tokens only confirm the command they were issued for', () => {
+      const tokens = new ConfirmationTokens();
+      const { token } = tokens.issue(request);
+
+      expect(tokens.consume(token, { ...request, licensePlate: 'XYZ-789' })).toBe(false);
+      expect(tokens.consume(token, request)).toBe(true);
+    });
+
+    test('tokens only confirm for the user they were issued to', () => {
+      const tokens = new ConfirmationTokens();
+      const { token } = tokens.issue({ ...request, requestedBy: 'john.doe@email.com' });
+
+      expect(tokens.consume(token, { ...request, requestedBy: 'jane.smith@email.com' })).toBe(false);
+      expect(tokens.consume(token, { ...request, requestedBy: 'john.doe@email.com' })).toBe(true);
+    });
+
+    test('expired tokens are rejected', () => {
+      const tokens = new ConfirmationTokens({ ttlSeconds: 0 });
+      const { token } = tokens.issue(request);
+
+      expect(tokens.consume(token, request)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const { CommandScheduler, computeNextRun, validateCron } = require('../command-scheduler');
+
+describe('B1 Command Scheduler Tests', () => {
+  describe('Next run calculation', () => {
+    test('one-off schedule runs once at runAt', () => {
+      const schedule = { type: 'once', runAt: '2024-11-05T06:00:00Z' };
+
+      expect(computeNextRun(schedule, new Date('2024-11-04T10:00:00Z')))
+        .toEqual(new Date('2024-11-05T06:00:00Z'));
+      expect(computeNextRun(schedule, new Date('2024-11-05T06:00:00Z'))).toBeNull();
+    });
+
+    test('cron schedule is evaluated in its timezone', () => {
+      // Weekdays 07:30 Helsinki time (UTC+2 in November)
+      const schedule = { type: 'cron', cron: '30 7 * * 1-5', timezone: 'Europe/Helsinki' };
+
+      expect(computeNextRun(schedule, new Date('2024-11-04T10:00:00Z')))
+        .toEqual(new Date('2024-11-05T05:30:00Z'));
+      // Friday after the run -> next Monday
+      expect(computeNextRun(schedule, new Date('2024-11-08T06:00:00Z')))
+        .toEqual(new Date('2024-11-11T05:30:00Z'));
+    });
+
+    test('validateCron reports invalid expressions and timezones', () => {
+      expect(validateCron('30 7 * * 1-5', 'Europe/Helsinki')).toBeNull();
+      expect(validateCron('not a cron', 'Europe/Helsinki')).toMatch(/Invalid cron/);
+      expect(validateCron('30 7 * * *', 'Mars/Olympus_Mons')).toMatch(/Invalid cron/);
+    });
+  });
+
+  describe('Running due schedules', () => {
+    const now = new Date('2024-11-05T05:30:10Z');
+
+    function createScheduler(overrides = {}) {
+      const queries = {
+        getDueSchedules: jest.fn().mockResolvedValue([]),
+        claimScheduleRun: jest.fn().mockResolvedValue(true),
+        insertScheduleRun: jest.fn().mockResolvedValue({}),
+        updateSchedule: jest.fn().mockResolvedValue({}),
+        ...overrides
+      };
+      const runCommand = jest.fn().mockResolvedValue({ outcome: 'dispatched', commandId: 'cmd-1' });
+      const checkAccess = jest.fn().mockResolvedValue(null);
+      const scheduler = new CommandScheduler({ queries, runCommand, checkAccess, misfireGraceSeconds: 300 });
+      return { scheduler, queries, runCommand, checkAccess };
+    }
+
+    test('dispatches a due cron schedule and moves it to the next run', async () => {
+      const schedule = {
+        _id: 'sched-1',
+        licensePlate: 'ABC-123',
+        command: 'start_heating',
+        type: 'cron',
+        cron: '30 7 * * 1-5',
+        timezone: 'Europe/Helsinki',
+        nextRunAt: new Date('2024-11-05T05:30:00Z')
+      };
+      const { scheduler, queries, runCommand } = createScheduler();
+
+      await scheduler.runSchedule(schedule, now);
+
+      expect(queries.claimScheduleRun).toHaveBeenCalledWith('sched-1', schedule.nextRunAt, {
+        nextRunAt: new Date('2024-11-06T05:30:00Z'),
+        lastRunAt: now
+      });
+      expect(runCommand).toHaveBeenCalledWith(schedule);
+      expect(queries.insertScheduleRun).toHaveBeenCalledWith(expect.objectContaining({
+        scheduleId: 'sched-1',
+        scheduledFor: schedule.nextRunAt,
+        outcome: 'dispatched',
+        commandId: 'cmd-1'
+      }));
+    });
+
+    test('completes a one-off schedule after its run', async () => {
+      const schedule = { _id: 'sched-2', type: 'once', runAt: '2024-11-05T05:30:00Z', nextRunAt: new Date('2024-11-05T05:30:00Z') };
+      const { scheduler, queries } = createScheduler();
+
+      await scheduler.runSchedule(schedule, now);
+
+      expect(queries.claimScheduleRun.mock.calls[0][2]).toEqual({ nextRunAt: null, lastRunAt: now, status: 'completed' });
+    });
+
+    test('does not run a schedule claimed by another instance', async () => {
+      const schedule = { _id: 'sched-3', type: 'once', runAt: '2024-11-05T05:30:00Z', nextRunAt: new Date('2024-11-05T05:30:00Z') };
+      const { scheduler, queries, runCommand } = createScheduler({ claimScheduleRun: jest.fn().mockResolvedValue(false) });
+
+      await scheduler.runSchedule(schedule, now);
+
+      expect(runCommand).not.toHaveBeenCalled();
+      expect(queries.insertScheduleRun).not.toHaveBeenCalled();
+    });
+
+    test('records runs missed while the scheduler was down without dispatching', async () => {
+      const schedule = { _id: 'sched-4', type: 'once', runAt: '2024-11-05T03:00:00Z', nextRunAt: new Date('2024-11-05T03:00:00Z') };
+      const { scheduler, queries, runCommand } = createScheduler();
+
+      await scheduler.runSchedule(schedule, now);
+
+      expect(runCommand).not.toHaveBeenCalled();
+      expect(queries.insertScheduleRun).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'missed' }));
+    });
+
+    test('pauses a recurring schedule whose creator lost access to the car', async () => {
+      const schedule = {
+        _id: 'sched-6',
+        licensePlate: 'ABC-123',
+        command: 'lock_doors',
+        type: 'cron',
+        cron: '0 22 * * *',
+        timezone: 'Europe/Helsinki',
+        createdBy: 'renter@example.com',
+        nextRunAt: new Date('2024-11-05T05:30:00Z')
+      };
+      const reasons = [{ code: 'KEY_REVOKED', message: 'The digital key has been revoked' }];
+      const { scheduler, queries, runCommand, checkAccess } = createScheduler();
+      checkAccess.mockResolvedValue(reasons);
+
+      await scheduler.runSchedule(schedule, now);
+
+      expect(checkAccess).toHaveBeenCalledWith(schedule);
+      expect(runCommand).not.toHaveBeenCalled();
+      expect(queries.updateSchedule).toHaveBeenCalledWith('sched-6', { status: 'paused' });
+      expect(queries.insertScheduleRun).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'denied', reasons }));
+    });
+
+    test('leaves a denied one-off schedule completed', async () => {
+      const schedule = { _id: 'sched-7', type: 'once', runAt: '2024-11-05T05:30:00Z', nextRunAt: new Date('2024-11-05T05:30:00Z') };
+      const { scheduler, queries, runCommand, checkAccess } = createScheduler();
+      checkAccess.mockResolvedValue([{ code: 'NO_CAR_ACCESS', message: 'No access' }]);
+
+      await scheduler.runSchedule(schedule, now);
+
+      expect(runCommand).not.toHaveBeenCalled();
+      expect(queries.updateSchedule).not.toHaveBeenCalled();
+      expect(queries.insertScheduleRun).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'denied' }));
+    });
+
+    test('records failures of the dispatch itself', async () => {
+      const schedule = { _id: 'sched-5', type: 'once', runAt: '2024-11-05T05:30:00Z', nextRunAt: new Date('2024-11-05T05:30:00Z') };
+      const { scheduler, queries, runCommand } = createScheduler();
+      runCommand.mockRejectedValue(new Error('Redis unavailable'));
+
+      await scheduler.runSchedule(schedule, now);
+
+      expect(queries.insertScheduleRun).toHaveBeenCalledWith(expect.objectContaining({
+        outcome: 'failed',
+        error: 'Redis unavailable'
+      }));
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const {
+  keyStatus,
+  checkDigitalKey,
+  selectDigitalKey,
+  validateKeyCommands,
+  formatDigitalKey
+} = require('../digital-keys');
+
+describe('B1 Digital Key Tests', () => {
+  const today = '2024-11-05';
+  const key = {
+    id: 5,
+    reservation_id: 3,
+    license_plate: 'XYZ-789',
+    holder_email: 'laura.makinen@email.com',
+    commands: ['lock_doors', 'unlock_doors'],
+    start_date: '2024-11-02',
+    end_date: '2024-11-08',
+    reservation_status: 'confirmed',
+    revoked_at: null
+  };
+  const request = { licensePlate: 'XYZ-789', command: 'unlock_doors', holderEmail: 'Laura.Makinen@email.com', today };
+
+  describe('Validity', () => {
+    test('is valid from the first to the last day of the rental', () => {
+      expect(checkDigitalKey(key, request)).toEqual({ valid: true, reasons: [] });
+      expect(checkDigitalKey(key, { ...request, today: '2024-11-02' }).valid).toBe(true);
+      expect(checkDigitalKey(key, { ...request, today: '2024-11-08' }).valid).toBe(true);
+
+      expect(checkDigitalKey(key, { ...request, today: '2024-11-01' }).reasons)
+        .toEqual([{ code: 'KEY_NOT_YET_VALID', message: 'The digital key is valid from 2024-11-02' }]);
+      expect(checkDigitalKey(key, { ...request, today: '2024-11-09' }).reasons[0].code).toBe('KEY_EXPIRED');
+    });
+
+    test('rejects revoked keys and keys of ended reservations', () => {
+      expect(checkDigitalKey({ ...key, revoked_at: new Date() }, request).reasons[0].code).toBe('KEY_REVOKED');
+      expect(checkDigitalKey({ ...key, reservation_status: 'completed' }, request).reasons[0].code).toBe('KEY_EXPIRED');
+    });
+
+    test('rejects other cars, holders and commands', () => {
+      const limited = { ...key, commands: ['lock_doors'] };
+
+      expect(checkDigitalKey(limited, { ...request, licensePlate: 'ABC-123', holderEmail: 'jussi.heikkila@email.com' })
+        .reasons.map(reason => reason.code)).toEqual(['NOT_KEY_HOLDER', 'WRONG_CAR', 'COMMAND_NOT_ALLOWED']);
+    });
+
+    test('denies renters without a key', () => {
+      expect(checkDigitalKey(null, request).reasons[0].code).toBe('NO_DIGITAL_KEY');
+    });
+  });
+
+  describe('Selection', () => {
+    test('uses the key that is valid today unless one is requested', () => {
+      const past = { ...key, id: 2, start_date: '2024-10-01', end_date: '2024-10-03', reservation_status: 'completed', revoked_at: new Date() };
+      const keys = [past, key];
+
+      expect(selectDigitalKey(keys, { licensePlate: 'XYZ-789', today }).id).toBe(5);
+      expect(selectDigitalKey(keys, { keyId: 2, licensePlate: 'XYZ-789', today }).id).toBe(2);
+      expect(selectDigitalKey(keys, { keyId: 9, licensePlate: 'XYZ-789', today })).toBeNull();
+      expect(selectDigitalKey([past], { licensePlate: 'XYZ-789', today }).id).toBe(2);
+    });
+  });
+
+  describe('Keys', () => {
+    test('validates the commands of a new key', () => {
+      expect(validateKeyCommands(undefined)).toEqual([]);
+      expect(validateKeyCommands(['lock_doors'])).toEqual([]);
+      expect(validateKeyCommands(['start_engine'])[0].field).toBe('commands');
+      expect(validateKeyCommands([])[0].field).toBe('commands');
+    });
+
+    test('reports the status of a key', () => {
+      expect(keyStatus(key, '2024-11-01')).toBe('scheduled');
+      expect(formatDigitalKey(key, today)).toMatchObject({
+        keyId: 5,
+        validFrom: '2024-11-02',
+        validUntil: '2024-11-08',
+        status: 'active'
+      });
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const {
+  parseBbox,
+  inBbox,
+  rentalStatus,
+  positionFeature,
+  featureCollection,
+  parseNearbyQuery,
+  nearbyCar
+} = require('../fleet-map');
+
+describe('B1 Fleet Map Tests', () => {
+  const car = {
+    license_plate: 'ABC-123',
+    make: 'Toyota',
+    model: 'Camry',
+    color: 'Silver',
+    owner_name: 'John Doe',
+    daily_rate: '49.00',
+    is_available: false,
+    current_renter_name: 'Jane Smith',
+    current_renter_email: 'jane@example.com',
+    rental_end_date: '2024-11-08'
+  };
+  const reading = {
+    licensePlate: 'ABC-123',
+    indoorTemp: 21.46,
+    outdoorTemp: 8.31,
+    gps: { lat: 60.1699, lng: 24.9384 },
+    speed: 0,
+    engineStatus: 'off',
+    timestamp: new Date('2024-11-05T06:00:00Z')
+  };
+
+  describe('Bounding boxes', () => {
+    test('are parsed in west,south,east,north order', () => {
+      expect(parseBbox(undefined)).toEqual({ bbox: null });
+      expect(parseBbox('24.8, 60.1,25.1,60.3')).toEqual({ bbox: [24.8, 60.1, 25.1, 60.3] });
+      expect(parseBbox('24.8,60.1,25.1').error).toMatch(/^bbox must be west,south,east,north/);
+      expect(parseBbox('24.8,60.3,25.1,60.1').error).toBeDefined();
+      expect(parseBbox('24.8,91,25.1,92').error).toBeDefined();
+      expect(parseBbox('24.8,,25.1,60.3').error).toBeDefined();
+    });
+
+    test('may cross the antimeridian', () => {
+      expect(inBbox({ lat: 60.17, lng: 24.94 }, [24.8, 60.1, 25.1, 60.3])).toBe(true);
+      expect(inBbox({ lat: 60.17, lng: 25.2 }, [24.8, 60.1, 25.1, 60.3])).toBe(false);
+      expect(inBbox({ lat: -17, lng: 179.5 }, [170, -20, -170, -10])).toBe(true);
+      expect(inBbox({ lat: -17, lng: -175 }, [170, -20, -170, -10])).toBe(true);
+      expect(inBbox({ lat: -17, lng: 0 }, [170, -20, -170, -10])).toBe(false);
+    });
+  });
+
+  describe('Features', () => {
+    test('combine the position, presence and rental of a car', () => {
+      const presence = JSON.stringify({ connectedAt: '2024-11-05T05:00:00.000Z' });
+
+      expect(positionFeature(car, reading, presence)).toEqual({
+        type: 'Feature',
+        id: 'ABC-123',
+        geometry: { type: 'Point', coordinates: [24.9384, 60.1699] },
+        properties: {
+          licensePlate: 'ABC-123',
+          make: 'Toyota',
+          model: 'Camry',
+          color: 'Silver',
+          owner: 'John Doe',
+          online: true,
+          connectedAt: '2024-11-05T05:00:00.000Z',
+          rentalStatus: 'rented',
+          renter: { name: 'Jane Smith', email: 'jane@example.com' },
+          rentalEndDate: '2024-11-08',
+          indoorTemp: 21.5,
+          outdoorTemp: 8.3,
+          speed: 0,
+          engineStatus: 'off',
+          lastUpdated: '2024-11-05T06:00:00.000Z'
+        }
+      });
+    });
+
+    test('have no geometry for cars without a position', () => {
+      const feature = positionFeature({ ...car, is_available: true }, null, null);
+
+      expect(feature.geometry).toBeNull();
+      expect(feature.properties).toMatchObject({ online: false, rentalStatus: 'available', renter: null, indoorTemp: null, lastUpdated: null });
+    });
+
+    test('leave the online state unknown without Redis', () => {
+      expect(positionFeature(car, reading, undefined).properties.online).toBeNull();
+    });
+
+    test('tell apart cars that are not offered for rent', () => {
+      expect(rentalStatus({ daily_rate: null, is_available: null })).toBe('not_offered');
+      expect(rentalStatus({ daily_rate: '49.00', is_available: true })).toBe('available');
+    });
+  });
+
+  describe('Collections', () => {
+    test('keep only positioned cars inside the bounding box', () => {
+      const features = [
+        positionFeature(car, reading, null),
+        positionFeature({ ...car, license_plate: 'XYZ-789' }, { ...reading, gps: { lat: 59.44, lng: 24.75 } }, null),
+        positionFeature({ ...car, license_plate: 'NEW-1' }, null, null)
+      ];
+
+      expect(featureCollection(features).features).toHaveLength(3);
+      const filtered = featureCollection(features, [24.8, 60.1, 25.1, 60.3]);
+      expect(filtered.bbox).toEqual([24.8, 60.1, 25.1, 60.3]);
+      expect(filtered.features.map(feature => feature.id)).toEqual(['ABC-123']);
+    });
+  });
+
+  describe('Nearby cars', () => {
+    test('are searched within 2 km by default', () => {
+      expect(parseNearbyQuery({ lat: '60.1699', lng: '24.9384' })).toEqual({
+        point: { lat: 60.1699, lng: 24.9384 },
+        radius: 2000,
+        availableOnly: false
+      });
+      expect(parseNearbyQuery({ lat: '60.1699', lng: '24.9384', radius: '500', available: 'true' }))
+        .toMatchObject({ radius: 500, availableOnly: true });
+    });
+
+    test('need a valid point and radius', () => {
+      expect(parseNearbyQuery({}).errors.map(error => error.field)).toEqual(['lat', 'lng']);
+      expect(parseNearbyQuery({ lat: '91', lng: '', radius: '0' }).errors.map(error => error.field))
+        .toEqual(['lat', 'lng', 'radius']);
+      expect(parseNearbyQuery({ lat: '60', lng: '25', radius: '60000', available: 'yes' }).errors.map(error => error.field))
+        .toEqual(['radius', 'available']);
+    });
+
+    test('combine the nearby reading with the rental status', () => {
+      const available = { ...car, is_available: true, year: 2022 };
+
+      expect(nearbyCar(available, { ...reading, distance: 409.6 })).toEqual({
+        licensePlate: 'ABC-123',
+        make: 'Toyota',
+        model: 'Camry',
+        year: 2022,
+        color: 'Silver',
+        distance: 410,
+        gps: { lat: 60.1699, lng: 24.9384 },
+        rentalStatus: 'available',
+        available: true,
+        dailyRate: 49,
+        lastUpdated: '2024-11-05T06:00:00.000Z'
+      });
+      expect(nearbyCar({ ...car, daily_rate: null, is_available: null }, { ...reading, distance: 0 }))
+        .toMatchObject({ rentalStatus: 'not_offered', available: false, dailyRate: null });
+    });
+  });
+});
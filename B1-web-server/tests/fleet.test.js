@@ -0,0 +1,102 @@
+const {
+  normalizeLicensePlate,
+  vinCheckDigit,
+  normalizeVin,
+  validateCar,
+  carFields,
+  formatCar
+} = require('../fleet');
+
+describe('B1 Fleet Tests', () => {
+  const newCar = {
+    licensePlate: 'mno 345',
+    vin: '1hgbh41jxmn109186',
+    make: 'Skoda',
+    model: 'Octavia',
+    year: 2024,
+    owner: { name: 'Anna Korhonen', email: 'anna.k@email.com' }
+  };
+  const row = {
+    license_plate: 'ABC-123',
+    owner_name: 'John Doe',
+    owner_phone: '+358-40-123-4567',
+    owner_email: 'john.doe@email.com',
+    make: 'Toyota',
+    model: 'Camry',
+    year: 2022,
+    color: 'Blue',
+    vin: '1HGBH41JXMN109186',
+    capabilities: ['climate', 'remote_locking'],
+    retired_at: null,
+    retired_by: null
+  };
+
+  describe('License plates', () => {
+    test('are stored upper case with a hyphen', () => {
+      expect(normalizeLicensePlate('ABC-123')).toBe('ABC-123');
+      expect(normalizeLicensePlate(' abc 123 ')).toBe('ABC-123');
+      expect(normalizeLicensePlate('abc123')).toBe('ABC-123');
+      expect(normalizeLicensePlate('äö--12')).toBe('ÄÖ-12');
+    });
+
+    test('rejects values that are not plates', () => {
+      expect(normalizeLicensePlate('ABC_123')).toBeNull();
+      expect(normalizeLicensePlate('')).toBeNull();
+      expect(normalizeLicensePlate(123)).toBeNull();
+    });
+  });
+
+  describe('VINs', () => {
+    test('checks the check digit', () => {
+      expect(vinCheckDigit('1HGBH41JXMN109186')).toBe('X');
+      expect(vinCheckDigit('1M8GDM9AXKP042788')).toBe('X');
+      expect(normalizeVin(' 1m8gdm9axkp042788')).toBe('1M8GDM9AXKP042788');
+      expect(normalizeVin('1M8GDM9A1KP042788')).toBeNull();
+    });
+
+    test('explains why a VIN is rejected', () => {
+      expect(validateCar({ ...newCar, vin: '1M8GDM9A1KP042788' }))
+        .toEqual([{ field: 'vin', message: 'vin check digit (9th character) does not match' }]);
+      expect(validateCar({ ...newCar, vin: '1M8GDM9AXKP04278O' })[0].message)
+        .toBe('vin must be 17 letters and digits (no I, O or Q)');
+    });
+  });
+
+  describe('Validation', () => {
+    test('accepts a new car', () => {
+      expect(validateCar(newCar, { thisYear: 2024 })).toEqual([]);
+      expect(validateCar({ ...newCar, rental: { dailyRate: 55, includedKmPerDay: null } }, { thisYear: 2024 })).toEqual([]);
+    });
+
+    test('rejects missing and invalid fields', () => {
+      expect(validateCar({ licensePlate: 'ABC_123', year: 1899, owner: { name: 'Anna' }, capabilities: ['fly'], rental: { dailyRate: 0 } })
+        .map(error => error.field))
+        .toEqual(['licensePlate', 'vin', 'make', 'model', 'year', 'owner.email', 'capabilities', 'rental.dailyRate']);
+    });
+
+    test('validates changes against the stored car', () => {
+      expect(validateCar({ owner: { phone: null }, color: 'Green' }, { current: row })).toEqual([]);
+      expect(validateCar({ owner: { email: 'not an email' } }, { current: row })[0].field).toBe('owner.email');
+      expect(validateCar({ licensePlate: 'xyz-789' }, { current: row })[0].message).toBe('The license plate of a car cannot change');
+      expect(validateCar({ rental: { dailyRate: 50 } }, { current: row })[0].field).toBe('rental');
+      expect(validateCar({}, { current: row })[0].field).toBe('body');
+    });
+  });
+
+  describe('Formatting', () => {
+    test('builds B4 fields of a request', () => {
+      expect(carFields({ vin: '1hgbh41jxmn109186', make: ' Toyota ', owner: { name: ' Jane Doe ' } })).toMatchObject({
+        vin: '1HGBH41JXMN109186',
+        make: 'Toyota',
+        model: undefined,
+        ownerName: 'Jane Doe'
+      });
+      expect(carFields({ owner: { name: 'Jane Doe' } })).not.toHaveProperty('ownerEmail');
+    });
+
+    test('converts B4 cars', () => {
+      expect(formatCar(row)).toMatchObject({ licensePlate: 'ABC-123', owner: { name: 'John Doe' }, retired: false });
+      expect(formatCar({ ...row, retired_at: new Date(), retired_by: 'admin@cardemo.com' }).retired).toBe(true);
+    });
+  });
+});
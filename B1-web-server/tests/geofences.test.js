@@ -0,0 +1,83 @@
+const {
+  validateGeofence,
+  geofenceFields,
+  formatGeofence,
+  parseEventsQuery
+} = require('../geofences');
+
+describe('B1 Geofence Tests', () => {
+  const circle = { name: 'Helsinki depot', type: 'circle', center: { lat: 60.1699, lng: 24.9384 }, radius: 300 };
+  const polygon = {
+    name: 'Permitted region',
+    licensePlate: 'abc123',
+    type: 'polygon',
+    points: [
+      { lat: 60.10, lng: 24.80 },
+      { lat: 60.10, lng: 25.10 },
+      { lat: 60.30, lng: 25.10 }
+    ]
+  };
+
+  describe('Validation', () => {
+    test('accepts circles and polygons', () => {
+      expect(validateGeofence(circle)).toEqual([]);
+      expect(validateGeofence(polygon)).toEqual([]);
+    });
+
+    test('needs the shape of the type', () => {
+      expect(validateGeofence({ name: 'Depot', type: 'circle', center: { lat: 95, lng: 0 }, radius: -1 }).map(error => error.field))
+        .toEqual(['center', 'radius']);
+      expect(validateGeofence({ ...polygon, points: polygon.points.slice(0, 2) }).map(error => error.field))
+        .toEqual(['points']);
+      expect(validateGeofence({ name: ' ', type: 'square', licensePlate: '???' }).map(error => error.field))
+        .toEqual(['name', 'licensePlate', 'type']);
+    });
+
+    test('checks changes against the current geofence', () => {
+      const current = { _id: 'g1', ...circle, points: null };
+
+      expect(validateGeofence({ radius: 500 }, { current })).toEqual([]);
+      expect(validateGeofence({ type: 'polygon' }, { current }).map(error => error.field)).toEqual(['points']);
+      expect(validateGeofence({ type: 'polygon', points: polygon.points }, { current })).toEqual([]);
+    });
+  });
+
+  describe('Fields', () => {
+    test('normalize the license plate and clear the shape of the other type', () => {
+      expect(geofenceFields(polygon)).toEqual({
+        name: 'Permitted region',
+        licensePlate: 'ABC-123',
+        type: 'polygon',
+        center: null,
+        radius: null,
+        points: polygon.points
+      });
+      expect(geofenceFields({ radius: 500 })).toEqual({ radius: 500 });
+      expect(geofenceFields({ licensePlate: null })).toEqual({ licensePlate: null });
+    });
+
+    test('keep only the coordinates of points', () => {
+      expect(geofenceFields({ ...circle, center: { lat: 60.1, lng: 24.9, label: 'x' } }).center)
+        .toEqual({ lat: 60.1, lng: 24.9 });
+    });
+
+    test('are formatted for responses', () => {
+      expect(formatGeofence({ _id: 'g1', ...circle, points: null, createdBy: 'staff@cardemo.com' })).toMatchObject({
+        geofenceId: 'g1',
+        licensePlate: null,
+        type: 'circle',
+        center: { lat: 60.1699, lng: 24.9384 },
+        radius: 300,
+        points: null
+      });
+    });
+  });
+
+  describe('Events', () => {
+    test('are filtered by time and limited', () => {
+      expect(parseEventsQuery({})).toEqual({ geofenceId: undefined, from: undefined, to: undefined, limit: 100 });
+      expect(parseEventsQuery({ from: '2024-11-01', limit: '20' })).toMatchObject({ from: new Date('2024-11-01'), limit: 20 });
+      expect(parseEventsQuery({ from: 'monday', limit: '1000' }).errors.map(error => error.field)).toEqual(['from', 'limit']);
+    });
+  });
+});
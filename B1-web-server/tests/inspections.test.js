@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  validateInspection,
+  snapshotTelemetry,
+  formatInspection,
+  compareInspections,
+  savePhoto,
+  removePhoto
+} = require('../inspections');
+
+describe('B1 Inspection Tests', () => {
+  const checkout = {
+    id: 1,
+    kind: 'checkout',
+    odometer_km: 45210,
+    fuel_level_percent: 80,
+    cleanliness: 'clean',
+    damage_notes: 'Small scratch on the rear bumper',
+    photos: [{ id: 1 }, { id: 2 }]
+  };
+
+  describe('Validation', () => {
+    test('accepts a complete inspection', () => {
+      expect(validateInspection({ odometerKm: 45210, fuelLevelPercent: 80, cleanliness: 'clean' })).toEqual([]);
+    });
+
+    test('rejects missing and out of range readings', () => {
+      expect(validateInspection({ odometerKm: -1, fuelLevelPercent: 101, cleanliness: 'spotless', notes: 5 })
+        .map(error => error.field)).toEqual(['odometerKm', 'fuelLevelPercent', 'cleanliness', 'notes']);
+    });
+
+    test('accepts damage fees only at return', () => {
+      const body = { odometerKm: 46930, fuelLevelPercent: 80, cleanliness: 'clean', damageFees: [{ description: 'Dent', amount: 250 }] };
+
+      expect(validateInspection(body, { checkout })).toEqual([]);
+      expect(validateInspection(body)).toEqual([{ field: 'damageFees', message: 'damageFees are recorded at checkin' }]);
+      expect(validateInspection({ ...body, damageFees: [{ description: ' ', amount: -5 }] }, { checkout })
+        .map(error => error.field)).toEqual(['damageFees[0].description', 'damageFees[0].amount']);
+    });
+
+    test('rejects a return odometer below the handover reading', () => {
+      expect(validateInspection({ odometerKm: 45000, fuelLevelPercent: 50, cleanliness: 'clean' }, { checkout }))
+        .toEqual([{ field: 'odometerKm', message: 'odometerKm must not be below the checkout reading (45210 km)' }]);
+    });
+  });
+
+  describe('Telemetry', () => {
+    test('stores the B3 document without its id', () => {
+      const snapshot = snapshotTelemetry({ _id: 'abc', licensePlate: 'XYZ-789', batteryLevel: 64 });
+
+      expect(snapshot).toEqual({ licensePlate: 'XYZ-789', batteryLevel: 64 });
+      expect(snapshotTelemetry(null)).toBeNull();
+    });
+  });
+
+  describe('Comparison', () => {
+    test('is not available before the car is returned', () => {
+      expect(compareInspections(checkout, null)).toBeNull();
+    });
+
+    test('reports distance and a return without issues', () => {
+      const checkin = { ...checkout, odometer_km: 45622, fuel_level_percent: 77, photos: [] };
+      const comparison = compareInspections(checkout, checkin);
+
+      expect(comparison).toMatchObject({ distanceKm: 412, fuelLevelChange: -3, photos: { checkout: 2, checkin: 0 } });
+      expect(comparison.issues).toEqual([]);
+    });
+
+    test('flags less fuel, a dirtier car and new damage', () => {
+      const checkin = {
+        ...checkout,
+        odometer_km: 45622,
+        fuel_level_percent: 50,
+        cleanliness: 'dirty',
+        damage_notes: 'Small scratch on the rear bumper, dent in the driver door'
+      };
+      const comparison = compareInspections(checkout, checkin);
+
+      expect(comparison.issues.map(issue => issue.type)).toEqual(['fuel', 'cleanliness', 'damage']);
+      expect(comparison.issues[0].message).toBe('Returned with 30 percentage points less fuel or charge');
+      expect(comparison.cleanliness.worse).toBe(true);
+      expect(comparison.damage.newDamage).toBe(true);
+    });
+  });
+
+  describe('Photos', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inspections-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('stores photos per inspection under a generated name', async () => {
+      const fileName = await savePhoto(dir, 7, Buffer.from('jpeg data'), 'image/jpeg');
+
+      expect(fileName).toMatch(/^7[/\\][0-9a-f-]{36}\.jpg$/);
+      expect(fs.readFileSync(path.join(dir, fileName), 'utf8')).toBe('jpeg data');
+    });
+
+    test('removes stored photos, also ones already gone', async () => {
+      const fileName = await savePhoto(dir, 7, Buffer.from('png data'), 'image/png');
+
+      await removePhoto(dir, fileName);
+      await removePhoto(dir, fileName);
+
+      expect(fs.existsSync(path.join(dir, fileName))).toBe(false);
+    });
+
+    test('lists photo metadata of B4 rows', () => {
+      const inspection = formatInspection({
+        ...checkout,
+        telemetry_snapshot: { batteryLevel: 64 },
+        photos: [{ id: 3, content_type: 'image/png', size_bytes: 1024, caption: 'Rear bumper' }]
+      });
+
+      expect(inspection).toMatchObject({ inspectionId: 1, odometerKm: 45210, telemetry: { batteryLevel: 64 } });
+      expect(inspection.photos).toEqual([expect.objectContaining({ photoId: 3, contentType: 'image/png', caption: 'Rear bumper' })]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const {
+  insuredThrough,
+  firstUninsuredDay,
+  insuranceStatus,
+  validateInsurancePolicy,
+  renewalOf,
+  formatInsurancePolicy,
+  formatInsuranceExpiry
+} = require('../insurance');
+
+describe('B1 Insurance Tests', () => {
+  const today = '2024-11-05';
+  const policy = {
+    id: 1,
+    license_plate: 'ABC-123',
+    policy_number: 'POL-2024-001',
+    insurance_company: 'Vakuutus Yhtiö',
+    start_date: '2024-01-01',
+    end_date: '2024-12-31',
+    coverage_type: 'Comprehensive',
+    premium_amount: '1200.00'
+  };
+  const renewal = { ...policy, id: 2, start_date: '2025-01-01', end_date: '2025-12-31' };
+
+  describe('Coverage', () => {
+    test('joins back-to-back policies', () => {
+      expect(insuredThrough([policy], today)).toBe('2024-12-31');
+      expect(insuredThrough([renewal, policy], today)).toBe('2025-12-31');
+      expect(insuredThrough([renewal], today)).toBeNull();
+    });
+
+    test('finds the first day of a rental without insurance', () => {
+      expect(firstUninsuredDay([policy], '2024-12-28', '2025-01-03')).toBe('2025-01-01');
+      expect(firstUninsuredDay([policy, renewal], '2024-12-28', '2025-01-03')).toBeNull();
+      expect(firstUninsuredDay([renewal], '2024-12-28', '2025-01-03')).toBe('2024-12-28');
+      expect(firstUninsuredDay([], today, today)).toBe(today);
+    });
+
+    test('makes cars with lapsed insurance not rentable', () => {
+      expect(insuranceStatus([policy], today)).toEqual({ status: 'insured', rentable: true, insuredUntil: '2024-12-31' });
+      expect(insuranceStatus([policy], '2025-01-01')).toEqual({ status: 'lapsed', rentable: false, insuredUntil: null });
+      expect(insuranceStatus([], today).status).toBe('uninsured');
+    });
+  });
+
+  describe('Policies', () => {
+    test('validates a new policy', () => {
+      const body = { policyNumber: 'POL-1', insuranceCompany: 'Turva', startDate: '2025-01-01', endDate: '2025-12-31' };
+
+      expect(validateInsurancePolicy(body)).toEqual([]);
+      expect(validateInsurancePolicy({ ...body, endDate: '2024-12-31' }))
+        .toEqual([{ field: 'endDate', message: 'endDate must not be before startDate' }]);
+      expect(validateInsurancePolicy({ startDate: '2025-02-30', endDate: '2025-12-31', premiumAmount: -1, coverageType: '' })
+        .map(error => error.field)).toEqual(['policyNumber', 'insuranceCompany', 'coverageType', 'startDate', 'premiumAmount']);
+    });
+
+    test('renews a policy for a year from the day after it ends', () => {
+      expect(renewalOf(policy)).toEqual({
+        licensePlate: 'ABC-123',
+        policyNumber: 'POL-2024-001',
+        insuranceCompany: 'Vakuutus Yhtiö',
+        startDate: '2025-01-01',
+        endDate: '2025-12-31',
+        coverageType: 'Comprehensive',
+        premiumAmount: 1200
+      });
+      expect(renewalOf(policy, { endDate: '2025-06-30', premiumAmount: 700 }))
+        .toMatchObject({ startDate: '2025-01-01', endDate: '2025-06-30', premiumAmount: 700 });
+    });
+
+    test('reports the status of policies and cars', () => {
+      expect(formatInsurancePolicy(renewal, today)).toMatchObject({ policyId: 2, premiumAmount: 1200, status: 'scheduled' });
+      expect(formatInsurancePolicy(policy, '2025-01-01').status).toBe('expired');
+
+      const lapsed = formatInsuranceExpiry({
+        license_plate: 'GHI-789',
+        owner_name: 'Anna Korhonen',
+        owner_phone: null,
+        policy_id: 4,
+        policy_number: 'VW-2024-012',
+        insurance_company: 'Auto Protect',
+        start_date: '2024-02-20',
+        end_date: '2024-11-01',
+        days_until_expiry: -4,
+        insured_today: false
+      });
+      expect(lapsed).toMatchObject({ status: 'lapsed', rentable: false, daysUntilExpiry: -4, policy: { policyId: 4 } });
+      expect(formatInsuranceExpiry({ license_plate: 'MNO-345', policy_id: null, insured_today: false }))
+        .toMatchObject({ status: 'uninsured', rentable: false, policy: null });
+    });
+  });
+});
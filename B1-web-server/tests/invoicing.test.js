@@ -0,0 +1,159 @@
+const { Invoicer, buildInvoice, formatInvoice } = require('../invoicing');
+const { renderInvoiceHtml, renderInvoicePdf } = require('../invoice-document');
+
+describe('B1 Invoicing Tests', () => {
+  const car = { license_plate: 'XYZ-789', make: 'Volkswagen', model: 'Golf', daily_rate: '40.00', included_km_per_day: 200, extra_km_rate: '0.30' };
+  // Monday to Sunday in November
+  const reservation = {
+    id: 3,
+    license_plate: 'XYZ-789',
+    renter_name: 'Laura Mäkinen',
+    renter_phone: '+358-41-777-8888',
+    renter_email: 'laura.makinen@email.com',
+    start_date: '2024-11-04',
+    end_date: '2024-11-10',
+    rental_days: 7
+  };
+  const weekend = { ruleId: 1, name: 'Weekend', type: 'weekend', adjustmentPercent: 15, daysOfWeek: [6, 0] };
+  const weekly = { ruleId: 4, name: 'Weekly rental', type: 'long_rental', adjustmentPercent: -10, minDays: 7 };
+  const checkout = { kind: 'checkout', odometer_km: 45210, damage_fees: [] };
+
+  describe('Charges', () => {
+    test('charges the actual days with pricing rules', () => {
+      const invoice = buildInvoice({ reservation, car, rules: [weekend, weekly], issueDate: '2024-11-10' });
+
+      expect(invoice.lines.map(line => [line.type, line.quantity, line.amount])).toEqual([
+        ['rental', 7, 280],
+        ['adjustment', 2, 12],
+        ['discount', 1, -29.2]
+      ]);
+      expect(invoice.total).toBe(262.8);
+      expect(invoice.distanceKm).toBeNull();
+      expect(invoice.dueDate).toBe('2024-11-24');
+    });
+
+    test('charges kilometres beyond the allowance and damage fees', () => {
+      const checkin = {
+        kind: 'checkin',
+        odometer_km: 46930,
+        damage_fees: [{ description: 'Dent in the driver door', amount: 250 }]
+      };
+      const invoice = buildInvoice({ reservation, car, checkout, checkin, issueDate: '2024-11-10' });
+
+      expect(invoice.distanceKm).toBe(1720);
+      expect(invoice.lines.slice(1)).toEqual([
+        { type: 'mileage', description: 'Extra kilometres (1720 km driven, 1400 km included)', quantity: 320, unitPrice: 0.3, amount: 96 },
+        { type: 'damage', description: 'Damage: Dent in the driver door', quantity: 1, unitPrice: 250, amount: 250 }
+      ]);
+      expect(invoice.total).toBe(626);
+    });
+
+    test('does not charge mileage within the allowance or without a limit', () => {
+      const checkin = { kind: 'checkin', odometer_km: 46000, damage_fees: [] };
+
+      expect(buildInvoice({ reservation, car, checkout, checkin, issueDate: '2024-11-10' }).lines.map(line => line.type))
+        .toEqual(['rental']);
+      const unlimited = { ...car, included_km_per_day: null };
+      expect(buildInvoice({ reservation, car: unlimited, checkout, checkin: { ...checkin, odometer_km: 60000 }, issueDate: '2024-11-10' })
+        .lines.map(line => line.type)).toEqual(['rental']);
+    });
+  });
+
+  describe('Invoicer', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    function createQueries() {
+      return {
+        getRentalCars: jest.fn().mockResolvedValue([car]),
+        getPricingRules: jest.fn().mockResolvedValue([]),
+        getInspections: jest.fn().mockResolvedValue([]),
+        getUninvoicedReservations: jest.fn().mockResolvedValue([reservation]),
+        createInvoice: jest.fn(async invoice => ({ id: 1, invoice_number: 'INV-2024-000001', total: invoice.total, currency: 'EUR' }))
+      };
+    }
+
+    test('invoices completed rentals on the local date', async () => {
+      const queries = createQueries();
+      const invoicer = new Invoicer({ queries, timeZone: 'Europe/Helsinki', dueDays: 7 });
+
+      await invoicer.invoicePending(new Date('2024-11-10T22:30:00Z'));
+
+      expect(queries.createInvoice).toHaveBeenCalledWith(expect.objectContaining({
+        reservationId: 3,
+        total: 280,
+        issueDate: '2024-11-11',
+        dueDate: '2024-11-18'
+      }));
+    });
+
+    test('skips cars without a daily rate', async () => {
+      const queries = createQueries();
+      queries.getRentalCars.mockResolvedValue([{ ...car, daily_rate: null }]);
+
+      await expect(new Invoicer({ queries, timeZone: 'UTC' }).invoiceReservation(reservation)).resolves.toBeNull();
+      expect(queries.createInvoice).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Documents', () => {
+    const invoice = formatInvoice({
+      id: 1,
+      invoice_number: 'INV-2024-000001',
+      reservation_id: 3,
+      license_plate: 'XYZ-789',
+      renter_name: 'Laura Mäkinen',
+      renter_phone: null,
+      renter_email: 'laura.makinen@email.com',
+      start_date: '2024-11-04',
+      end_date: '2024-11-10',
+      rental_days: 7,
+      distance_km: 1720,
+      currency: 'EUR',
+      lines: [
+        { position: 1, line_type: 'rental', description: 'Rental of Volkswagen Golf (XYZ-789)', quantity: '7.00', unit_price: '40.00', amount: '280.00' },
+        { position: 2, line_type: 'damage', description: 'Damage: <scratch> (rear)', quantity: '1.00', unit_price: '250.00', amount: '250.00' }
+      ],
+      total: '530.00',
+      status: 'issued',
+      issue_date: '2024-11-10',
+      due_date: '2024-11-24'
+    });
+
+    test('converts B4 rows', () => {
+      expect(invoice).toMatchObject({ invoiceNumber: 'INV-2024-000001', total: 530, renter: { name: 'Laura Mäkinen' } });
+      expect(invoice.lines[0]).toEqual({ type: 'rental', description: 'Rental of Volkswagen Golf (XYZ-789)', quantity: 7, unitPrice: 40, amount: 280 });
+    });
+
+    test('renders escaped HTML', () => {
+      const html = renderInvoiceHtml(invoice);
+
+      expect(html).toContain('<title>Invoice INV-2024-000001</title>');
+      expect(html).toContain('Damage: &lt;scratch&gt; (rear)');
+      expect(html).toContain('530.00');
+    });
+
+    test('renders a PDF with a valid cross-reference table', () => {
+      const pdf = renderInvoicePdf(invoice).toString('latin1');
+
+      expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+      expect(pdf).toContain('(Laura M\xe4kinen) Tj');
+      expect(pdf).toContain('(Damage: <scratch> \\(rear\\)) Tj');
+
+      // Every xref entry points at the start of its object
+      const xrefOffset = parseInt(pdf.match(/startxref\n(\d+)/)[1]);
+      expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+      const entries = pdf.slice(xrefOffset).match(/^\d{10} 00000 n $/gm);
+      entries.forEach((entry, index) => {
+        const offset = parseInt(entry.slice(0, 10));
+        expect(pdf.slice(offset, offset + `${index + 1} 0 obj`.length)).toBe(`${index + 1} 0 obj`);
+      });
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { latestOdometerReading, currentOdometer, averageDailyKm } = require('../odometer');
+
+describe('B1 Odometer Tests', () => {
+  const telemetry = { licensePlate: 'ABC-123', odometer: 46210.4, timestamp: new Date('2024-11-04T10:00:00Z') };
+  const serviceRecord = {
+    license_plate: 'ABC-123',
+    mileage_km: 45000,
+    recorded_at: new Date('2024-10-15T00:00:00Z'),
+    source: 'service_record'
+  };
+  const inspection = {
+    license_plate: 'ABC-123',
+    mileage_km: 46500,
+    recorded_at: new Date('2024-11-05T09:00:00Z'),
+    source: 'inspection'
+  };
+
+  describe('Readings', () => {
+    test('use the newest of telemetry and hand-entered mileage', () => {
+      expect(latestOdometerReading(telemetry, serviceRecord)).toEqual({
+        km: 46210.4,
+        readAt: telemetry.timestamp,
+        source: 'telemetry'
+      });
+      expect(latestOdometerReading(telemetry, inspection)).toMatchObject({ km: 46500, source: 'inspection' });
+      expect(latestOdometerReading(undefined, serviceRecord)).toMatchObject({ km: 45000, source: 'service_record' });
+    });
+
+    test('are missing for cars without any', () => {
+      expect(latestOdometerReading(undefined, undefined)).toBeNull();
+      expect(currentOdometer(null, 5000)).toBeNull();
+    });
+  });
+
+  describe('Current odometer', () => {
+    test('adds the trips driven since the reading', () => {
+      const reading = latestOdometerReading(undefined, serviceRecord);
+
+      expect(currentOdometer(reading, 1234567)).toEqual({
+        km: 46235,
+        source: 'service_record',
+        readAt: serviceRecord.recorded_at,
+        tripKmSinceReading: 1235
+      });
+      expect(currentOdometer(latestOdometerReading(telemetry)).km).toBe(46210);
+    });
+  });
+
+  describe('Daily distance', () => {
+    test('averages the trips over the days', () => {
+      expect(averageDailyKm(1245000)).toBe(41.5);
+      expect(averageDailyKm(70000, 7)).toBe(10);
+      expect(averageDailyKm(0)).toBeNull();
+      expect(averageDailyKm(undefined)).toBeNull();
+    });
+  });
+});
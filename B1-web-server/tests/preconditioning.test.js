@@ -0,0 +1,154 @@
+const { PreconditioningManager, planStart, estimateProgress } = require('../preconditioning');
+
+describe('B1 Preconditioning Tests', () => {
+  describe('Planning and progress', () => {
+    const now = new Date('2024-11-05T06:00:00Z');
+
+    test('plans the start so the cabin is ready in time', () => {
+      // 10 °C to gain at 0.5 °C/min -> 20 minutes lead
+      const startAt = planStart({
+        readyBy: '2024-11-05T07:30:00Z',
+        currentTemp: 11,
+        targetTemp: 21,
+        maxDurationMinutes: 30,
+        now
+      });
+
+      expect(startAt).toEqual(new Date('2024-11-05T07:10:00Z'));
+    });
+
+    test('starts right away without readyBy or when already late', () => {
+      expect(planStart({ currentTemp: 11, targetTemp: 21, maxDurationMinutes: 30, now })).toEqual(now);
+      expect(planStart({ readyBy: '2024-11-05T06:05:00Z', currentTemp: 11, targetTemp: 21, maxDurationMinutes: 30, now }))
+        .toEqual(now);
+    });
+
+    test('estimates progress and ETA from recent readings', () => {
+      const progress = estimateProgress({
+        startTemp: 5,
+        currentTemp: 13,
+        targetTemp: 21,
+        samples: [
+          { temp: 9, at: new Date('2024-11-05T06:05:00Z') },
+          { temp: 13, at: new Date('2024-11-05T06:10:00Z') }
+        ]
+      });
+
+      expect(progress.progressPercent).toBe(50);
+      expect(progress.rateCPerMinute).toBe(0.8);
+      expect(progress.eta).toEqual(new Date('2024-11-05T06:20:00Z'));
+    });
+
+    test('gives no ETA when the cabin is not moving towards the target', () => {
+      const progress = estimateProgress({
+        startTemp: 28,
+        currentTemp: 28.5,
+        targetTemp: 22,
+        samples: [
+          { temp: 28, at: new Date('2024-11-05T06:05:00Z') },
+          { temp: 28.5, at: new Date('2024-11-05T06:10:00Z') }
+        ]
+      });
+
+      expect(progress.progressPercent).toBe(0);
+      expect(progress.eta).toBeNull();
+    });
+  });
+
+  describe('Control loop', () => {
+    const startedAt = new Date('2024-11-05T06:00:00Z');
+
+    function createManager({ telemetry, command } = {}) {
+      const queries = {
+        getLatestCarData: jest.fn().mockResolvedValue(telemetry),
+        getCommand: jest.fn().mockResolvedValue(command || { status: 'executed' }),
+        updatePreconditioningSession: jest.fn(async (id, fields) => ({ _id: id, ...fields }))
+      };
+      const runCommand = jest.fn().mockResolvedValue({ outcome: 'dispatched', commandId: 'cmd-1' });
+      const manager = new PreconditioningManager({ queries, runCommand, options: { climatePowerKw: 4 } });
+      return { manager, queries, runCommand };
+    }
+
+    function runningSession(fields = {}) {
+      return {
+        _id: 'session-1',
+        licensePlate: 'ABC-123',
+        state: 'running',
+        mode: 'heating',
+        targetTemp: 21,
+        startTemp: 5,
+        currentTemp: 12,
+        startedAt,
+        startCommandId: 'cmd-start',
+        maxDurationMinutes: 30,
+        maxEnergyKwh: 3,
+        samples: [{ temp: 12, at: new Date('2024-11-05T06:09:00Z') }],
+        ...fields
+      };
+    }
+
+    test('starts heating when the cabin is colder than the target', async () => {
+      const { manager, runCommand } = createManager({
+        telemetry: { indoorTemp: 4.5, timestamp: new Date('2024-11-05T05:59:50Z') }
+      });
+
+      await manager.begin({ _id: 'session-1', licensePlate: 'ABC-123', state: 'scheduled', targetTemp: 21 }, startedAt);
+
+      expect(runCommand).toHaveBeenCalledWith(expect.objectContaining({
+        command: 'start_heating',
+        parameters: { targetTemp: 21 }
+      }));
+    });
+
+    test('stops the climate system when the target is reached', async () => {
+      const { manager, queries, runCommand } = createManager({
+        telemetry: { indoorTemp: 20.7, timestamp: new Date('2024-11-05T06:12:00Z') }
+      });
+
+      await manager.monitor(runningSession(), new Date('2024-11-05T06:12:05Z'));
+
+      expect(queries.updatePreconditioningSession).toHaveBeenCalledWith(
+        'session-1',
+        expect.objectContaining({ state: 'completed', currentTemp: 20.7 }),
+        ['scheduled', 'running']
+      );
+      expect(runCommand).toHaveBeenCalledWith(expect.objectContaining({ command: 'stop_heating' }));
+    });
+
+    test('stops after the maximum duration', async () => {
+      const { manager, queries, runCommand } = createManager({
+        telemetry: { indoorTemp: 15, timestamp: new Date('2024-11-05T06:30:00Z') }
+      });
+
+      await manager.monitor(runningSession({ maxEnergyKwh: 10 }), new Date('2024-11-05T06:30:05Z'));
+
+      expect(queries.updatePreconditioningSession.mock.calls[0][1].state).toBe('timed_out');
+      expect(runCommand).toHaveBeenCalledWith(expect.objectContaining({ command: 'stop_heating' }));
+    });
+
+    test('stops when the energy budget is used', async () => {
+      const { manager, queries } = createManager({
+        telemetry: { indoorTemp: 15, timestamp: new Date('2024-11-05T06:15:00Z') }
+      });
+
+      // 4 kW for 15 minutes = 1 kWh
+      await manager.monitor(runningSession({ maxEnergyKwh: 1 }), new Date('2024-11-05T06:15:00Z'));
+
+      expect(queries.updatePreconditioningSession.mock.calls[0][1]).toMatchObject({ state: 'energy_limit', energyKwh: 1 });
+    });
+
+    test('fails without stopping when the start command did not reach the car', async () => {
+      const { manager, queries, runCommand } = createManager({
+        command: { status: 'expired', error: 'Car was offline' }
+      });
+
+      await manager.monitor(runningSession(), new Date('2024-11-05T06:20:00Z'));
+
+      expect(queries.updatePreconditioningSession.mock.calls[0][1]).toMatchObject({
+        state: 'failed',
+        error: 'Start command expired: Car was offline'
+      });
+      expect(runCommand).not.toHaveBeenCalled();
+    });
+  });
+});
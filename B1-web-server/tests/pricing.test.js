@@ -0,0 +1,77 @@
+const { quotePrice, validatePricingRule, formatPricingRule } = require('../pricing');
+
+describe('B1 Pricing Tests', () => {
+  const weekend = { ruleId: 1, name: 'Weekend', type: 'weekend', adjustmentPercent: 15, daysOfWeek: [6, 0] };
+  const summer = { ruleId: 2, name: 'Summer season', type: 'season', adjustmentPercent: 20, seasonStart: '06-01', seasonEnd: '08-31' };
+  const christmas = { ruleId: 3, name: 'Christmas holidays', type: 'season', adjustmentPercent: 10, seasonStart: '12-20', seasonEnd: '01-06' };
+  const weekly = { ruleId: 4, name: 'Weekly rental', type: 'long_rental', adjustmentPercent: -10, minDays: 7 };
+  const monthly = { ruleId: 5, name: 'Monthly rental', type: 'long_rental', adjustmentPercent: -20, minDays: 28 };
+  const rules = [weekend, summer, christmas, weekly, monthly];
+
+  describe('Quotes', () => {
+    test('charges the daily rate on plain weekdays', () => {
+      // Tuesday to Thursday in November
+      const quote = quotePrice({ dailyRate: 45, startDate: '2024-11-05', endDate: '2024-11-07', rules });
+
+      expect(quote.rentalDays).toBe(3);
+      expect(quote.days.map(day => day.price)).toEqual([45, 45, 45]);
+      expect(quote.discounts).toEqual([]);
+      expect(quote.total).toBe(135);
+    });
+
+    test('adds weekend and season surcharges per day', () => {
+      // Friday 30 August to Sunday 1 September
+      const quote = quotePrice({ dailyRate: 45, startDate: '2024-08-30', endDate: '2024-09-01', rules });
+
+      expect(quote.days.map(day => day.price)).toEqual([54, 60.75, 51.75]);
+      expect(quote.days[1].adjustments.map(adjustment => adjustment.name)).toEqual(['Weekend', 'Summer season']);
+      expect(quote.total).toBe(166.5);
+    });
+
+    test('handles seasons across the new year', () => {
+      const quote = quotePrice({ dailyRate: 50, startDate: '2024-12-30', endDate: '2025-01-07', rules: [christmas] });
+
+      expect(quote.days.filter(day => day.adjustments.length > 0).map(day => day.date))
+        .toEqual(['2024-12-30', '2024-12-31', '2025-01-01', '2025-01-02', '2025-01-03', '2025-01-04', '2025-01-05', '2025-01-06']);
+    });
+
+    test('applies only the largest long rental discount that qualifies', () => {
+      const week = quotePrice({ dailyRate: 40, startDate: '2024-11-04', endDate: '2024-11-10', rules: [weekly, monthly] });
+      expect(week.discounts).toEqual([{ ruleId: 4, name: 'Weekly rental', percent: -10, amount: -28 }]);
+      expect(week.total).toBe(252);
+
+      const month = quotePrice({ dailyRate: 40, startDate: '2024-11-01', endDate: '2024-11-28', rules: [weekly, monthly] });
+      expect(month.discounts.map(discount => discount.ruleId)).toEqual([5]);
+      expect(month.total).toBe(896);
+    });
+  });
+
+  describe('Rules', () => {
+    test('converts B4 rows', () => {
+      const rule = formatPricingRule({
+        id: 1,
+        name: 'Weekend',
+        rule_type: 'weekend',
+        license_plate: null,
+        adjustment_percent: '15.00',
+        days_of_week: [6, 0],
+        active: true
+      });
+
+      expect(rule).toMatchObject({ ruleId: 1, type: 'weekend', adjustmentPercent: 15, daysOfWeek: [6, 0] });
+    });
+
+    test('validates the fields of each rule type', () => {
+      expect(validatePricingRule({ name: 'Easter', type: 'season', adjustmentPercent: 10, seasonStart: '03-28', seasonEnd: '04-01' }))
+        .toEqual([]);
+      expect(validatePricingRule({ name: 'Easter', type: 'season', adjustmentPercent: 10, seasonStart: '3/28' })
+        .map(error => error.field)).toEqual(['seasonStart', 'seasonEnd']);
+      expect(validatePricingRule({ name: 'Weekend', type: 'weekend', adjustmentPercent: 15, daysOfWeek: [7] })[0].field)
+        .toBe('daysOfWeek');
+      expect(validatePricingRule({ name: 'Long', type: 'long_rental', adjustmentPercent: 5, minDays: 7 }))
+        .toEqual([{ field: 'adjustmentPercent', message: 'A long rental rule must be a discount (negative percent)' }]);
+      expect(validatePricingRule({ name: 'Free', type: 'weekend', adjustmentPercent: -100, daysOfWeek: [0] })[0].field)
+        .toBe('adjustmentPercent');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const {
+  ReservationSync,
+  localDate,
+  rentalDays,
+  buildAvailabilityCalendar,
+  validateReservationDates,
+  validateRenter
+} = require('../reservations');
+
+describe('B1 Reservation Tests', () => {
+  const today = '2024-11-05';
+  const options = { today, maxDays: 30 };
+
+  describe('Dates', () => {
+    test('uses the calendar date of the rental timezone', () => {
+      // 23:30 UTC is already the next day in Helsinki
+      expect(localDate(new Date('2024-11-05T23:30:00Z'), 'Europe/Helsinki')).toBe('2024-11-06');
+      expect(localDate(new Date('2024-11-05T23:30:00Z'), 'UTC')).toBe('2024-11-05');
+    });
+
+    test('counts both the first and the last day', () => {
+      expect(rentalDays('2024-11-01', '2024-11-07')).toBe(7);
+      expect(rentalDays('2024-11-05', '2024-11-05')).toBe(1);
+      // Across the end of daylight saving time
+      expect(rentalDays('2024-10-26', '2024-10-28')).toBe(3);
+    });
+  });
+
+  describe('Calendar', () => {
+    test('marks the days covered by reservations per car', () => {
+      const cars = [
+        { license_plate: 'ABC-123', make: 'Toyota', model: 'Corolla', daily_rate: '45.00' },
+        { license_plate: 'DEF-456', make: 'Tesla', model: 'Model 3', daily_rate: '50.00' }
+      ];
+      const reservations = [
+        { id: 7, license_plate: 'ABC-123', start_date: '2024-10-30', end_date: '2024-11-02' }
+      ];
+
+      const calendar = buildAvailabilityCalendar(cars, reservations, '2024-11-01', '2024-11-04');
+
+      expect(calendar[0]).toMatchObject({ licensePlate: 'ABC-123', dailyRate: 45, availableDays: 2 });
+      expect(calendar[0].days.map(day => day.reservationId)).toEqual([7, 7, null, null]);
+      expect(calendar[1].days.every(day => day.available)).toBe(true);
+    });
+  });
+
+  describe('Validation', () => {
+    test('accepts a future booking', () => {
+      expect(validateReservationDates({ startDate: '2024-11-05', endDate: '2024-11-09' }, options)).toEqual([]);
+    });
+
+    test('rejects invalid, reversed and past dates', () => {
+      expect(validateReservationDates({ startDate: '2024-02-30', endDate: '5.11.2024' }, options)
+        .map(error => error.field)).toEqual(['startDate', 'endDate']);
+      expect(validateReservationDates({ startDate: '2024-11-09', endDate: '2024-11-07' }, options))
+        .toEqual([{ field: 'endDate', message: 'endDate must not be before startDate' }]);
+      expect(validateReservationDates({ startDate: '2024-11-04', endDate: '2024-11-07' }, options))
+        .toEqual([{ field: 'startDate', message: 'startDate must not be in the past' }]);
+    });
+
+    test('limits the length of a booking', () => {
+      expect(validateReservationDates({ startDate: '2024-11-05', endDate: '2024-12-05' }, options))
+        .toEqual([{ field: 'endDate', message: 'A reservation can be at most 30 days' }]);
+    });
+
+    test('lets a started rental be extended but not moved', () => {
+      const current = { start_date: '2024-11-01', end_date: '2024-11-07' };
+
+      expect(validateReservationDates({ startDate: '2024-11-01', endDate: '2024-11-10' }, { ...options, current }))
+        .toEqual([]);
+      expect(validateReservationDates({ startDate: '2024-11-02', endDate: '2024-11-10' }, { ...options, current })[0].field)
+        .toBe('startDate');
+      expect(validateReservationDates({ startDate: '2024-11-01', endDate: '2024-11-04' }, { ...options, current }))
+        .toEqual([{ field: 'endDate', message: 'endDate must not be in the past' }]);
+    });
+
+    test('requires a renter name and email', () => {
+      expect(validateRenter({ name: 'Laura Mäkinen', email: 'laura.makinen@email.com' })).toEqual([]);
+      expect(validateRenter({ name: ' ', email: 'laura' }).map(error => error.field)).toEqual(['renter.name', 'renter.email']);
+      expect(validateRenter(undefined)[0].field).toBe('renter');
+    });
+  });
+
+  describe('Sync', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('completes ended rentals and derives availability for the local date', async () => {
+      const queries = {
+        completeEndedReservations: jest.fn().mockResolvedValue([{ id: 1, license_plate: 'XYZ-789', rental_days: 7 }]),
+        syncRentalInfo: jest.fn().mockResolvedValue([{ license_plate: 'XYZ-789', is_available: true }])
+      };
+      const sync = new ReservationSync({ queries, timeZone: 'Europe/Helsinki' });
+
+      await sync.tick(new Date('2024-11-07T22:30:00Z'));
+
+      expect(queries.completeEndedReservations).toHaveBeenCalledWith('2024-11-08');
+      expect(queries.syncRentalInfo).toHaveBeenCalledWith('2024-11-08');
+    });
+
+    test('invoices completed rentals after syncing', async () => {
+      const queries = {
+        completeEndedReservations: jest.fn().mockResolvedValue([]),
+        syncRentalInfo: jest.fn().mockResolvedValue([])
+      };
+      const invoicer = { invoicePending: jest.fn().mockResolvedValue() };
+      const now = new Date('2024-11-07T12:00:00Z');
+
+      await new ReservationSync({ queries, timeZone: 'UTC', invoicer }).tick(now);
+
+      expect(invoicer.invoicePending).toHaveBeenCalledWith(now);
+    });
+
+    test('reports each rental it completes', async () => {
+      const completed = { id: 7, license_plate: 'ABC-123', renter_email: 'renter@example.com', rental_days: 3 };
+      const queries = {
+        completeEndedReservations: jest.fn().mockResolvedValue([completed]),
+        syncRentalInfo: jest.fn().mockResolvedValue([])
+      };
+      const onCompleted = jest.fn().mockResolvedValue();
+
+      await new ReservationSync({ queries, timeZone: 'UTC', onCompleted }).tick(new Date('2024-11-08T08:00:00Z'));
+
+      expect(onCompleted).toHaveBeenCalledWith(completed);
+    });
+
+    test('skips a tick while the previous one is running', async () => {
+      let finish;
+      const queries = {
+        completeEndedReservations: jest.fn(() => new Promise(resolve => { finish = resolve; })),
+        syncRentalInfo: jest.fn().mockResolvedValue([])
+      };
+      const sync = new ReservationSync({ queries, timeZone: 'UTC' });
+
+      const first = sync.tick();
+      await sync.tick();
+      finish([]);
+      await first;
+
+      expect(queries.completeEndedReservations).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const {
+  validateServiceRecord,
+  formatServiceRecord,
+  forecastService,
+  formatServiceForecast,
+  formatServiceDue
+} = require('../service-records');
+
+describe('B1 Service Record Tests', () => {
+  const row = {
+    id: 4,
+    license_plate: 'ABC-123',
+    service_date: '2024-10-15',
+    service_type: 'Regular Maintenance',
+    description: 'Oil change, filter replacement, brake check',
+    mileage: 45000,
+    cost: '250.00',
+    service_provider: 'AutoService Helsinki',
+    next_service_date: '2025-04-15',
+    created_at: new Date('2024-10-15T12:00:00Z')
+  };
+  const current = formatServiceRecord(row);
+
+  describe('Validation', () => {
+    test('accepts a new record with the required fields', () => {
+      expect(validateServiceRecord({ serviceDate: '2024-10-15', serviceType: 'Tire Change' })).toEqual([]);
+      expect(validateServiceRecord({ ...current, recordId: undefined })).toEqual([]);
+    });
+
+    test('rejects missing and invalid fields', () => {
+      expect(validateServiceRecord({ serviceDate: '2024-02-30', mileage: -5, cost: '250', serviceProvider: 7 })
+        .map(error => error.field)).toEqual(['serviceDate', 'serviceType', 'serviceProvider', 'mileage', 'cost']);
+    });
+
+    test('requires the next service after this one', () => {
+      expect(validateServiceRecord({ serviceDate: '2024-10-15', serviceType: 'Inspection', nextServiceDate: '2024-10-15' }))
+        .toEqual([{ field: 'nextServiceDate', message: 'nextServiceDate must be after serviceDate' }]);
+    });
+
+    test('validates changes against the stored record', () => {
+      expect(validateServiceRecord({ cost: 300, description: null }, { current })).toEqual([]);
+      expect(validateServiceRecord({ nextServiceDate: null }, { current })).toEqual([]);
+      expect(validateServiceRecord({ serviceDate: '2025-05-01' }, { current }))
+        .toEqual([{ field: 'serviceDate', message: 'nextServiceDate must be after serviceDate' }]);
+      expect(validateServiceRecord({ serviceType: null }, { current })[0].field).toBe('serviceType');
+      expect(validateServiceRecord({}, { current })[0].field).toBe('body');
+    });
+  });
+
+  describe('Formatting', () => {
+    test('converts B4 service records', () => {
+      expect(current).toMatchObject({ recordId: 4, licensePlate: 'ABC-123', cost: 250, nextServiceDate: '2025-04-15' });
+      expect(formatServiceRecord({ ...row, cost: null }).cost).toBeNull();
+    });
+
+    test('flags overdue cars', () => {
+      const due = formatServiceDue({
+        license_plate: 'ABC-123',
+        owner_name: 'John Doe',
+        make: 'Toyota',
+        model: 'Corolla',
+        next_service_date: '2025-04-15',
+        service_type: 'Regular Maintenance',
+        last_service_date: '2024-10-15',
+        last_service_mileage: 45000,
+        days_until_due: -3
+      });
+
+      expect(due).toMatchObject({ licensePlate: 'ABC-123', daysUntilDue: -3, overdue: true });
+      expect(due.lastService).toEqual({ date: '2024-10-15', type: 'Regular Maintenance', mileage: 45000 });
+    });
+  });
+
+  describe('Forecast', () => {
+    const today = '2025-03-10';
+    const schedule = {
+      license_plate: 'ABC-123',
+      owner_name: 'John Doe',
+      make: 'Toyota',
+      model: 'Corolla',
+      service_type: 'Regular Maintenance',
+      last_service_date: '2024-10-15',
+      last_service_mileage: 45000,
+      next_service_date: '2025-04-15',
+      interval_months: 12,
+      interval_km: 15000
+    };
+
+    test('is due at the date when the car is driven little', () => {
+      const forecast = forecastService(schedule, { today, odometerKm: 50000, dailyKm: 20 });
+
+      expect(forecast).toMatchObject({
+        next_service_date: '2025-04-15',
+        days_until_due: 36,
+        due_by: 'date',
+        due_mileage: 60000,
+        km_until_due: 10000,
+        overdue: false
+      });
+    });
+
+    test('is due when the car is forecast to reach the mileage first', () => {
+      const forecast = forecastService(schedule, { today, odometerKm: 59170, dailyKm: 41.5 });
+
+      expect(formatServiceForecast(forecast)).toEqual({
+        serviceType: 'Regular Maintenance',
+        lastService: { date: '2024-10-15', mileage: 45000 },
+        intervalMonths: 12,
+        intervalKm: 15000,
+        nextServiceDate: '2025-03-30',
+        dueBy: 'mileage',
+        daysUntilDue: 20,
+        dueMileage: 60000,
+        kmUntilDue: 830,
+        overdue: false
+      });
+    });
+
+    test('is overdue once the mileage is passed', () => {
+      const forecast = forecastService(schedule, { today, odometerKm: 60400 });
+
+      expect(forecast).toMatchObject({ next_service_date: today, due_by: 'mileage', days_until_due: 0, km_until_due: -400, overdue: true });
+    });
+
+    test('uses the date alone without an odometer or mileage interval', () => {
+      expect(forecastService(schedule, { today })).toMatchObject({ due_by: 'date', km_until_due: null, overdue: false });
+      expect(forecastService({ ...schedule, interval_km: null }, { today, odometerKm: 70000 }))
+        .toMatchObject({ due_by: 'date', due_mileage: null });
+      expect(forecastService({ ...schedule, next_service_date: null, interval_km: null }, { today }))
+        .toMatchObject({ next_service_date: null, days_until_due: null, due_by: null });
+    });
+
+    test('is listed with the car and its odometer', () => {
+      const odometer = { km: 59170, source: 'telemetry', readAt: new Date('2025-03-10T08:15:00Z'), tripKmSinceReading: 0 };
+      const due = formatServiceDue(forecastService(schedule, { today, odometerKm: 59170, dailyKm: 41.5 }), odometer);
+
+      expect(due).toMatchObject({
+        licensePlate: 'ABC-123',
+        serviceType: 'Regular Maintenance',
+        nextServiceDate: '2025-03-30',
+        dueBy: 'mileage',
+        kmUntilDue: 830,
+        overdue: false,
+        odometer
+      });
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const { TelemetryStream, mergeReading, parseFields, formatSseEvent } = require('../telemetry-stream');
+
+describe('B1 Telemetry Stream Tests', () => {
+  const car = { license_plate: 'ABC-123', owner_name: 'John Doe', make: 'Toyota', model: 'Camry', last_service: '2024-10-15' };
+  const reading = {
+    licensePlate: 'ABC-123',
+    indoorTemp: 23.4567,
+    outdoorTemp: 14.21,
+    gps: { lat: 60.1699, lng: 24.9384 },
+    speed: 0,
+    engineStatus: 'off',
+    timestamp: '2024-11-05T06:00:00.000Z'
+  };
+
+  function createStream(options = {}) {
+    return new TelemetryStream({ loadCar: jest.fn(async plate => (plate === 'ABC-123' ? car : null)), ...options });
+  }
+
+  describe('Readings', () => {
+    test('are merged with the static fields of the car', () => {
+      expect(mergeReading(reading, car)).toEqual({
+        licensePlate: 'ABC-123',
+        owner: 'John Doe',
+        make: 'Toyota',
+        model: 'Camry',
+        lastService: '2024-10-15',
+        indoorTemp: 23.5,
+        outdoorTemp: 14.2,
+        gps: { lat: 60.1699, lng: 24.9384 },
+        speed: 0,
+        engineStatus: 'off',
+        lastUpdated: '2024-11-05T06:00:00.000Z'
+      });
+      expect(mergeReading({ licensePlate: 'NEW-1', indoorTemp: 20, foo: 'bar' }, null))
+        .toMatchObject({ owner: null, indoorTemp: 20 });
+      expect(mergeReading({ licensePlate: 'NEW-1', foo: 'bar' }, null)).not.toHaveProperty('foo');
+    });
+
+    test('are numbered and relayed to the subscribers of the car', async () => {
+      const stream = createStream();
+      const abc = jest.fn();
+      const fleet = jest.fn();
+      stream.subscribe({ licensePlates: ['ABC-123'], fields: ['indoorTemp'] }, abc);
+      const unsubscribe = stream.subscribe({}, fleet);
+
+      const first = await stream.publish('ABC-123', JSON.stringify(reading));
+      await stream.publish('XYZ-789', JSON.stringify({ ...reading, licensePlate: 'XYZ-789' }));
+      unsubscribe();
+      await stream.publish('ABC-123', JSON.stringify(reading));
+
+      expect(first.id).toBe(`${stream.epoch}-1`);
+      expect(abc).toHaveBeenCalledTimes(2);
+      expect(abc.mock.calls[0][0]).toEqual({
+        id: first.id,
+        event: 'telemetry',
+        data: { licensePlate: 'ABC-123', lastUpdated: '2024-11-05T06:00:00.000Z', indoorTemp: 23.5 }
+      });
+      expect(fleet).toHaveBeenCalledTimes(2);
+      expect(fleet.mock.calls[1][0].data.owner).toBeNull();
+    });
+
+    test('caches the static fields of cars', async () => {
+      const stream = createStream();
+      await stream.publish('ABC-123', reading);
+      await stream.publish('ABC-123', reading);
+
+      expect(stream.loadCar).toHaveBeenCalledTimes(1);
+    });
+
+    test('ignores messages that are not readings', async () => {
+      const stream = createStream();
+
+      expect(await stream.publish('ABC-123', 'not json')).toBeNull();
+      expect(await stream.publish('ABC-123', JSON.stringify({ type: 'ack' }))).toBeNull();
+      expect(stream.sequence).toBe(0);
+    });
+  });
+
+  describe('Reconnection', () => {
+    test('replays the readings missed since Last-Event-ID', async () => {
+      const stream = createStream();
+      const first = await stream.publish('ABC-123', reading);
+      await stream.publish('XYZ-789', { ...reading, licensePlate: 'XYZ-789' });
+      await stream.publish('ABC-123', { ...reading, indoorTemp: 24 });
+
+      const missed = stream.missedEvents(first.id, { licensePlates: ['ABC-123'], fields: ['indoorTemp'] });
+      expect(missed).toEqual([{ id: `${stream.epoch}-3`, event: 'telemetry', data: expect.objectContaining({ indoorTemp: 24 }) }]);
+      expect(stream.missedEvents(stream.lastEventId)).toEqual([]);
+    });
+
+    test('cannot replay ids of an earlier run or older than the buffer', async () => {
+      const stream = createStream({ bufferSize: 2 });
+      for (let i = 0; i < 4; i++) {
+        await stream.publish('ABC-123', reading);
+      }
+
+      expect(stream.missedEvents('k0000000-2')).toBeNull();
+      expect(stream.missedEvents(`${stream.epoch}-1`)).toBeNull();
+      expect(stream.missedEvents(`${stream.epoch}-2`)).toHaveLength(2);
+      expect(stream.missedEvents(`${stream.epoch}-9`)).toBeNull();
+    });
+
+    test('starts from the latest reading when the missed ones are gone', async () => {
+      const stream = createStream();
+      const send = jest.fn();
+      const loadLatest = jest.fn(async () => [{ ...reading, _id: 'b3-id' }]);
+
+      const unsubscribe = await stream.open({ licensePlates: ['ABC-123'], lastEventId: 'old-run-5', loadLatest }, send);
+      await stream.publish('ABC-123', reading);
+      unsubscribe();
+
+      expect(loadLatest).toHaveBeenCalled();
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(send.mock.calls[0][0]).toMatchObject({ id: `${stream.epoch}-0`, data: { owner: 'John Doe', indoorTemp: 23.5 } });
+      expect(send.mock.calls[0][0].data).not.toHaveProperty('_id');
+    });
+  });
+
+  describe('Format', () => {
+    test('parses the fields filter', () => {
+      expect(parseFields(undefined)).toEqual({ fields: null });
+      expect(parseFields('gps, indoorTemp,gps')).toEqual({ fields: ['gps', 'indoorTemp'] });
+      expect(parseFields('gps,password').error).toMatch(/^fields must list some of/);
+    });
+
+    test('writes events in the text/event-stream format', () => {
+      expect(formatSseEvent({ id: 'a-1', event: 'telemetry', data: { indoorTemp: 21 } }))
+        .toBe('id: a-1\nevent: telemetry\ndata: {"indoorTemp":21}\n\n');
+    });
+  });
+});
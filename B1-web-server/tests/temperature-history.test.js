@@ -0,0 +1,58 @@
+const { parseHistoryQuery, formatTemperatureBucket } = require('../temperature-history');
+
+describe('B1 Temperature History Tests', () => {
+  const now = new Date('2024-11-05T12:00:00Z');
+
+  describe('Queries', () => {
+    test('default to the last 24 hours in 5 minute buckets', () => {
+      expect(parseHistoryQuery({}, now)).toEqual({
+        from: new Date('2024-11-04T12:00:00Z'),
+        to: now,
+        bucket: '5m'
+      });
+    });
+
+    test('pick the smallest bucket fitting the range', () => {
+      expect(parseHistoryQuery({ from: '2024-11-05T09:00:00Z' }, now).bucket).toBe('1m');
+      expect(parseHistoryQuery({ from: '2024-10-22', to: '2024-11-05' }, now).bucket).toBe('1h');
+      expect(parseHistoryQuery({ from: '2024-01-01', to: '2024-11-05' }, now).bucket).toBe('1d');
+    });
+
+    test('reject invalid ranges and buckets', () => {
+      expect(parseHistoryQuery({ from: 'yesterday', bucket: '2h' }, now).errors.map(error => error.field))
+        .toEqual(['from', 'bucket']);
+      expect(parseHistoryQuery({ from: '2024-11-05T12:00:00Z', to: '2024-11-05T11:00:00Z' }, now).errors)
+        .toEqual([{ field: 'to', message: 'to must be after from' }]);
+    });
+
+    test('limit the number of buckets', () => {
+      const { errors } = parseHistoryQuery({ from: '2024-10-01', to: '2024-11-01', bucket: '1m' }, now);
+
+      expect(errors[0].message).toMatch(/^The range has 44640 1m buckets, at most 1500/);
+      expect(parseHistoryQuery({ from: '2024-10-01', to: '2024-11-01', bucket: '1h' }, now).errors).toBeUndefined();
+    });
+  });
+
+  describe('Buckets', () => {
+    test('convert B3 aggregation results', () => {
+      const bucket = formatTemperatureBucket({
+        bucketStart: new Date('2024-11-05T06:00:00Z'),
+        minIndoorTemp: 18.23,
+        avgIndoorTemp: 20.4449,
+        maxIndoorTemp: 21.9,
+        minOutdoorTemp: null,
+        avgOutdoorTemp: null,
+        maxOutdoorTemp: null,
+        dataPoints: 358
+      }, '1h');
+
+      expect(bucket).toEqual({
+        start: '2024-11-05T06:00:00.000Z',
+        end: '2024-11-05T07:00:00.000Z',
+        readings: 358,
+        indoorTemp: { min: 18.2, avg: 20.4, max: 21.9 },
+        outdoorTemp: { min: null, avg: null, max: null }
+      });
+    });
+  });
+});
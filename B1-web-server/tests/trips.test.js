@@ -0,0 +1,188 @@
+const {
+  TripDetector,
+  initialProgress,
+  segmentReadings,
+  finishStaleTrip,
+  parseTripsQuery,
+  formatTrip
+} = require('../trips');
+
+describe('B1 Trip Tests', () => {
+  const start = new Date('2024-11-05T06:00:00Z').getTime();
+
+  // A reading every minute: parked, driving north about 1 km a minute, parked
+  function reading(minute, lat, speed, engineStatus = speed > 0 ? 'running' : 'off') {
+    return { gps: { lat, lng: 24.9384 }, speed, engineStatus, timestamp: new Date(start + minute * 60000) };
+  }
+  function drive(fromMinute, minutes, fromLat) {
+    return Array.from({ length: minutes }, (_, i) => reading(fromMinute + i, fromLat + (i + 1) * 0.009, 50 + i * 5));
+  }
+  function park(fromMinute, minutes, lat) {
+    return Array.from({ length: minutes }, (_, i) => reading(fromMinute + i, lat, 0));
+  }
+
+  const parkedLat = 60.1699;
+  const arrivedLat = parkedLat + 5 * 0.009;
+  const day = [
+    ...park(0, 3, parkedLat),
+    ...drive(3, 5, parkedLat),
+    ...park(8, 10, arrivedLat)
+  ];
+
+  describe('Segmentation', () => {
+    test('groups readings into a trip ending after the car stood still', () => {
+      const { progress, trips } = segmentReadings('ABC-123', initialProgress(), day);
+
+      expect(trips).toHaveLength(1);
+      const [trip] = trips;
+      expect(trip).toMatchObject({
+        _id: 'ABC-123:2024-11-05T06:03:00.000Z',
+        licensePlate: 'ABC-123',
+        startedAt: new Date(start + 3 * 60000),
+        endedAt: new Date(start + 8 * 60000),
+        start: { lat: parkedLat, lng: 24.9384 },
+        end: { lat: arrivedLat, lng: 24.9384 },
+        durationSeconds: 300,
+        maxSpeedKmh: 70,
+        parkedBeforeSeconds: null
+      });
+      expect(trip.distanceMeters).toBeGreaterThan(4950);
+      expect(trip.distanceMeters).toBeLessThan(5050);
+      expect(trip.avgSpeedKmh).toBeCloseTo(trip.distanceMeters / 300 * 3.6, 1);
+      expect(progress.trip).toBeNull();
+      expect(progress.processedUntil).toEqual(new Date(start + 17 * 60000));
+    });
+
+    test('keeps a trip going through short stops and ignores drift while stopped', () => {
+      const readings = [
+        ...drive(0, 3, parkedLat),
+        reading(3, parkedLat + 0.027, 0, 'running'),
+        reading(4, parkedLat + 0.030, 0, 'running'),
+        ...drive(5, 2, parkedLat + 0.027),
+        ...park(7, 6, parkedLat + 0.045)
+      ];
+      const { trips } = segmentReadings('ABC-123', initialProgress(), readings);
+
+      expect(trips).toHaveLength(1);
+      expect(trips[0].endedAt).toEqual(new Date(start + 7 * 60000));
+      expect(trips[0].distanceMeters).toBeLessThan(5050);
+    });
+
+    test('continues across batches and records the parked time between trips', () => {
+      const secondTrip = [...drive(60, 3, arrivedLat), ...park(63, 6, arrivedLat + 0.027)];
+      const first = segmentReadings('ABC-123', initialProgress(), [...day, ...secondTrip.slice(0, 2)]);
+      const second = segmentReadings('ABC-123', first.progress, secondTrip.slice(2));
+
+      expect(first.trips).toHaveLength(1);
+      expect(first.progress.trip).not.toBeNull();
+      expect(second.trips).toHaveLength(1);
+      expect(second.trips[0]).toMatchObject({
+        startedAt: new Date(start + 60 * 60000),
+        start: { lat: arrivedLat, lng: 24.9384 },
+        parkedBeforeSeconds: 52 * 60
+      });
+    });
+
+    test('ends trips at gaps in the readings and drops GPS drift', () => {
+      const { trips, progress } = segmentReadings('ABC-123', initialProgress(), [
+        ...drive(0, 3, parkedLat),
+        reading(30, parkedLat + 0.0001, 10),
+        reading(31, parkedLat + 0.0002, 0)
+      ]);
+
+      expect(trips).toHaveLength(1);
+      expect(trips[0].endedAt).toEqual(new Date(start + 2 * 60000));
+      expect(progress.trip).not.toBeNull();
+    });
+
+    test('ignores position jumps no car could drive', () => {
+      const { trips } = segmentReadings('ABC-123', initialProgress(), [
+        ...drive(0, 3, parkedLat),
+        reading(3, parkedLat + 1, 50),
+        reading(4, parkedLat + 0.036, 50),
+        ...park(5, 6, parkedLat + 0.036)
+      ]);
+
+      expect(trips[0].distanceMeters).toBeGreaterThan(2950);
+      expect(trips[0].distanceMeters).toBeLessThan(3050);
+    });
+  });
+
+  describe('Stale trips', () => {
+    test('are finished once the car has stopped or gone silent', () => {
+      const { progress } = segmentReadings('ABC-123', initialProgress(), [...park(0, 1, parkedLat), ...drive(1, 5, parkedLat), reading(6, arrivedLat, 0)]);
+
+      expect(finishStaleTrip('ABC-123', progress, new Date(start + 8 * 60000)).trips).toEqual([]);
+      const finished = finishStaleTrip('ABC-123', progress, new Date(start + 11 * 60000));
+      expect(finished.trips).toHaveLength(1);
+      expect(finished.trips[0].endedAt).toEqual(new Date(start + 6 * 60000));
+      expect(finished.progress.trip).toBeNull();
+      expect(progress.trip).not.toBeNull();
+    });
+  });
+
+  describe('Detector', () => {
+    function createQueries(readings) {
+      const stored = { progress: null, trips: [] };
+      return {
+        stored,
+        getCarDataLicensePlates: jest.fn(async () => ['ABC-123']),
+        getCarDataAfter: jest.fn(async (licensePlate, after, limit) => readings
+          .filter(r => !after || r.timestamp > after)
+          .slice(0, limit)),
+        getTripProgress: jest.fn(async () => stored.progress),
+        saveTripProgress: jest.fn(async (licensePlate, progress) => { stored.progress = progress; }),
+        upsertTrips: jest.fn(async (trips) => { stored.trips.push(...trips); }),
+        deleteTrips: jest.fn(async () => { stored.progress = null; stored.trips = []; })
+      };
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('backfills the history of a car in batches', async () => {
+      const queries = createQueries(day);
+      const detector = new TripDetector({ queries, batchSize: 4 });
+
+      await detector.tick(new Date(start + 60 * 60000));
+
+      expect(queries.getCarDataAfter.mock.calls.length).toBeGreaterThan(4);
+      expect(queries.stored.trips).toHaveLength(1);
+      expect(queries.stored.progress.processedUntil).toEqual(new Date(start + 17 * 60000));
+    });
+
+    test('picks up where the previous run stopped and rebuilds on request', async () => {
+      const queries = createQueries(day);
+      const detector = new TripDetector({ queries });
+
+      await detector.tick(new Date(start + 60 * 60000));
+      await detector.tick(new Date(start + 61 * 60000));
+      expect(queries.stored.trips).toHaveLength(1);
+      expect(queries.upsertTrips).toHaveBeenCalledTimes(1);
+
+      detector.rebuild('ABC-123');
+      await detector.tick(new Date(start + 62 * 60000));
+      expect(queries.deleteTrips).toHaveBeenCalledWith('ABC-123');
+      expect(queries.stored.trips).toHaveLength(1);
+    });
+  });
+
+  describe('Queries', () => {
+    test('filter by start time and limit', () => {
+      expect(parseTripsQuery({})).toEqual({ from: undefined, to: undefined, limit: 100 });
+      expect(parseTripsQuery({ from: 'last week', limit: '0' }).errors.map(error => error.field)).toEqual(['from', 'limit']);
+    });
+
+    test('format stored trips', () => {
+      const { trips } = segmentReadings('ABC-123', initialProgress(), day);
+
+      expect(formatTrip(trips[0])).toMatchObject({ tripId: 'ABC-123:2024-11-05T06:03:00.000Z', durationSeconds: 300 });
+      expect(formatTrip(trips[0])).not.toHaveProperty('readings');
+    });
+  });
+});
@@ -0,0 +1,302 @@
+const { haversineDistance, isValidPoint } = require('../shared/geo');
+
+// Trips from GPS telemetry. The readings of a car (B3 car_data) are grouped
+// into journeys: a trip starts when the car moves and ends when it has stood
+// still for stopMinutes, or when its readings stop for maxGapMinutes. Each
+// trip has its start and end time and place, the distance driven (haversine
+// between consecutive positions), duration, max and average speed and how
+// long the car was parked before it.
+//
+// TripDetector runs in B1. It reads each car's new readings in time order,
+// keeping the trip in progress in B3 (trip_progress) between runs, and stores
+// finished trips in B3 (trips). A car without progress is processed from its
+// first reading, which backfills its history.
+
+const DEFAULT_OPTIONS = {
+  // A reading is moving above this speed (or, without speed, with the engine running)
+  movingSpeedKmh: 3,
+  stopMinutes: 5,
+  maxGapMinutes: 10,
+  // Shorter trips are GPS drift and are dropped
+  minDistanceMeters: 200,
+  // Jumps implying a higher speed are GPS errors and add no distance
+  maxPlausibleSpeedKmh: 250
+};
+const MAX_TRIPS_LIMIT = 500;
+
+function time(value) {
+  return new Date(value).getTime();
+}
+
+function isMoving(reading, options) {
+  if (typeof reading.speed === 'number') return reading.speed > options.movingSpeedKmh;
+  return reading.engineStatus === 'running';
+}
+
+// Progress of a car that has not been processed yet
+function initialProgress() {
+  return { processedUntil: null, lastPoint: null, lastTripEndedAt: null, trip: null };
+}
+
+function toPoint(point) {
+  return { lat: point.lat, lng: point.lng };
+}
+
+// Distance driven from the trip's last position to point, in meters, or
+// null if no car could have driven it in the time
+function segmentDistance(trip, point, at, options) {
+  if (!trip.lastPoint) return 0;
+  const meters = haversineDistance(trip.lastPoint, point);
+  const hours = (time(at) - time(trip.lastPoint.at)) / 3600000;
+  if (hours > 0 && meters / 1000 / hours > options.maxPlausibleSpeedKmh) return null;
+  return meters;
+}
+
+// Finished trip of a car, or null if it is too short to count
+function finishTrip(licensePlate, progress, options) {
+  const { trip } = progress;
+  const endedAt = trip.stoppedAt || trip.lastAt;
+  const end = trip.stopPoint || (trip.lastPoint ? toPoint(trip.lastPoint) : trip.start);
+  progress.trip = null;
+  if (trip.distance < options.minDistanceMeters) return null;
+
+  const durationSeconds = Math.round((time(endedAt) - time(trip.startedAt)) / 1000);
+  const parkedBeforeSeconds = progress.lastTripEndedAt
+    ? Math.round((time(trip.startedAt) - time(progress.lastTripEndedAt)) / 1000)
+    : null;
+  progress.lastTripEndedAt = new Date(endedAt);
+
+  return {
+    _id: `${licensePlate}:${new Date(trip.startedAt).toISOString()}`,
+    licensePlate,
+    startedAt: new Date(trip.startedAt),
+    endedAt: new Date(endedAt),
+    start: trip.start,
+    end,
+    distanceMeters: Math.round(trip.distance),
+    durationSeconds,
+    maxSpeedKmh: trip.maxSpeed,
+    avgSpeedKmh: durationSeconds > 0 ? parseFloat((trip.distance / durationSeconds * 3.6).toFixed(1)) : 0,
+    readings: trip.readings,
+    parkedBeforeSeconds
+  };
+}
+
+// Process the next readings of a car, in time order, from its progress.
+// Returns the new progress and the trips finished by the readings.
+function segmentReadings(licensePlate, progress, readings, options = DEFAULT_OPTIONS) {
+  const next = { ...progress, trip: progress.trip ? { ...progress.trip } : null };
+  const trips = [];
+  const finish = () => {
+    const trip = finishTrip(licensePlate, next, options);
+    if (trip) trips.push(trip);
+  };
+
+  for (const reading of readings) {
+    const at = new Date(reading.timestamp);
+    const point = isValidPoint(reading.gps) ? toPoint(reading.gps) : null;
+    const moving = isMoving(reading, options);
+
+    if (next.trip && time(at) - time(next.trip.lastAt) > options.maxGapMinutes * 60000) {
+      finish();
+    }
+
+    if (!next.trip && moving) {
+      // The trip starts where the car was parked
+      const start = next.lastPoint ? toPoint(next.lastPoint) : point;
+      next.trip = {
+        startedAt: at,
+        start,
+        lastAt: at,
+        lastPoint: next.lastPoint,
+        distance: 0,
+        maxSpeed: null,
+        readings: 0,
+        stoppedAt: null,
+        stopPoint: null
+      };
+    }
+
+    const { trip } = next;
+    if (trip) {
+      trip.readings += 1;
+      trip.lastAt = at;
+      if (typeof reading.speed === 'number' && (trip.maxSpeed === null || reading.speed > trip.maxSpeed)) {
+        trip.maxSpeed = reading.speed;
+      }
+
+      // Distance counts while moving and up to where the car stopped, not
+      // the drift of a standing car
+      const distance = point && (moving || !trip.stoppedAt) ? segmentDistance(trip, point, at, options) : null;
+      if (distance !== null) {
+        trip.distance += distance;
+        trip.lastPoint = { ...point, at };
+      }
+
+      if (moving) {
+        trip.stoppedAt = null;
+        trip.stopPoint = null;
+      } else if (!trip.stoppedAt) {
+        trip.stoppedAt = at;
+        trip.stopPoint = point || (trip.lastPoint ? toPoint(trip.lastPoint) : null);
+      } else if (time(at) - time(trip.stoppedAt) >= options.stopMinutes * 60000) {
+        finish();
+      }
+    }
+
+    if (point) next.lastPoint = { ...point, at };
+    next.processedUntil = at;
+  }
+
+  return { progress: next, trips };
+}
+
+// Finish the trip in progress if the car has stood still for stopMinutes or
+// sent no readings for maxGapMinutes by now. Only for a car whose readings
+// have all been processed.
+function finishStaleTrip(licensePlate, progress, now = new Date(), options = DEFAULT_OPTIONS) {
+  const { trip } = progress;
+  if (!trip) return { progress, trips: [] };
+
+  const stopped = trip.stoppedAt && time(now) - time(trip.stoppedAt) >= options.stopMinutes * 60000;
+  const silent = time(now) - time(trip.lastAt) > options.maxGapMinutes * 60000;
+  if (!stopped && !silent) return { progress, trips: [] };
+
+  const next = { ...progress, trip: { ...trip } };
+  const finished = finishTrip(licensePlate, next, options);
+  return { progress: next, trips: finished ? [finished] : [] };
+}
+
+function parseTime(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+// Validate a trips query ({ from, to, limit } query parameters). Returns
+// { errors } or the filters.
+function parseTripsQuery(query) {
+  const errors = [];
+  const from = query.from === undefined ? undefined : parseTime(query.from);
+  const to = query.to === undefined ? undefined : parseTime(query.to);
+  if (from === null) errors.push({ field: 'from', message: 'from must be an ISO 8601 date or timestamp' });
+  if (to === null) errors.push({ field: 'to', message: 'to must be an ISO 8601 date or timestamp' });
+
+  const limit = query.limit === undefined ? 100 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TRIPS_LIMIT) {
+    errors.push({ field: 'limit', message: `limit must be an integer from 1 to ${MAX_TRIPS_LIMIT}` });
+  }
+  if (errors.length > 0) return { errors };
+
+  return { from, to, limit };
+}
+
+// Shape a trips document for API responses
+function formatTrip(doc) {
+  return {
+    tripId: doc._id,
+    licensePlate: doc.licensePlate,
+    startedAt: doc.startedAt,
+    endedAt: doc.endedAt,
+    start: doc.start,
+    end: doc.end,
+    distanceMeters: doc.distanceMeters,
+    durationSeconds: doc.durationSeconds,
+    maxSpeedKmh: doc.maxSpeedKmh,
+    avgSpeedKmh: doc.avgSpeedKmh,
+    parkedBeforeSeconds: doc.parkedBeforeSeconds
+  };
+}
+
+class TripDetector {
+  constructor({ queries, intervalMs = 60000, batchSize = 5000, options = {} }) {
+    this.queries = queries;
+    this.intervalMs = intervalMs;
+    this.batchSize = batchSize;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.rebuilds = new Set();
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Detect the trips of a car again from its first reading, on the next run
+  rebuild(licensePlate) {
+    this.rebuilds.add(licensePlate);
+  }
+
+  async tick(now = new Date()) {
+    // Skip if the previous tick is still processing
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      for (const licensePlate of this.rebuilds) {
+        this.rebuilds.delete(licensePlate);
+        await this.queries.deleteTrips(licensePlate);
+        console.log(`Rebuilding trips of car ${licensePlate}`);
+      }
+
+      const licensePlates = await this.queries.getCarDataLicensePlates();
+      for (const licensePlate of licensePlates) {
+        try {
+          await this.processCar(licensePlate, now);
+        } catch (error) {
+          console.error(`Error detecting trips of car ${licensePlate}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error detecting trips:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Process the readings of a car since the previous run, in batches
+  async processCar(licensePlate, now = new Date()) {
+    let progress = (await this.queries.getTripProgress(licensePlate)) || initialProgress();
+    let found = 0;
+
+    for (;;) {
+      const readings = await this.queries.getCarDataAfter(licensePlate, progress.processedUntil, this.batchSize);
+      const result = readings.length < this.batchSize
+        ? this.finishStale(licensePlate, segmentReadings(licensePlate, progress, readings, this.options), now)
+        : segmentReadings(licensePlate, progress, readings, this.options);
+
+      if (result.trips.length > 0) await this.queries.upsertTrips(result.trips);
+      if (readings.length > 0 || result.trips.length > 0) {
+        await this.queries.saveTripProgress(licensePlate, result.progress);
+      }
+      progress = result.progress;
+      found += result.trips.length;
+      if (readings.length < this.batchSize) break;
+    }
+
+    if (found > 0) console.log(`Detected ${found} trips of car ${licensePlate}`);
+    return found;
+  }
+
+  finishStale(licensePlate, result, now) {
+    const stale = finishStaleTrip(licensePlate, result.progress, now, this.options);
+    return { progress: stale.progress, trips: [...result.trips, ...stale.trips] };
+  }
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  TripDetector,
+  initialProgress,
+  segmentReadings,
+  finishStaleTrip,
+  parseTripsQuery,
+  formatTrip
+};
@@ -0,0 +1,95 @@
+const WebSocket = require('ws');
+
+// Tracks commands sent to cars until the car acknowledges them.
+// Unacknowledged commands are re-sent after ackTimeoutMs, up to maxAttempts
+// sends in total; after that onExhausted is called with the command entry.
+class CommandDispatcher {
+  constructor({ ackTimeoutMs = 5000, maxAttempts = 3, onExhausted = () => {} } = {}) {
+    this.ackTimeoutMs = ackTimeoutMs;
+    this.maxAttempts = maxAttempts;
+    this.onExhausted = onExhausted;
+    this.pending = new Map();
+  }
+
+  // Send a command frame to a car and wait for its ack
+  dispatch(ws, command) {
+    // Already on its way, e.g. flushed from the queue and received from Redis
+    if (this.pending.has(command.commandId)) {
+      return;
+    }
+
+    const entry = {
+      ws,
+      commandId: command.commandId,
+      licensePlate: command.licensePlate,
+      command: command.command,
+      parameters: command.parameters || {},
+      timestamp: command.timestamp,
+      attempt: 0,
+      timer: null
+    };
+
+    this.pending.set(entry.commandId, entry);
+    this.send(entry);
+  }
+
+  send(entry) {
+    entry.attempt++;
+    entry.ws.send(JSON.stringify({
+      type: 'command',
+      commandId: entry.commandId,
+      command: entry.command,
+      parameters: entry.parameters,
+      attempt: entry.attempt,
+      timestamp: entry.timestamp
+    }));
+
+    entry.timer = setTimeout(() => this.handleTimeout(entry), this.ackTimeoutMs);
+  }
+
+  handleTimeout(entry) {
+    if (entry.attempt < this.maxAttempts && entry.ws.readyState === WebSocket.OPEN) {
+      console.log(`No ack for command ${entry.commandId} from car ${entry.licensePlate}, retrying (attempt ${entry.attempt + 1})`);
+      this.send(entry);
+      return;
+    }
+
+    this.pending.delete(entry.commandId);
+    this.onExhausted(entry);
+  }
+
+  // Stop retrying a command. Returns the entry, or null if it was not pending
+  // or belongs to a different car.
+  acknowledge(commandId, licensePlate) {
+    const entry = this.pending.get(commandId);
+    if (!entry || entry.licensePlate !== licensePlate) {
+      return null;
+    }
+
+    clearTimeout(entry.timer);
+    this.pending.delete(commandId);
+    return entry;
+  }
+
+  // Drop all pending commands of a closed connection and return them
+  releaseSocket(ws) {
+    const released = [];
+    for (const entry of this.pending.values()) {
+      if (entry.ws === ws) {
+        clearTimeout(entry.timer);
+        this.pending.delete(entry.commandId);
+        released.push(entry);
+      }
+    }
+    return released;
+  }
+
+  clear() {
+    for (const entry of this.pending.values()) {
+      clearTimeout(entry.timer);
+    }
+    this.pending.clear();
+  }
+}
+
+module.exports = CommandDispatcher;
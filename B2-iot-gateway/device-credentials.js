@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+// Per-car device credentials for the WebSocket connection. A credential is a
+// token "<keyId>.<secret>"; B4 stores the keyId, the car it belongs to and a
+// SHA-256 hash of the secret, so a leaked database does not leak tokens.
+// Cars send the token in the handshake: "Authorization: Bearer <token>".
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// New credential; the token is only ever shown once, when it is issued
+function generateDeviceCredential() {
+  const keyId = `dk_${crypto.randomBytes(6).toString('hex')}`;
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { keyId, token: `${keyId}.${secret}`, secretHash: hashSecret(secret) };
+}
+
+// Split a token into keyId and secret. Returns null if it is malformed.
+function parseDeviceToken(token) {
+  const match = /^(dk_[0-9a-f]{12})\.([A-Za-z0-9_-]{20,})$/.exec(token || '');
+  return match ? { keyId: match[1], secret: match[2] } : null;
+}
+
+function readBearerToken(headers) {
+  const [scheme, token] = (headers.authorization || '').split(' ');
+  return scheme === 'Bearer' ? token : null;
+}
+
+// Check a handshake token against B4. Resolves to { keyId, licensePlate }
+// of an active credential, or null.
+async function authenticateDevice(token, queries) {
+  const parsed = parseDeviceToken(token);
+  if (!parsed) return null;
+
+  const credential = await queries.getActiveDeviceCredential(parsed.keyId);
+  if (!credential) return null;
+
+  const expected = Buffer.from(credential.secret_hash, 'hex');
+  const actual = Buffer.from(hashSecret(parsed.secret), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return { keyId: credential.key_id, licensePlate: credential.license_plate };
+}
+
+module.exports = {
+  generateDeviceCredential,
+  parseDeviceToken,
+  readBearerToken,
+  authenticateDevice
+};
@@ -0,0 +1,99 @@
+const { haversineDistance, isValidPoint, pointInPolygon } = require('../shared/geo');
+
+// Whether a { lat, lng } point is inside a geofence: within radius meters of
+// the center of a circle, or inside a polygon
+function containsPoint(geofence, point) {
+  if (geofence.type === 'circle') {
+    return haversineDistance(geofence.center, point) <= geofence.radius;
+  }
+  if (geofence.type === 'polygon') {
+    return pointInPolygon(point, geofence.points);
+  }
+  return false;
+}
+
+// Checks the readings of cars against the geofences (B3 documents, global
+// ones without licensePlate) and reports each car entering or leaving a
+// zone. Which zones a car is inside is kept per car; after a restart it is
+// loaded with loadInside(licensePlate), which resolves to the ids of the zones
+// whose latest event for the car was an entry. onEvent is called with each
+// event, in order; a car only counts as inside or outside a zone once its
+// event was handled, so an event that fails is reported again with the next
+// reading.
+class GeofenceMonitor {
+  constructor({ loadInside, onEvent }) {
+    this.loadInside = loadInside;
+    this.onEvent = onEvent;
+    this.geofences = [];
+    this.inside = new Map();
+    this.queues = new Map();
+  }
+
+  setGeofences(geofences) {
+    this.geofences = geofences;
+  }
+
+  // Check the position of a car. Readings of a car are checked one at a time,
+  // in the order they arrive. Resolves to the events of the reading that
+  // were handled.
+  evaluate(licensePlate, point) {
+    const previous = this.queues.get(licensePlate) || Promise.resolve();
+    const result = previous.then(() => this.check(licensePlate, point));
+    this.queues.set(licensePlate, result.catch(() => {}));
+    return result;
+  }
+
+  async check(licensePlate, point) {
+    if (!isValidPoint(point)) return [];
+
+    let inside = this.inside.get(licensePlate);
+    if (!inside) {
+      inside = new Set(await this.loadInside(licensePlate));
+      this.inside.set(licensePlate, inside);
+    }
+
+    const geofences = this.geofences.filter(geofence => !geofence.licensePlate || geofence.licensePlate === licensePlate);
+    const events = [];
+    for (const geofence of geofences) {
+      const isInside = containsPoint(geofence, point);
+      if (isInside === inside.has(geofence._id)) continue;
+
+      events.push({
+        licensePlate,
+        geofenceId: geofence._id,
+        geofenceName: geofence.name,
+        type: isInside ? 'enter' : 'exit',
+        gps: { lat: point.lat, lng: point.lng },
+        occurredAt: new Date()
+      });
+    }
+
+    // Zones deleted or given to another car no longer apply; they are left
+    // without an exit event
+    for (const geofenceId of inside) {
+      if (!geofences.some(geofence => geofence._id === geofenceId)) inside.delete(geofenceId);
+    }
+
+    const handled = [];
+    for (const event of events) {
+      try {
+        await this.onEvent(event);
+      } catch (error) {
+        console.error(`Error handling ${event.type} of geofence ${event.geofenceId} by car ${licensePlate}:`, error);
+        continue;
+      }
+      if (event.type === 'enter') {
+        inside.add(event.geofenceId);
+      } else {
+        inside.delete(event.geofenceId);
+      }
+      handled.push(event);
+    }
+    return handled;
+  }
+}
+
+module.exports = {
+  GeofenceMonitor,
+  containsPoint
+};
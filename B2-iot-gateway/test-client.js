@@ -1,17 +1,60 @@
 // Test client for B2 IoT Gateway
 const WebSocket = require('ws');
 
-const WS_URL = 'ws://localhost:8080';
+const WS_URL = process.env.WS_URL || 'ws://localhost:8081';
+
+// Simulated time it takes a car to carry out a command
+const EXECUTION_DELAY_MS = 1000;
+
+// Cabin temperature change per reading while climate control is on
+const CLIMATE_STEP_C = 0.5;
+
+// Device tokens of the demo cars seeded in B4 (init-db.sql). Override with
+// DEVICE_TOKENS="ABC-123=<token>,XYZ-789=<token>" after rotating credentials.
+const DEMO_DEVICE_TOKENS = {
+  'ABC-123': 'dk_e498723f9d54.lhMq46AQqlGlVP_G92V1o7lP52fcgH_1c_CpIyFYmqw',
+  'XYZ-789': 'dk_d8f0fd082af3.r23RHi3iaNea6QVvf1VSqvPbbEmjN9vDU6K9cwxrpKs',
+  'DEF-456': 'dk_c13a9b19e64a.5RVTvGNV62hDfOYz51ap1CieXF_X4cp5aR77l6t1spc'
+};
+
+// Odometer (km) reported by the demo cars. DEF-456 reports none, so B1 takes
+// its mileage from its service records and trips.
+const DEMO_ODOMETERS = {
+  'ABC-123': 46210,
+  'XYZ-789': 39150
+};
+
+function readDeviceTokens() {
+  if (!process.env.DEVICE_TOKENS) return DEMO_DEVICE_TOKENS;
+
+  const tokens = {};
+  for (const entry of process.env.DEVICE_TOKENS.split(',')) {
+    const [licensePlate, token] = entry.trim().split('=');
+    if (licensePlate && token) tokens[licensePlate] = token;
+  }
+  return tokens;
+}
 
 class CarSimulator {
-  constructor(licensePlate) {
+  constructor(licensePlate, token) {
     this.licensePlate = licensePlate;
+    this.token = token;
     this.ws = null;
     this.connected = false;
+    this.engineStatus = 'off';
+    this.indoorTemp = 20 + Math.random() * 10;
+    this.odometer = DEMO_ODOMETERS[licensePlate];
+    // Cabin target while heating or AC is on, otherwise null
+    this.climateTarget = null;
+    // Command IDs already handled, so retried frames are acked but not re-executed
+    this.handledCommands = new Set();
   }
 
   connect() {
-    this.ws = new WebSocket(WS_URL);
+    // The gateway identifies the car by its device token
+    this.ws = new WebSocket(WS_URL, {
+      headers: { Authorization: `Bearer ${this.token}` }
+    });
 
     this.ws.on('open', () => {
       console.log(`Car ${this.licensePlate} connected to IoT Gateway`);
@@ -24,13 +67,18 @@ class CarSimulator {
       console.log(`Car ${this.licensePlate} received:`, message);
       
       if (message.type === 'command') {
-        this.handleCommand(message.command);
+        this.handleCommand(message);
       }
     });
 
-    this.ws.on('close', () => {
-      console.log(`Car ${this.licensePlate} disconnected`);
+    this.ws.on('unexpected-response', (req, res) => {
+      console.error(`Car ${this.licensePlate} rejected by IoT Gateway: ${res.statusCode} ${res.statusMessage}`);
+    });
+
+    this.ws.on('close', (code, reason) => {
+      console.log(`Car ${this.licensePlate} disconnected${reason.length ? `: ${reason}` : ''}`);
       this.connected = false;
+      clearInterval(this.dataTimer);
     });
 
     this.ws.on('error', (error) => {
@@ -39,39 +87,112 @@ class CarSimulator {
   }
 
   startSendingData() {
+    this.sendData();
+
     // Send data every 5 seconds for demo
-    setInterval(() => {
-      if (this.connected) {
-        const data = {
-          licensePlate: this.licensePlate,
-          indoorTemp: 20 + Math.random() * 10,
-          outdoorTemp: 10 + Math.random() * 15,
-          gps: {
-            lat: 60.1699 + (Math.random() - 0.5) * 0.01,
-            lng: 24.9384 + (Math.random() - 0.5) * 0.01
-          },
-          timestamp: new Date().toISOString()
-        };
-
-        this.ws.send(JSON.stringify(data));
-        console.log(`Car ${this.licensePlate} sent data`);
-      }
-    }, 5000);
+    this.dataTimer = setInterval(() => this.sendData(), 5000);
   }
 
-  handleCommand(command) {
-    console.log(`Car ${this.licensePlate} executing command: ${command}`);
+  updateIndoorTemp() {
+    if (this.climateTarget === null) {
+      this.indoorTemp += (Math.random() - 0.5) * 0.4;
+      return;
+    }
+
+    const difference = this.climateTarget - this.indoorTemp;
+    this.indoorTemp += Math.sign(difference) * Math.min(Math.abs(difference), CLIMATE_STEP_C);
+  }
+
+  sendData() {
+    if (this.connected) {
+      this.updateIndoorTemp();
+      const data = {
+        licensePlate: this.licensePlate,
+        indoorTemp: this.indoorTemp,
+        outdoorTemp: 10 + Math.random() * 15,
+        gps: {
+          lat: 60.1699 + (Math.random() - 0.5) * 0.01,
+          lng: 24.9384 + (Math.random() - 0.5) * 0.01
+        },
+        // Parked, so B1 safety interlocks allow unlocking
+        speed: 0,
+        engineStatus: this.engineStatus,
+        odometer: this.odometer,
+        timestamp: new Date().toISOString()
+      };
+
+      this.ws.send(JSON.stringify(data));
+      console.log(`Car ${this.licensePlate} sent data`);
+    }
+  }
+
+  send(frame) {
+    if (this.connected) {
+      this.ws.send(JSON.stringify(frame));
+    }
+  }
+
+  handleCommand({ commandId, command, parameters = {}, attempt }) {
+    // Acknowledge every frame, including retries
+    this.send({ type: 'ack', commandId });
+
+    if (this.handledCommands.has(commandId)) {
+      console.log(`Car ${this.licensePlate} ignoring duplicate command ${commandId} (attempt ${attempt})`);
+      return;
+    }
+    this.handledCommands.add(commandId);
+
+    setTimeout(() => this.executeCommand(commandId, command, parameters), EXECUTION_DELAY_MS);
+  }
+
+  executeCommand(commandId, command, parameters) {
+    console.log(`Car ${this.licensePlate} executing command: ${command}`, parameters);
+    let success = true;
     
     // Simulate command execution
     switch (command) {
       case 'start_heating':
-        console.log(`Car ${this.licensePlate}: Starting heating system`);
+      case 'start_ac':
+        this.climateTarget = parameters.targetTemp;
+        console.log(`Car ${this.licensePlate}: Starting ${command === 'start_ac' ? 'air conditioning' : 'heating system'} (target ${parameters.targetTemp}°C)`);
+        break;
+      case 'stop_heating':
+      case 'stop_ac':
+        this.climateTarget = null;
+        console.log(`Car ${this.licensePlate}: ${command.replace('_', ' ')}`);
+        break;
+      case 'set_temperature':
+        if (this.climateTarget !== null) this.climateTarget = parameters.targetTemp;
+        console.log(`Car ${this.licensePlate}: Cabin target set to ${parameters.targetTemp}°C`);
+        break;
+      case 'honk_and_flash':
+        console.log(`Car ${this.licensePlate}: Honking and flashing for ${parameters.durationSeconds}s`);
         break;
       case 'service_mode':
         console.log(`Car ${this.licensePlate}: Entering service mode`);
         break;
+      case 'start_engine':
+        this.engineStatus = 'running';
+        console.log(`Car ${this.licensePlate}: Engine started for ${parameters.runMinutes} min`);
+        break;
+      case 'stop_engine':
+        this.engineStatus = 'off';
+        console.log(`Car ${this.licensePlate}: Engine stopped`);
+        break;
+      case 'lock_doors':
+      case 'unlock_doors':
+        console.log(`Car ${this.licensePlate}: ${command.replace('_', ' ')}`);
+        break;
       default:
         console.log(`Car ${this.licensePlate}: Unknown command: ${command}`);
+        success = false;
+    }
+
+    // Report the outcome back to the gateway
+    if (success) {
+      this.send({ type: 'result', commandId, result: { command, completedAt: new Date().toISOString() } });
+    } else {
+      this.send({ type: 'error', commandId, error: `Unknown command: ${command}` });
     }
   }
 
@@ -83,11 +204,8 @@ class CarSimulator {
 }
 
 // Create test cars
-const cars = [
-  new CarSimulator('ABC-123'),
-  new CarSimulator('XYZ-789'),
-  new CarSimulator('DEF-456')
-];
+const cars = Object.entries(readDeviceTokens())
+  .map(([licensePlate, token]) => new CarSimulator(licensePlate, token));
 
 // Connect all cars
 cars.forEach(car => car.connect());
@@ -0,0 +1,95 @@
+const WebSocket = require('ws');
+const CommandDispatcher = require('../command-dispatcher');
+
+describe('B2 Command Dispatcher Tests', () => {
+  let ws;
+  let exhausted;
+  let dispatcher;
+
+  const command = {
+    commandId: 'cmd-1',
+    licensePlate: 'ABC-123',
+    command: 'start_ac',
+    parameters: { targetTemp: 21 },
+    timestamp: '2024-11-04T10:30:00.000Z'
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ws = { readyState: WebSocket.OPEN, send: jest.fn() };
+    exhausted = jest.fn();
+    dispatcher = new CommandDispatcher({ ackTimeoutMs: 1000, maxAttempts: 3, onExhausted: exhausted });
+  });
+
+  afterEach(() => {
+    dispatcher.clear();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('sends command frame with ID and attempt number', () => {
+    dispatcher.dispatch(ws, command);
+
+    expect(ws.send).toHaveBeenCalledTimes(1);
+    const frame = JSON.parse(ws.send.mock.calls[0][0]);
+    expect(frame).toEqual({
+      type: 'command',
+      commandId: 'cmd-1',
+      command: 'start_ac',
+      parameters: { targetTemp: 21 },
+      attempt: 1,
+      timestamp: '2024-11-04T10:30:00.000Z'
+    });
+  });
+
+  test('retries unacknowledged commands until attempts run out', () => {
+    dispatcher.dispatch(ws, command);
+
+    jest.advanceTimersByTime(1000);
+    jest.advanceTimersByTime(1000);
+    expect(ws.send).toHaveBeenCalledTimes(3);
+    expect(JSON.parse(ws.send.mock.calls[2][0]).attempt).toBe(3);
+    expect(exhausted).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1000);
+    expect(exhausted).toHaveBeenCalledWith(expect.objectContaining({ commandId: 'cmd-1', attempt: 3 }));
+    expect(dispatcher.pending.size).toBe(0);
+  });
+
+  test('acknowledged commands are not retried', () => {
+    dispatcher.dispatch(ws, command);
+
+    expect(dispatcher.acknowledge('cmd-1', 'ABC-123')).not.toBeNull();
+    jest.advanceTimersByTime(5000);
+
+    expect(ws.send).toHaveBeenCalledTimes(1);
+    expect(exhausted).not.toHaveBeenCalled();
+  });
+
+  test('ignores acks from a different car', () => {
+    dispatcher.dispatch(ws, command);
+
+    expect(dispatcher.acknowledge('cmd-1', 'XYZ-789')).toBeNull();
+    expect(dispatcher.pending.has('cmd-1')).toBe(true);
+  });
+
+  test('gives up immediately when the socket has closed', () => {
+    dispatcher.dispatch(ws, command);
+    ws.readyState = WebSocket.CLOSED;
+
+    jest.advanceTimersByTime(1000);
+    expect(ws.send).toHaveBeenCalledTimes(1);
+    expect(exhausted).toHaveBeenCalledTimes(1);
+  });
+
+  test('releaseSocket returns pending commands of that connection', () => {
+    const otherWs = { readyState: WebSocket.OPEN, send: jest.fn() };
+    dispatcher.dispatch(ws, command);
+    dispatcher.dispatch(otherWs, { ...command, commandId: 'cmd-2', licensePlate: 'XYZ-789' });
+
+    const released = dispatcher.releaseSocket(ws);
+    expect(released.map(entry => entry.commandId)).toEqual(['cmd-1']);
+    expect(dispatcher.pending.has('cmd-2')).toBe(true);
+  });
+});
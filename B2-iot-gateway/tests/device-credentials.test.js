@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const {
+  generateDeviceCredential,
+  parseDeviceToken,
+  readBearerToken,
+  authenticateDevice
+} = require('../device-credentials');
+
+describe('B2 Device Credential Tests', () => {
+  function createQueries(credentials) {
+    return {
+      getActiveDeviceCredential: jest.fn(async (keyId) => credentials.find(row => row.key_id === keyId) || null)
+    };
+  }
+
+  test('issues tokens whose secret is only stored as a hash', () => {
+    const { keyId, token, secretHash } = generateDeviceCredential();
+    const parsed = parseDeviceToken(token);
+
+    expect(keyId).toMatch(/^dk_[0-9a-f]{12}$/);
+    expect(parsed.keyId).toBe(keyId);
+    expect(secretHash).toBe(crypto.createHash('sha256').update(parsed.secret).digest('hex'));
+    expect(token).not.toContain(secretHash);
+  });
+
+  test('rejects malformed tokens', () => {
+    expect(parseDeviceToken('ABC-123')).toBeNull();
+    expect(parseDeviceToken('dk_e498723f9d54.')).toBeNull();
+    expect(parseDeviceToken(undefined)).toBeNull();
+  });
+
+  test('reads the token from the Authorization header', () => {
+    expect(readBearerToken({ authorization: 'Bearer dk_abc.secret' })).toBe('dk_abc.secret');
+    expect(readBearerToken({ authorization: 'Basic abc' })).toBeNull();
+    expect(readBearerToken({})).toBeNull();
+  });
+
+  test('binds a valid token to the car of its credential', async () => {
+    const { keyId, token, secretHash } = generateDeviceCredential();
+    const queries = createQueries([{ key_id: keyId, license_plate: 'ABC-123', secret_hash: secretHash }]);
+
+    await expect(authenticateDevice(token, queries)).resolves.toEqual({ keyId, licensePlate: 'ABC-123' });
+  });
+
+  test('rejects a wrong secret and unknown or revoked keys', async () => {
+    const issued = generateDeviceCredential();
+    const other = generateDeviceCredential();
+    const queries = createQueries([{ key_id: issued.keyId, license_plate: 'ABC-123', secret_hash: issued.secretHash }]);
+
+    const wrongSecret = `${issued.keyId}.${parseDeviceToken(other.token).secret}`;
+    await expect(authenticateDevice(wrongSecret, queries)).resolves.toBeNull();
+    // Revoked credentials are not returned by getActiveDeviceCredential
+    await expect(authenticateDevice(other.token, queries)).resolves.toBeNull();
+    await expect(authenticateDevice(null, queries)).resolves.toBeNull();
+    expect(queries.getActiveDeviceCredential).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,126 @@
+const { GeofenceMonitor, containsPoint } = require('../geofence-monitor');
+
+describe('B2 Geofence Monitor Tests', () => {
+  const depot = { _id: 'depot', name: 'Depot', type: 'circle', center: { lat: 60.1699, lng: 24.9384 }, radius: 300 };
+  const helsinki = {
+    _id: 'helsinki',
+    name: 'Helsinki',
+    licensePlate: 'ABC-123',
+    type: 'polygon',
+    points: [
+      { lat: 60.10, lng: 24.80 },
+      { lat: 60.10, lng: 25.10 },
+      { lat: 60.30, lng: 25.10 },
+      { lat: 60.30, lng: 24.80 }
+    ]
+  };
+  const atDepot = { lat: 60.1705, lng: 24.9390 };
+  const inCity = { lat: 60.2000, lng: 24.9000 };
+  const outside = { lat: 60.4500, lng: 25.6000 };
+
+  let events;
+  let monitor;
+
+  beforeEach(() => {
+    events = [];
+    monitor = new GeofenceMonitor({
+      loadInside: jest.fn(async () => []),
+      onEvent: async (event) => { events.push(event); }
+    });
+    monitor.setGeofences([depot, helsinki]);
+  });
+
+  describe('Zones', () => {
+    test('contain points within the circle radius', () => {
+      expect(containsPoint(depot, atDepot)).toBe(true);
+      expect(containsPoint(depot, inCity)).toBe(false);
+    });
+
+    test('contain points inside the polygon', () => {
+      expect(containsPoint(helsinki, inCity)).toBe(true);
+      expect(containsPoint(helsinki, outside)).toBe(false);
+    });
+  });
+
+  describe('Events', () => {
+    test('are reported when a car enters and leaves zones', async () => {
+      await monitor.evaluate('ABC-123', atDepot);
+      await monitor.evaluate('ABC-123', inCity);
+      await monitor.evaluate('ABC-123', inCity);
+      await monitor.evaluate('ABC-123', outside);
+
+      expect(events.map(event => `${event.type} ${event.geofenceId}`)).toEqual([
+        'enter depot',
+        'enter helsinki',
+        'exit depot',
+        'exit helsinki'
+      ]);
+      expect(events[0]).toMatchObject({ licensePlate: 'ABC-123', geofenceName: 'Depot', gps: atDepot });
+    });
+
+    test('only use the zones of the car and global ones', async () => {
+      await monitor.evaluate('XYZ-789', inCity);
+      await monitor.evaluate('XYZ-789', atDepot);
+
+      expect(events.map(event => `${event.type} ${event.geofenceId}`)).toEqual(['enter depot']);
+    });
+
+    test('continue from the zones the car was inside before a restart', async () => {
+      monitor.loadInside.mockResolvedValue(['helsinki']);
+
+      await monitor.evaluate('ABC-123', inCity);
+      await monitor.evaluate('ABC-123', inCity);
+
+      expect(events).toEqual([]);
+      expect(monitor.loadInside).toHaveBeenCalledTimes(1);
+    });
+
+    test('are checked in the order the readings arrive', async () => {
+      await Promise.all([
+        monitor.evaluate('ABC-123', atDepot),
+        monitor.evaluate('ABC-123', outside)
+      ]);
+
+      expect(events.map(event => `${event.type} ${event.geofenceId}`)).toEqual([
+        'enter depot',
+        'enter helsinki',
+        'exit depot',
+        'exit helsinki'
+      ]);
+    });
+
+    test('that fail are reported again with the next reading', async () => {
+      const onEvent = jest.fn()
+        .mockRejectedValueOnce(new Error('MongoDB unavailable'))
+        .mockResolvedValue();
+      monitor = new GeofenceMonitor({ loadInside: async () => [], onEvent });
+      monitor.setGeofences([depot, helsinki]);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(monitor.evaluate('ABC-123', atDepot)).resolves.toEqual([
+        expect.objectContaining({ type: 'enter', geofenceId: 'helsinki' })
+      ]);
+      await monitor.evaluate('ABC-123', atDepot);
+
+      expect(onEvent.mock.calls.map(([event]) => `${event.type} ${event.geofenceId}`)).toEqual([
+        'enter depot',
+        'enter helsinki',
+        'enter depot'
+      ]);
+      console.error.mockRestore();
+    });
+
+    test('are not reported for readings without a position or deleted zones', async () => {
+      await monitor.evaluate('ABC-123', atDepot);
+      await monitor.evaluate('ABC-123', null);
+      monitor.setGeofences([helsinki]);
+      await monitor.evaluate('ABC-123', outside);
+
+      expect(events.map(event => `${event.type} ${event.geofenceId}`)).toEqual([
+        'enter depot',
+        'enter helsinki',
+        'exit helsinki'
+      ]);
+    });
+  });
+});
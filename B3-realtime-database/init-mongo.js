@@ -4,14 +4,36 @@ db = db.getSiblingDB('cardata');
 // Create collections
 db.createCollection('car_data');
 db.createCollection('car_commands');
+db.createCollection('command_schedules');
+db.createCollection('command_schedule_runs');
+db.createCollection('preconditioning_sessions');
+db.createCollection('geofences');
+db.createCollection('geofence_events');
+db.createCollection('trips');
+db.createCollection('trip_progress');
 
 // Create indexes for better performance
 db.car_data.createIndex({ "licensePlate": 1, "timestamp": -1 });
 db.car_data.createIndex({ "timestamp": -1 });
 db.car_data.createIndex({ "licensePlate": 1 });
+db.car_data.createIndex({ "location": "2dsphere" });
 
 db.car_commands.createIndex({ "licensePlate": 1, "timestamp": -1 });
 db.car_commands.createIndex({ "timestamp": -1 });
+db.car_commands.createIndex({ "status": 1, "expiresAt": 1 });
+
+db.command_schedules.createIndex({ "status": 1, "nextRunAt": 1 });
+db.command_schedules.createIndex({ "licensePlate": 1 });
+db.command_schedule_runs.createIndex({ "scheduleId": 1, "runAt": -1 });
+
+db.preconditioning_sessions.createIndex({ "state": 1 });
+db.preconditioning_sessions.createIndex({ "licensePlate": 1, "createdAt": -1 });
+
+db.geofences.createIndex({ "licensePlate": 1 });
+db.geofence_events.createIndex({ "licensePlate": 1, "occurredAt": -1 });
+db.geofence_events.createIndex({ "licensePlate": 1, "geofenceId": 1, "occurredAt": -1 });
+
+db.trips.createIndex({ "licensePlate": 1, "startedAt": -1 });
 
 // Insert sample data
 db.car_data.insertMany([
@@ -23,8 +45,10 @@ db.car_data.insertMany([
       lat: 60.1699,
       lng: 24.9384
     },
+    location: { type: "Point", coordinates: [24.9384, 60.1699] },
     speed: 0,
     engineStatus: "off",
+    odometer: 46210,
     timestamp: new Date("2024-11-04T10:00:00Z")
   },
   {
@@ -35,8 +59,10 @@ db.car_data.insertMany([
       lat: 60.1733,
       lng: 24.9410
     },
+    location: { type: "Point", coordinates: [24.9410, 60.1733] },
     speed: 0,
     engineStatus: "off",
+    odometer: 39150,
     timestamp: new Date("2024-11-04T10:00:00Z")
   },
   {
@@ -47,6 +73,7 @@ db.car_data.insertMany([
       lat: 60.1681,
       lng: 24.9342
     },
+    location: { type: "Point", coordinates: [24.9342, 60.1681] },
     speed: 0,
     engineStatus: "off",
     timestamp: new Date("2024-11-04T10:00:00Z")
@@ -70,6 +97,6 @@ db.car_commands.insertMany([
 ]);
 
 print("MongoDB initialization completed for car data database");
-print("Collections created: car_data, car_commands");
+print("Collections created: car_data, car_commands, command_schedules, command_schedule_runs, preconditioning_sessions, geofences, geofence_events, trips, trip_progress");
 print("Indexes created for performance optimization");
 print("Sample data inserted for testing");
\ No newline at end of file
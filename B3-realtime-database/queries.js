@@ -1,19 +1,31 @@
 const { MongoClient } = require('mongodb');
+const { toGeoJsonPoint } = require('../shared/geo');
 require('dotenv').config();
 
 const MONGO_URL = process.env.MONGO_URL || 'mongodb://localhost:27017';
-const DB_NAME = 'cardata';
+const DB_NAME = process.env.MONGO_DB || 'cardata';
+
+// Command lifecycle: pending → delivered → executed / failed / expired.
+// Maps each status to the statuses it may be reached from.
+const COMMAND_TRANSITIONS = {
+  delivered: ['pending'],
+  executed: ['pending', 'delivered'],
+  failed: ['pending', 'delivered'],
+  expired: ['pending', 'delivered']
+};
 
 class CarDataQueries {
-  constructor() {
+  constructor(options = {}) {
+    this.url = options.url || MONGO_URL;
+    this.dbName = options.dbName || DB_NAME;
     this.client = null;
     this.db = null;
   }
 
   async connect() {
-    this.client = new MongoClient(MONGO_URL);
+    this.client = new MongoClient(this.url);
     await this.client.connect();
-    this.db = this.client.db(DB_NAME);
+    this.db = this.client.db(this.dbName);
     console.log('Connected to MongoDB');
   }
 
@@ -24,17 +36,39 @@ class CarDataQueries {
     }
   }
 
-  // Insert new car data
+  // Insert new car data. gps is also stored as a GeoJSON point (location)
+  // for the 2dsphere index.
   async insertCarData(carData) {
     const collection = this.db.collection('car_data');
+    const { location, ...data } = carData;
     const document = {
-      ...carData,
+      ...data,
       timestamp: new Date()
     };
+    const point = toGeoJsonPoint(carData.gps);
+    if (point) document.location = point;
+    // Odometer readings are km; other values would corrupt the car's mileage
+    if (!(typeof document.odometer === 'number' && document.odometer >= 0)) delete document.odometer;
     const result = await collection.insertOne(document);
     return result;
   }
 
+  // Add location to readings stored before it was (valid gps only) and
+  // create the 2dsphere index on it. Safe to run repeatedly.
+  async ensureLocationIndex() {
+    const collection = this.db.collection('car_data');
+    const result = await collection.updateMany(
+      {
+        location: { $exists: false },
+        'gps.lat': { $gte: -90, $lte: 90 },
+        'gps.lng': { $gte: -180, $lte: 180 }
+      },
+      [{ $set: { location: { type: 'Point', coordinates: ['$gps.lng', '$gps.lat'] } } }]
+    );
+    await collection.createIndex({ location: '2dsphere' });
+    return result.modifiedCount;
+  }
+
   // Get latest data for a car
   async getLatestCarData(licensePlate) {
     const collection = this.db.collection('car_data');
@@ -102,6 +136,41 @@ class CarDataQueries {
     return results[0] || null;
   }
 
+  // Min/avg/max temperatures per time bucket of bucketSeconds from
+  // startTime (inclusive) to endTime (exclusive), oldest first. Buckets are
+  // aligned to the Unix epoch (UTC) and those without readings are left out.
+  async getTemperatureHistory(licensePlate, startTime, endTime, bucketSeconds) {
+    const collection = this.db.collection('car_data');
+    const bucketMs = bucketSeconds * 1000;
+    const epochMs = { $toLong: '$timestamp' };
+
+    const pipeline = [
+      {
+        $match: {
+          licensePlate,
+          timestamp: { $gte: new Date(startTime), $lt: new Date(endTime) }
+        }
+      },
+      {
+        $group: {
+          _id: { $subtract: [epochMs, { $mod: [epochMs, bucketMs] }] },
+          minIndoorTemp: { $min: '$indoorTemp' },
+          avgIndoorTemp: { $avg: '$indoorTemp' },
+          maxIndoorTemp: { $max: '$indoorTemp' },
+          minOutdoorTemp: { $min: '$outdoorTemp' },
+          avgOutdoorTemp: { $avg: '$outdoorTemp' },
+          maxOutdoorTemp: { $max: '$outdoorTemp' },
+          dataPoints: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } },
+      { $addFields: { bucketStart: { $toDate: '$_id' } } },
+      { $project: { _id: 0 } }
+    ];
+
+    return collection.aggregate(pipeline).toArray();
+  }
+
   // Get all cars with latest data
   async getAllCarsLatestData() {
     const collection = this.db.collection('car_data');
@@ -124,18 +193,78 @@ class CarDataQueries {
     return results;
   }
 
+  // Cars whose latest reading is within radiusMeters of a { lat, lng } point,
+  // nearest first, with the distance in meters. Readings without location
+  // are ignored.
+  async getCarsNear(point, radiusMeters) {
+    const collection = this.db.collection('car_data');
+    const pipeline = [
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [point.lng, point.lat] },
+          key: 'location',
+          distanceField: 'distance',
+          maxDistance: radiusMeters,
+          spherical: true
+        }
+      },
+      // Latest reading of each car within the radius...
+      { $sort: { timestamp: -1 } },
+      {
+        $group: {
+          _id: '$licensePlate',
+          latestData: { $first: '$$ROOT' }
+        }
+      },
+      { $replaceRoot: { newRoot: '$latestData' } },
+      // ...kept only if it is the latest reading of the car
+      {
+        $lookup: {
+          from: 'car_data',
+          let: { licensePlate: '$licensePlate' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$licensePlate', '$$licensePlate'] } } },
+            { $sort: { timestamp: -1 } },
+            { $limit: 1 },
+            { $project: { _id: 1 } }
+          ],
+          as: 'latest'
+        }
+      },
+      { $match: { $expr: { $eq: ['$_id', { $arrayElemAt: ['$latest._id', 0] }] } } },
+      { $project: { latest: 0 } },
+      { $sort: { distance: 1 } }
+    ];
+
+    return collection.aggregate(pipeline).toArray();
+  }
+
   // Insert command
   async insertCommand(commandData) {
     const collection = this.db.collection('car_commands');
+    const timestamp = new Date();
+    const status = commandData.status || 'pending';
     const document = {
       ...commandData,
-      timestamp: new Date(),
-      status: commandData.status || 'pending'
+      timestamp,
+      status,
+      statusHistory: [{ status, at: timestamp }]
     };
     const result = await collection.insertOne(document);
     return result;
   }
 
+  // Get a single command, optionally scoped to a car
+  async getCommand(commandId, licensePlate = null) {
+    const collection = this.db.collection('car_commands');
+    const filter = { _id: commandId };
+    if (licensePlate) {
+      filter.licensePlate = licensePlate;
+    }
+    const result = await collection.findOne(filter);
+    return result;
+  }
+
   // Get command history
   async getCommandHistory(licensePlate, limit = 50) {
     const collection = this.db.collection('car_commands');
@@ -147,16 +276,442 @@ class CarDataQueries {
     return results;
   }
 
-  // Update command status
-  async updateCommandStatus(commandId, status) {
+  // Get commands waiting for an offline car, oldest first
+  async getQueuedCommands(licensePlate) {
+    const collection = this.db.collection('car_commands');
+    const results = await collection
+      .find({
+        licensePlate,
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      })
+      .sort({ timestamp: 1 })
+      .toArray();
+    return results;
+  }
+
+  // Get pending and delivered commands whose time-to-live has passed:
+  // queued for a car that stayed offline, or acked by a car that never
+  // reported a result
+  async getExpiredCommands() {
+    const collection = this.db.collection('car_commands');
+    const results = await collection
+      .find({
+        status: { $in: ['pending', 'delivered'] },
+        expiresAt: { $lte: new Date() }
+      })
+      .sort({ timestamp: 1 })
+      .toArray();
+    return results;
+  }
+
+  // Update command status. Only lifecycle-forward transitions are applied,
+  // so a late "delivered" never overwrites a final "executed".
+  async updateCommandStatus(commandId, status, details = {}) {
+    const allowedFrom = COMMAND_TRANSITIONS[status];
+    if (!allowedFrom) {
+      throw new Error(`Unknown command status: ${status}`);
+    }
+
     const collection = this.db.collection('car_commands');
+    const updatedAt = new Date();
+    const result = await collection.updateOne(
+      { _id: commandId, status: { $in: allowedFrom } },
+      {
+        $set: { ...details, status, updatedAt },
+        $push: { statusHistory: { status, at: updatedAt } }
+      }
+    );
+    return result;
+  }
+
+  // Insert command schedule
+  async insertSchedule(scheduleData) {
+    const collection = this.db.collection('command_schedules');
+    const now = new Date();
+    const document = {
+      ...scheduleData,
+      status: scheduleData.status || 'active',
+      createdAt: now,
+      updatedAt: now
+    };
+    const result = await collection.insertOne(document);
+    return result;
+  }
+
+  // Get schedules of a car
+  async getSchedules(licensePlate) {
+    const collection = this.db.collection('command_schedules');
+    const results = await collection
+      .find({ licensePlate })
+      .sort({ createdAt: -1 })
+      .toArray();
+    return results;
+  }
+
+  // Get a single schedule, optionally scoped to a car
+  async getSchedule(scheduleId, licensePlate = null) {
+    const collection = this.db.collection('command_schedules');
+    const filter = { _id: scheduleId };
+    if (licensePlate) {
+      filter.licensePlate = licensePlate;
+    }
+    const result = await collection.findOne(filter);
+    return result;
+  }
+
+  // Update schedule fields
+  async updateSchedule(scheduleId, fields) {
+    const collection = this.db.collection('command_schedules');
+    const result = await collection.findOneAndUpdate(
+      { _id: scheduleId },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    return result;
+  }
+
+  // Delete a schedule and its run history
+  async deleteSchedule(scheduleId, licensePlate) {
+    const result = await this.db.collection('command_schedules').deleteOne({ _id: scheduleId, licensePlate });
+    if (result.deletedCount > 0) {
+      await this.db.collection('command_schedule_runs').deleteMany({ scheduleId });
+    }
+    return result;
+  }
+
+  // Get active schedules whose next run is due
+  async getDueSchedules(now = new Date()) {
+    const collection = this.db.collection('command_schedules');
+    const results = await collection
+      .find({ status: 'active', nextRunAt: { $lte: now } })
+      .sort({ nextRunAt: 1 })
+      .toArray();
+    return results;
+  }
+
+  // Claim a due schedule run by moving it on. Only succeeds if nobody else
+  // claimed the same run first (nextRunAt still unchanged).
+  async claimScheduleRun(scheduleId, expectedNextRunAt, fields) {
+    const collection = this.db.collection('command_schedules');
     const result = await collection.updateOne(
-      { _id: commandId },
-      { $set: { status, updatedAt: new Date() } }
+      { _id: scheduleId, status: 'active', nextRunAt: expectedNextRunAt },
+      { $set: { ...fields, updatedAt: new Date() } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // Record the outcome of a schedule run
+  async insertScheduleRun(runData) {
+    const collection = this.db.collection('command_schedule_runs');
+    const result = await collection.insertOne({ ...runData, runAt: runData.runAt || new Date() });
+    return result;
+  }
+
+  // Get run history of a schedule
+  async getScheduleRuns(scheduleId, limit = 20) {
+    const collection = this.db.collection('command_schedule_runs');
+    const results = await collection
+      .find({ scheduleId })
+      .sort({ runAt: -1 })
+      .limit(limit)
+      .toArray();
+    return results;
+  }
+
+  // Insert a cabin preconditioning session
+  async insertPreconditioningSession(sessionData) {
+    const collection = this.db.collection('preconditioning_sessions');
+    const now = new Date();
+    const result = await collection.insertOne({ ...sessionData, createdAt: now, updatedAt: now });
+    return result;
+  }
+
+  // Get a preconditioning session, optionally scoped to a car
+  async getPreconditioningSession(sessionId, licensePlate = null) {
+    const collection = this.db.collection('preconditioning_sessions');
+    const filter = { _id: sessionId };
+    if (licensePlate) {
+      filter.licensePlate = licensePlate;
+    }
+    const result = await collection.findOne(filter);
+    return result;
+  }
+
+  // Get the most recent preconditioning session of a car
+  async getLatestPreconditioningSession(licensePlate) {
+    const collection = this.db.collection('preconditioning_sessions');
+    const result = await collection.findOne({ licensePlate }, { sort: { createdAt: -1 } });
+    return result;
+  }
+
+  // Get sessions that are waiting to start or running
+  async getActivePreconditioningSessions(licensePlate = null) {
+    const collection = this.db.collection('preconditioning_sessions');
+    const filter = { state: { $in: ['scheduled', 'running'] } };
+    if (licensePlate) {
+      filter.licensePlate = licensePlate;
+    }
+    const results = await collection.find(filter).sort({ createdAt: 1 }).toArray();
+    return results;
+  }
+
+  // Update a session. When fromStates is given the update only applies while
+  // the session is still in one of them; returns null if it was not applied.
+  async updatePreconditioningSession(sessionId, fields, fromStates = null) {
+    const collection = this.db.collection('preconditioning_sessions');
+    const filter = { _id: sessionId };
+    if (fromStates) {
+      filter.state = { $in: fromStates };
+    }
+    const result = await collection.findOneAndUpdate(
+      filter,
+      { $set: { ...fields, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    return result;
+  }
+
+  // Insert a geofence (zone)
+  async insertGeofence(geofenceData) {
+    const collection = this.db.collection('geofences');
+    const now = new Date();
+    const document = {
+      ...geofenceData,
+      createdAt: now,
+      updatedAt: now
+    };
+    const result = await collection.insertOne(document);
+    return result;
+  }
+
+  // Get geofences: all of them, or those of a car including global ones
+  async getGeofences({ licensePlate } = {}) {
+    const collection = this.db.collection('geofences');
+    const filter = licensePlate ? { licensePlate: { $in: [licensePlate, null] } } : {};
+    const results = await collection
+      .find(filter)
+      .sort({ name: 1 })
+      .toArray();
+    return results;
+  }
+
+  // Get a single geofence
+  async getGeofence(geofenceId) {
+    const collection = this.db.collection('geofences');
+    const result = await collection.findOne({ _id: geofenceId });
+    return result;
+  }
+
+  // Update geofence fields
+  async updateGeofence(geofenceId, fields) {
+    const collection = this.db.collection('geofences');
+    const result = await collection.findOneAndUpdate(
+      { _id: geofenceId },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    return result;
+  }
+
+  // Delete a geofence. Its events are kept as history.
+  async deleteGeofence(geofenceId) {
+    const result = await this.db.collection('geofences').deleteOne({ _id: geofenceId });
+    return result;
+  }
+
+  // Record a car entering or leaving a geofence
+  async insertGeofenceEvent(eventData) {
+    const collection = this.db.collection('geofence_events');
+    const result = await collection.insertOne({
+      ...eventData,
+      occurredAt: eventData.occurredAt || new Date()
+    });
+    return result;
+  }
+
+  // Geofence events of a car, latest first
+  async getGeofenceEvents(licensePlate, { geofenceId, from, to, limit = 100 } = {}) {
+    const collection = this.db.collection('geofence_events');
+    const filter = { licensePlate };
+    if (geofenceId) {
+      filter.geofenceId = geofenceId;
+    }
+    if (from || to) {
+      filter.occurredAt = {};
+      if (from) filter.occurredAt.$gte = new Date(from);
+      if (to) filter.occurredAt.$lt = new Date(to);
+    }
+    const results = await collection
+      .find(filter)
+      .sort({ occurredAt: -1 })
+      .limit(limit)
+      .toArray();
+    return results;
+  }
+
+  // Ids of the geofences a car is inside: those whose latest event is an entry
+  async getGeofencesInside(licensePlate) {
+    const collection = this.db.collection('geofence_events');
+    const pipeline = [
+      { $match: { licensePlate } },
+      { $sort: { occurredAt: -1 } },
+      {
+        $group: {
+          _id: '$geofenceId',
+          type: { $first: '$type' }
+        }
+      },
+      { $match: { type: 'enter' } }
+    ];
+
+    const results = await collection.aggregate(pipeline).toArray();
+    return results.map(result => result._id);
+  }
+
+  // License plates of the cars that have readings
+  async getCarDataLicensePlates() {
+    return this.db.collection('car_data').distinct('licensePlate');
+  }
+
+  // Readings of a car after a time (all of them without one), oldest first
+  async getCarDataAfter(licensePlate, after, limit = 5000) {
+    const collection = this.db.collection('car_data');
+    const filter = { licensePlate };
+    if (after) {
+      filter.timestamp = { $gt: new Date(after) };
+    }
+    const results = await collection
+      .find(filter, { projection: { gps: 1, speed: 1, engineStatus: 1, timestamp: 1 } })
+      .sort({ timestamp: 1 })
+      .limit(limit)
+      .toArray();
+    return results;
+  }
+
+  // Trip detection progress of a car: the last reading processed and the
+  // trip in progress
+  async getTripProgress(licensePlate) {
+    const result = await this.db.collection('trip_progress').findOne({ _id: licensePlate });
+    return result;
+  }
+
+  async saveTripProgress(licensePlate, progress) {
+    const { _id, ...fields } = progress;
+    const result = await this.db.collection('trip_progress').replaceOne(
+      { _id: licensePlate },
+      { ...fields, updatedAt: new Date() },
+      { upsert: true }
     );
     return result;
   }
 
+  // Store detected trips. A trip detected again replaces the stored one.
+  async upsertTrips(trips) {
+    const result = await this.db.collection('trips').bulkWrite(
+      trips.map(trip => ({
+        replaceOne: { filter: { _id: trip._id }, replacement: trip, upsert: true }
+      }))
+    );
+    return result;
+  }
+
+  // Trips of a car, latest first
+  async getTrips(licensePlate, { from, to, limit = 100 } = {}) {
+    const collection = this.db.collection('trips');
+    const filter = { licensePlate };
+    if (from || to) {
+      filter.startedAt = {};
+      if (from) filter.startedAt.$gte = new Date(from);
+      if (to) filter.startedAt.$lt = new Date(to);
+    }
+    const results = await collection
+      .find(filter)
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .toArray();
+    return results;
+  }
+
+  // Delete the trips of a car and its detection progress, so that its trips
+  // are detected again from its first reading
+  async deleteTrips(licensePlate) {
+    const result = await this.db.collection('trips').deleteMany({ licensePlate });
+    await this.db.collection('trip_progress').deleteOne({ _id: licensePlate });
+    return result;
+  }
+
+  // Latest odometer reading (km) reported in the telemetry of each car, or of
+  // the given cars: [{ licensePlate, odometer, timestamp }]
+  async getLatestOdometers(licensePlates = null) {
+    const collection = this.db.collection('car_data');
+    const match = { odometer: { $type: 'number' } };
+    if (licensePlates) match.licensePlate = { $in: licensePlates };
+    const pipeline = [
+      { $match: match },
+      { $sort: { timestamp: -1 } },
+      {
+        $group: {
+          _id: '$licensePlate',
+          odometer: { $first: '$odometer' },
+          timestamp: { $first: '$timestamp' }
+        }
+      },
+      { $project: { _id: 0, licensePlate: '$_id', odometer: 1, timestamp: 1 } }
+    ];
+
+    const results = await collection.aggregate(pipeline).toArray();
+    return results;
+  }
+
+  // Distance of the trips started since `from` per car, or of one car:
+  // [{ licensePlate, distanceMeters, trips }]
+  async getTripDistances(from, licensePlate = null) {
+    const collection = this.db.collection('trips');
+    const match = { startedAt: { $gte: new Date(from) } };
+    if (licensePlate) match.licensePlate = licensePlate;
+    const pipeline = [
+      { $match: match },
+      {
+        $group: {
+          _id: '$licensePlate',
+          distanceMeters: { $sum: '$distanceMeters' },
+          trips: { $sum: 1 }
+        }
+      },
+      { $project: { _id: 0, licensePlate: '$_id', distanceMeters: 1, trips: 1 } }
+    ];
+
+    const results = await collection.aggregate(pipeline).toArray();
+    return results;
+  }
+
+  // Distance of the trips each car started since its own time, in one
+  // aggregation: takes [{ licensePlate, since }] and gives
+  // [{ licensePlate, distanceMeters, trips }] for the cars with trips
+  async getTripDistancesSince(cars) {
+    if (cars.length === 0) return [];
+    const collection = this.db.collection('trips');
+    const pipeline = [
+      {
+        $match: {
+          $or: cars.map(car => ({ licensePlate: car.licensePlate, startedAt: { $gte: new Date(car.since) } }))
+        }
+      },
+      {
+        $group: {
+          _id: '$licensePlate',
+          distanceMeters: { $sum: '$distanceMeters' },
+          trips: { $sum: 1 }
+        }
+      },
+      { $project: { _id: 0, licensePlate: '$_id', distanceMeters: 1, trips: 1 } }
+    ];
+
+    const results = await collection.aggregate(pipeline).toArray();
+    return results;
+  }
+
   // Clean old data (older than specified days)
   async cleanOldData(daysToKeep = 30) {
     const collection = this.db.collection('car_data');
@@ -189,4 +744,6 @@ class CarDataQueries {
   }
 }
 
+CarDataQueries.COMMAND_TRANSITIONS = COMMAND_TRANSITIONS;
+
 module.exports = CarDataQueries;
\ No newline at end of file
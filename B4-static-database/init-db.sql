@@ -1,5 +1,8 @@
 -- PostgreSQL initialization script for car information database
 
+-- Needed for the reservation overlap constraint (equality on license_plate in a GiST index)
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
 -- Create main cars table
 CREATE TABLE cars (
     id SERIAL PRIMARY KEY,
@@ -12,6 +15,9 @@ CREATE TABLE cars (
     year INTEGER NOT NULL,
     color VARCHAR(50),
     vin VARCHAR(17) UNIQUE,
+    capabilities TEXT[] DEFAULT ARRAY['climate', 'remote_locking', 'remote_start', 'horn_lights'],
+    retired_at TIMESTAMP,
+    retired_by VARCHAR(255),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -30,6 +36,15 @@ CREATE TABLE service_records (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create service intervals table: how often each service type is due, by
+-- time, by mileage or both (whichever comes first)
+CREATE TABLE service_intervals (
+    service_type VARCHAR(100) PRIMARY KEY,
+    interval_months INTEGER CHECK (interval_months > 0),
+    interval_km INTEGER CHECK (interval_km > 0),
+    CHECK (interval_months IS NOT NULL OR interval_km IS NOT NULL)
+);
+
 -- Create insurance table
 CREATE TABLE insurance (
     id SERIAL PRIMARY KEY,
@@ -37,7 +52,7 @@ CREATE TABLE insurance (
     policy_number VARCHAR(100) NOT NULL,
     insurance_company VARCHAR(255) NOT NULL,
     start_date DATE NOT NULL,
-    end_date DATE NOT NULL,
+    end_date DATE NOT NULL CHECK (end_date >= start_date),
     coverage_type VARCHAR(100),
     premium_amount DECIMAL(10,2),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -48,9 +63,12 @@ CREATE TABLE rental_info (
     id SERIAL PRIMARY KEY,
     license_plate VARCHAR(20) REFERENCES cars(license_plate) ON DELETE CASCADE,
     daily_rate DECIMAL(10,2),
+    included_km_per_day INTEGER DEFAULT 200,
+    extra_km_rate DECIMAL(6,2) DEFAULT 0.30,
     is_available BOOLEAN DEFAULT true,
     current_renter_name VARCHAR(255),
     current_renter_phone VARCHAR(20),
+    current_renter_email VARCHAR(255),
     rental_start_date DATE,
     rental_end_date DATE,
     total_rental_days INTEGER DEFAULT 0,
@@ -58,6 +76,186 @@ CREATE TABLE rental_info (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create reservations table. Dates are inclusive; confirmed reservations of a
+-- car cannot overlap. rental_info availability is derived from the reservation
+-- covering today (see CarInfoQueries.syncRentalInfo).
+CREATE TABLE reservations (
+    id SERIAL PRIMARY KEY,
+    license_plate VARCHAR(20) NOT NULL REFERENCES cars(license_plate) ON DELETE CASCADE,
+    renter_name VARCHAR(255) NOT NULL,
+    renter_phone VARCHAR(20),
+    renter_email VARCHAR(255) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'confirmed' CHECK (status IN ('confirmed', 'completed', 'cancelled')),
+    quoted_price DECIMAL(10,2),
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    CHECK (end_date >= start_date),
+    EXCLUDE USING gist (
+        license_plate WITH =,
+        daterange(start_date, end_date, '[]') WITH &&
+    ) WHERE (status = 'confirmed')
+);
+
+-- Create rental inspections table: checkout (handover) and checkin (return)
+-- of a reservation, with a snapshot of the car's latest B3 telemetry
+CREATE TABLE rental_inspections (
+    id SERIAL PRIMARY KEY,
+    reservation_id INTEGER NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+    license_plate VARCHAR(20) NOT NULL REFERENCES cars(license_plate) ON DELETE CASCADE,
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('checkout', 'checkin')),
+    odometer_km INTEGER NOT NULL CHECK (odometer_km >= 0),
+    fuel_level_percent INTEGER NOT NULL CHECK (fuel_level_percent BETWEEN 0 AND 100),
+    cleanliness VARCHAR(20) NOT NULL CHECK (cleanliness IN ('clean', 'acceptable', 'dirty')),
+    damage_notes TEXT,
+    damage_fees JSONB NOT NULL DEFAULT '[]',
+    notes TEXT,
+    telemetry_snapshot JSONB,
+    inspected_by VARCHAR(255),
+    inspected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (reservation_id, kind)
+);
+
+-- Create inspection photos table; the files are stored by B1 (INSPECTION_PHOTO_DIR)
+CREATE TABLE inspection_photos (
+    id SERIAL PRIMARY KEY,
+    inspection_id INTEGER NOT NULL REFERENCES rental_inspections(id) ON DELETE CASCADE,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(50) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    caption TEXT,
+    uploaded_by VARCHAR(255),
+    uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create invoices table: one invoice per completed rental
+CREATE TABLE invoices (
+    id SERIAL PRIMARY KEY,
+    invoice_number VARCHAR(20) UNIQUE,
+    reservation_id INTEGER NOT NULL UNIQUE REFERENCES reservations(id) ON DELETE CASCADE,
+    license_plate VARCHAR(20) NOT NULL REFERENCES cars(license_plate) ON DELETE CASCADE,
+    renter_name VARCHAR(255) NOT NULL,
+    renter_phone VARCHAR(20),
+    renter_email VARCHAR(255) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    rental_days INTEGER NOT NULL,
+    distance_km INTEGER,
+    currency CHAR(3) NOT NULL DEFAULT 'EUR',
+    total DECIMAL(10,2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'issued' CHECK (status IN ('issued', 'paid')),
+    issue_date DATE NOT NULL,
+    due_date DATE NOT NULL,
+    paid_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create invoice lines table
+CREATE TABLE invoice_lines (
+    id SERIAL PRIMARY KEY,
+    invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    line_type VARCHAR(20) NOT NULL CHECK (line_type IN ('rental', 'adjustment', 'discount', 'mileage', 'damage')),
+    description TEXT NOT NULL,
+    quantity DECIMAL(10,2) NOT NULL,
+    unit_price DECIMAL(10,2),
+    amount DECIMAL(10,2) NOT NULL,
+    UNIQUE (invoice_id, position)
+);
+
+-- Create pricing rules table (see B1 pricing.js). Rules without a
+-- license_plate apply to the whole fleet. adjustment_percent is a surcharge
+-- (positive) or discount (negative) on the daily rate.
+CREATE TABLE pricing_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('weekend', 'season', 'long_rental')),
+    license_plate VARCHAR(20) REFERENCES cars(license_plate) ON DELETE CASCADE,
+    adjustment_percent DECIMAL(5,2) NOT NULL CHECK (adjustment_percent > -100),
+    days_of_week INTEGER[],
+    season_start CHAR(5),
+    season_end CHAR(5),
+    min_days INTEGER,
+    active BOOLEAN DEFAULT true,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (rule_type <> 'weekend' OR days_of_week IS NOT NULL),
+    CHECK (rule_type <> 'season' OR (season_start IS NOT NULL AND season_end IS NOT NULL)),
+    CHECK (rule_type <> 'long_rental' OR min_days > 0)
+);
+
+-- Create users table (API accounts, see shared/auth.js)
+CREATE TABLE users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    phone VARCHAR(20),
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'renter', 'staff', 'admin')),
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create device credentials table (WebSocket authentication of cars, see B2 device-credentials.js)
+CREATE TABLE device_credentials (
+    id SERIAL PRIMARY KEY,
+    license_plate VARCHAR(20) REFERENCES cars(license_plate) ON DELETE CASCADE,
+    key_id VARCHAR(20) UNIQUE NOT NULL,
+    secret_hash VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+-- Create digital keys table: a renter's lock/unlock access to the car of a
+-- reservation, valid from its start date to its end date (see B1 digital-keys.js)
+CREATE TABLE digital_keys (
+    id SERIAL PRIMARY KEY,
+    reservation_id INTEGER NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+    license_plate VARCHAR(20) NOT NULL REFERENCES cars(license_plate) ON DELETE CASCADE,
+    holder_email VARCHAR(255) NOT NULL,
+    commands TEXT[] NOT NULL DEFAULT ARRAY['lock_doors', 'unlock_doors'],
+    issued_by VARCHAR(255),
+    issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_by VARCHAR(255),
+    revoke_reason VARCHAR(50)
+);
+
+-- Create digital key access log: every command attempted with a key
+CREATE TABLE digital_key_access_log (
+    id SERIAL PRIMARY KEY,
+    key_id INTEGER NOT NULL REFERENCES digital_keys(id) ON DELETE CASCADE,
+    license_plate VARCHAR(20) NOT NULL,
+    command VARCHAR(50) NOT NULL,
+    granted BOOLEAN NOT NULL,
+    reasons JSONB NOT NULL DEFAULT '[]',
+    command_id VARCHAR(36),
+    requested_by VARCHAR(255) NOT NULL,
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create audit log table. Append-only: every data-changing operation adds a
+-- row with who did what to which car, the values before and after and the API
+-- request it came from. license_plate has no foreign key so the trail outlives
+-- the car.
+CREATE TABLE audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    actor VARCHAR(255) NOT NULL,
+    actor_role VARCHAR(20),
+    action VARCHAR(100) NOT NULL,
+    license_plate VARCHAR(20),
+    target_type VARCHAR(50),
+    target_id VARCHAR(100),
+    before_values JSONB,
+    after_values JSONB,
+    request JSONB
+);
+
 -- Create indexes for better performance
 CREATE INDEX idx_cars_license_plate ON cars(license_plate);
 CREATE INDEX idx_service_records_license_plate ON service_records(license_plate);
@@ -65,6 +263,20 @@ CREATE INDEX idx_service_records_date ON service_records(service_date);
 CREATE INDEX idx_insurance_license_plate ON insurance(license_plate);
 CREATE INDEX idx_rental_info_license_plate ON rental_info(license_plate);
 CREATE INDEX idx_rental_info_availability ON rental_info(is_available);
+CREATE INDEX idx_device_credentials_license_plate ON device_credentials(license_plate);
+CREATE INDEX idx_reservations_license_plate_dates ON reservations(license_plate, start_date, end_date);
+CREATE INDEX idx_reservations_renter_email ON reservations(LOWER(renter_email));
+CREATE INDEX idx_pricing_rules_license_plate ON pricing_rules(license_plate);
+CREATE INDEX idx_rental_inspections_license_plate ON rental_inspections(license_plate);
+CREATE INDEX idx_inspection_photos_inspection_id ON inspection_photos(inspection_id);
+CREATE INDEX idx_invoices_license_plate ON invoices(license_plate);
+CREATE INDEX idx_invoices_renter_email ON invoices(LOWER(renter_email));
+CREATE INDEX idx_digital_keys_reservation_id ON digital_keys(reservation_id);
+CREATE INDEX idx_digital_keys_holder ON digital_keys(LOWER(holder_email), license_plate);
+CREATE INDEX idx_digital_key_access_log_key ON digital_key_access_log(key_id, requested_at);
+CREATE INDEX idx_audit_log_occurred_at ON audit_log(occurred_at);
+CREATE INDEX idx_audit_log_license_plate ON audit_log(license_plate, occurred_at);
+CREATE INDEX idx_audit_log_actor ON audit_log(LOWER(actor), occurred_at);
 
 -- Create function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -82,13 +294,30 @@ CREATE TRIGGER update_cars_updated_at BEFORE UPDATE ON cars
 CREATE TRIGGER update_rental_info_updated_at BEFORE UPDATE ON rental_info
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+-- Keep the audit log append-only
+CREATE OR REPLACE FUNCTION reject_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION reject_audit_log_change();
+
+CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION reject_audit_log_change();
+
 -- Insert sample data
 INSERT INTO cars (license_plate, owner_name, owner_phone, owner_email, make, model, year, color, vin) VALUES
 ('ABC-123', 'John Doe', '+358-40-123-4567', 'john.doe@email.com', 'Toyota', 'Camry', 2022, 'Blue', '1HGBH41JXMN109186'),
-('XYZ-789', 'Jane Smith', '+358-50-987-6543', 'jane.smith@email.com', 'Honda', 'Civic', 2021, 'Red', '2HGFC2F59MH123456'),
-('DEF-456', 'Mike Johnson', '+358-44-555-0123', 'mike.j@email.com', 'Ford', 'Focus', 2023, 'White', '3FADP4AJ5HM654321'),
-('GHI-789', 'Anna Korhonen', '+358-45-111-2222', 'anna.k@email.com', 'Volkswagen', 'Golf', 2022, 'Black', '1VWSA7A3XHC123456'),
-('JKL-012', 'Pekka Virtanen', '+358-46-333-4444', 'pekka.v@email.com', 'BMW', '320i', 2021, 'Silver', 'WBA8E1C58LC123456');
+('XYZ-789', 'Jane Smith', '+358-50-987-6543', 'jane.smith@email.com', 'Honda', 'Civic', 2021, 'Red', '2HGFC2F55MH123456'),
+('DEF-456', 'Mike Johnson', '+358-44-555-0123', 'mike.j@email.com', 'Ford', 'Focus', 2023, 'White', '3FADP4AJ8HM654321'),
+('GHI-789', 'Anna Korhonen', '+358-45-111-2222', 'anna.k@email.com', 'Volkswagen', 'Golf', 2022, 'Black', '1VWSA7A30HC123456'),
+('JKL-012', 'Pekka Virtanen', '+358-46-333-4444', 'pekka.v@email.com', 'BMW', '320i', 2021, 'Silver', 'WBA8E1C57LC123456');
+
+-- Older model without remote engine start
+UPDATE cars SET capabilities = ARRAY['climate', 'remote_locking', 'horn_lights'] WHERE license_plate = 'GHI-789';
 
 -- Insert service records
 INSERT INTO service_records (license_plate, service_date, service_type, description, mileage, cost, service_provider, next_service_date) VALUES
@@ -99,21 +328,69 @@ INSERT INTO service_records (license_plate, service_date, service_type, descript
 ('GHI-789', '2024-08-10', 'Air Conditioning', 'AC system maintenance and refrigerant refill', 28000, 180.00, 'Climate Control Experts', NULL),
 ('JKL-012', '2024-07-25', 'Regular Maintenance', 'Full service including oil, filters, and fluids', 52000, 210.25, 'BMW Service Center', '2025-01-25');
 
--- Insert insurance information
+-- Insert service intervals
+INSERT INTO service_intervals (service_type, interval_months, interval_km) VALUES
+('Regular Maintenance', 12, 15000),
+('Annual Inspection', 12, NULL),
+('Tire Change', 6, NULL),
+('Air Conditioning', 24, NULL),
+('Timing Belt', 60, 120000);
+
+-- Insert insurance information (relative to the install date, so the demo cars
+-- are insured; GHI-789 is due for renewal). Cars are only rented out for days
+-- their insurance covers.
 INSERT INTO insurance (license_plate, policy_number, insurance_company, start_date, end_date, coverage_type, premium_amount) VALUES
-('ABC-123', 'POL-2024-001', 'Vakuutus Yhtiö', '2024-01-01', '2024-12-31', 'Comprehensive', 1200.00),
-('XYZ-789', 'INS-2024-456', 'Turva Insurance', '2024-03-15', '2025-03-14', 'Full Coverage', 980.50),
-('DEF-456', 'CAR-2024-789', 'Suomi Vakuutus', '2024-06-01', '2025-05-31', 'Comprehensive', 1450.75),
-('GHI-789', 'VW-2024-012', 'Auto Protect', '2024-02-20', '2025-02-19', 'Basic Coverage', 650.00),
-('JKL-012', 'BMW-2024-345', 'Premium Insurance', '2024-04-10', '2025-04-09', 'Premium Package', 1850.25);
+('ABC-123', 'POL-2024-001', 'Vakuutus Yhtiö', CURRENT_DATE - 100, CURRENT_DATE + 264, 'Comprehensive', 1200.00),
+('XYZ-789', 'INS-2024-456', 'Turva Insurance', CURRENT_DATE - 45, CURRENT_DATE + 319, 'Full Coverage', 980.50),
+('DEF-456', 'CAR-2024-789', 'Suomi Vakuutus', CURRENT_DATE - 200, CURRENT_DATE + 164, 'Comprehensive', 1450.75),
+('GHI-789', 'VW-2024-012', 'Auto Protect', CURRENT_DATE - 340, CURRENT_DATE + 24, 'Basic Coverage', 650.00),
+('JKL-012', 'BMW-2024-345', 'Premium Insurance', CURRENT_DATE - 150, CURRENT_DATE + 214, 'Premium Package', 1850.25);
 
 -- Insert rental information
-INSERT INTO rental_info (license_plate, daily_rate, is_available, current_renter_name, current_renter_phone, rental_start_date, rental_end_date, total_rental_days) VALUES
-('ABC-123', 45.00, true, NULL, NULL, NULL, NULL, 127),
-('XYZ-789', 40.00, false, 'Laura Mäkinen', '+358-41-777-8888', '2024-11-01', '2024-11-07', 89),
-('DEF-456', 50.00, true, NULL, NULL, NULL, NULL, 23),
-('GHI-789', 48.00, true, NULL, NULL, NULL, NULL, 156),
-('JKL-012', 65.00, false, 'Jussi Heikkilä', '+358-42-999-0000', '2024-10-28', '2024-11-10', 78);
+INSERT INTO rental_info (license_plate, daily_rate, is_available, current_renter_name, current_renter_phone, current_renter_email, rental_start_date, rental_end_date, total_rental_days) VALUES
+('ABC-123', 45.00, true, NULL, NULL, NULL, NULL, NULL, 127),
+('XYZ-789', 40.00, false, 'Laura Mäkinen', '+358-41-777-8888', 'laura.makinen@email.com', CURRENT_DATE - 3, CURRENT_DATE + 3, 89),
+('DEF-456', 50.00, true, NULL, NULL, NULL, NULL, NULL, 23),
+('GHI-789', 48.00, true, NULL, NULL, NULL, NULL, NULL, 156),
+('JKL-012', 65.00, false, 'Jussi Heikkilä', '+358-42-999-0000', 'jussi.heikkila@email.com', CURRENT_DATE - 7, CURRENT_DATE + 6, 78);
+
+-- Insert reservations (relative to the install date, so the demo rentals are current)
+INSERT INTO reservations (license_plate, renter_name, renter_phone, renter_email, start_date, end_date, created_by) VALUES
+('XYZ-789', 'Laura Mäkinen', '+358-41-777-8888', 'laura.makinen@email.com', CURRENT_DATE - 3, CURRENT_DATE + 3, 'staff@cardemo.com'),
+('JKL-012', 'Jussi Heikkilä', '+358-42-999-0000', 'jussi.heikkila@email.com', CURRENT_DATE - 7, CURRENT_DATE + 6, 'staff@cardemo.com'),
+('ABC-123', 'Laura Mäkinen', '+358-41-777-8888', 'laura.makinen@email.com', CURRENT_DATE + 10, CURRENT_DATE + 14, 'laura.makinen@email.com');
+
+-- Insert digital keys for the rentals in progress
+INSERT INTO digital_keys (reservation_id, license_plate, holder_email, issued_by)
+SELECT id, license_plate, renter_email, 'staff@cardemo.com'
+FROM reservations
+WHERE start_date <= CURRENT_DATE AND end_date >= CURRENT_DATE;
+
+-- Insert pricing rules (days of week: 0 = Sunday ... 6 = Saturday; seasons are MM-DD every year)
+INSERT INTO pricing_rules (name, rule_type, adjustment_percent, days_of_week, season_start, season_end, min_days) VALUES
+('Weekend', 'weekend', 15.00, ARRAY[6, 0], NULL, NULL, NULL),
+('Summer season', 'season', 20.00, NULL, '06-01', '08-31', NULL),
+('Christmas holidays', 'season', 10.00, NULL, '12-20', '01-06', NULL),
+('Weekly rental', 'long_rental', -10.00, NULL, NULL, NULL, 7),
+('Monthly rental', 'long_rental', -20.00, NULL, NULL, NULL, 28);
+
+-- Insert users (demo password for all accounts: demo1234)
+INSERT INTO users (email, name, phone, role, password_hash) VALUES
+('john.doe@email.com', 'John Doe', '+358-40-123-4567', 'owner', 'scrypt$8548bad184b56e1dd2195b0f510fc260$d2f1f2abed6a8f8165cb3169e2f1dc3abbc7ca07c2a32d90e48bcf9c2cdfa57368067256bd10d24c3b4fc3c6bfd0eddc24671ec3dfd61e73f30a0d23628f3382'),
+('jane.smith@email.com', 'Jane Smith', '+358-50-987-6543', 'owner', 'scrypt$8548bad184b56e1dd2195b0f510fc260$d2f1f2abed6a8f8165cb3169e2f1dc3abbc7ca07c2a32d90e48bcf9c2cdfa57368067256bd10d24c3b4fc3c6bfd0eddc24671ec3dfd61e73f30a0d23628f3382'),
+('mike.j@email.com', 'Mike Johnson', '+358-44-555-0123', 'owner', 'scrypt$8548bad184b56e1dd2195b0f510fc260$d2f1f2abed6a8f8165cb3169e2f1dc3abbc7ca07c2a32d90e48bcf9c2cdfa57368067256bd10d24c3b4fc3c6bfd0eddc24671ec3dfd61e73f30a0d23628f3382'),
+('anna.k@email.com', 'Anna Korhonen', '+358-45-111-2222', 'owner', 'scrypt$8548bad184b56e1dd2195b0f510fc260$d2f1f2abed6a8f8165cb3169e2f1dc3abbc7ca07c2a32d90e48bcf9c2cdfa57368067256bd10d24c3b4fc3c6bfd0eddc24671ec3dfd61e73f30a0d23628f3382'),
+('pekka.v@email.com', 'Pekka Virtanen', '+358-46-333-4444', 'owner', 'scrypt$8548bad184b56e1dd2195b0f510fc260$d2f1f2abed6a8f8165cb3169e2f1dc3abbc7ca07c2a32d90e48bcf9c2cdfa57368067256bd10d24c3b4fc3c6bfd0eddc24671ec3dfd61e73f30a0d23628f3382'),
+('laura.makinen@email.com', 'Laura Mäkinen', '+358-41-777-8888', 'renter', 'scrypt$8548bad184b56e1dd2195b0f510fc260$d2f1f2abed6a8f8165cb3169e2f1dc3abbc7ca07c2a32d90e48bcf9c2cdfa57368067256bd10d24c3b4fc3c6bfd0eddc24671ec3dfd61e73f30a0d23628f3382'),
+('jussi.heikkila@email.com', 'Jussi Heikkilä', '+358-42-999-0000', 'renter', 'scrypt$8548bad184b56e1dd2195b0f510fc260$d2f1f2abed6a8f8165cb3169e2f1dc3abbc7ca07c2a32d90e48bcf9c2cdfa57368067256bd10d24c3b4fc3c6bfd0eddc24671ec3dfd61e73f30a0d23628f3382'),
+('staff@cardemo.com', 'Rental Desk', '+358-9-555-0100', 'staff', 'scrypt$8548bad184b56e1dd2195b0f510fc260$d2f1f2abed6a8f8165cb3169e2f1dc3abbc7ca07c2a32d90e48bcf9c2cdfa57368067256bd10d24c3b4fc3c6bfd0eddc24671ec3dfd61e73f30a0d23628f3382'),
+('admin@cardemo.com', 'Fleet Admin', NULL, 'admin', 'scrypt$8548bad184b56e1dd2195b0f510fc260$d2f1f2abed6a8f8165cb3169e2f1dc3abbc7ca07c2a32d90e48bcf9c2cdfa57368067256bd10d24c3b4fc3c6bfd0eddc24671ec3dfd61e73f30a0d23628f3382');
+
+-- Insert device credentials for the B2 test client (demo only, rotate before real use)
+INSERT INTO device_credentials (license_plate, key_id, secret_hash) VALUES
+('ABC-123', 'dk_e498723f9d54', 'b8a4b3b1837dc46c198a63935147d7c55ca777fe71d6c62ab958b5d6ca3d8446'),
+('XYZ-789', 'dk_d8f0fd082af3', '680649e4a16ee5a46edba440577216644fe3a637873f2c3a87d49ec643347d82'),
+('DEF-456', 'dk_c13a9b19e64a', '4a96757068f26db0f079e6c1643ebfca5c6e3b337b854d391a276c0621b3a027');
 
 -- Create view for car summary with latest service
 CREATE VIEW car_summary AS
@@ -151,9 +428,23 @@ LEFT JOIN (
 ) i ON c.license_plate = i.license_plate;
 
 COMMENT ON TABLE cars IS 'Main table storing static car information';
+COMMENT ON COLUMN cars.capabilities IS 'Remote command capabilities, see shared/command-catalog.js';
+COMMENT ON COLUMN cars.vin IS 'Vehicle identification number with an ISO 3779 check digit';
+COMMENT ON COLUMN cars.retired_at IS 'Set when the car is retired from the fleet (soft delete); retired cars are not rented out';
 COMMENT ON TABLE service_records IS 'Service history and maintenance records for cars';
+COMMENT ON TABLE service_intervals IS 'Time and mileage intervals of each service type, for service prediction';
 COMMENT ON TABLE insurance IS 'Insurance policy information for cars';
-COMMENT ON TABLE rental_info IS 'Rental availability and current rental status';
+COMMENT ON TABLE rental_info IS 'Rental rates and current rental status, derived from reservations';
+COMMENT ON TABLE reservations IS 'Rental bookings; confirmed bookings of a car never overlap';
+COMMENT ON TABLE rental_inspections IS 'Handover and return inspections of rentals, for settling disputes';
+COMMENT ON TABLE inspection_photos IS 'Photos attached to rental inspections; files are stored on the B1 server';
+COMMENT ON TABLE invoices IS 'Invoices of completed rentals; invoice_lines itemize the charges';
+COMMENT ON TABLE pricing_rules IS 'Weekend, seasonal and long rental adjustments of the daily rate';
+COMMENT ON TABLE digital_keys IS 'Renter lock/unlock access tied to a reservation; revoked when the rental ends';
+COMMENT ON TABLE digital_key_access_log IS 'Commands attempted with digital keys, granted or denied';
+COMMENT ON TABLE audit_log IS 'Append-only trail of data-changing operations: actor, action, car, values before and after, request';
+COMMENT ON TABLE device_credentials IS 'Per-car WebSocket credentials; only a hash of the secret is stored';
+COMMENT ON TABLE users IS 'API accounts; owners and renters are matched to cars by email';
 COMMENT ON VIEW car_summary IS 'Complete car overview with latest service and rental status';
 
 -- Print initialization message
@@ -1,4 +1,4 @@
-const { Client } = require('pg');
+const { Pool } = require('pg');
 require('dotenv').config();
 
 const dbConfig = {
@@ -9,33 +9,124 @@ const dbConfig = {
   port: process.env.PG_PORT || 5432,
 };
 
+// Reservation columns, with dates as YYYY-MM-DD strings
+const RESERVATION_COLUMNS = `
+  id, license_plate, renter_name, renter_phone, renter_email,
+  to_char(start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(end_date, 'YYYY-MM-DD') AS end_date,
+  end_date - start_date + 1 AS rental_days,
+  status, quoted_price, created_by, created_at, updated_at, cancelled_at, completed_at
+`;
+
+// Service record columns, with dates as YYYY-MM-DD strings
+const SERVICE_RECORD_COLUMNS = `
+  id, license_plate,
+  to_char(service_date, 'YYYY-MM-DD') AS service_date,
+  service_type, description, mileage, cost, service_provider,
+  to_char(next_service_date, 'YYYY-MM-DD') AS next_service_date,
+  created_at
+`;
+
+// Insurance policy columns, with dates as YYYY-MM-DD strings
+const INSURANCE_COLUMNS = `
+  id, license_plate, policy_number, insurance_company,
+  to_char(start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(end_date, 'YYYY-MM-DD') AS end_date,
+  coverage_type, premium_amount, created_at
+`;
+
+// Invoice columns of invoices aliased as v, with dates as YYYY-MM-DD strings
+const INVOICE_COLUMNS = `
+  v.id, v.invoice_number, v.reservation_id, v.license_plate, v.renter_name, v.renter_phone, v.renter_email,
+  to_char(v.start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(v.end_date, 'YYYY-MM-DD') AS end_date,
+  v.rental_days, v.distance_km, v.currency, v.total, v.status,
+  to_char(v.issue_date, 'YYYY-MM-DD') AS issue_date,
+  to_char(v.due_date, 'YYYY-MM-DD') AS due_date,
+  v.paid_at, v.created_at,
+  COALESCE(
+    (SELECT json_agg(json_build_object(
+       'position', l.position, 'line_type', l.line_type, 'description', l.description,
+       'quantity', l.quantity, 'unit_price', l.unit_price, 'amount', l.amount
+     ) ORDER BY l.position)
+     FROM invoice_lines l WHERE l.invoice_id = v.id),
+    '[]'
+  ) AS lines
+`;
+
+// Digital key columns of digital_keys aliased as k, with the validity dates
+// and status of its reservation (aliased as r)
+const DIGITAL_KEY_COLUMNS = `
+  k.id, k.reservation_id, k.license_plate, k.holder_email, k.commands,
+  k.issued_by, k.issued_at, k.revoked_at, k.revoked_by, k.revoke_reason,
+  to_char(r.start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(r.end_date, 'YYYY-MM-DD') AS end_date,
+  r.status AS reservation_status
+`;
+
+// Inspection columns of rental_inspections aliased as i
+const INSPECTION_COLUMNS = `
+  i.id, i.reservation_id, i.license_plate, i.kind, i.odometer_km, i.fuel_level_percent,
+  i.cleanliness, i.damage_notes, i.damage_fees, i.notes, i.telemetry_snapshot, i.inspected_by, i.inspected_at
+`;
+
 class CarInfoQueries {
-  constructor() {
-    this.client = null;
+  constructor(config = dbConfig) {
+    this.config = config;
+    this.pool = null;
   }
 
   async connect() {
-    this.client = new Client(dbConfig);
-    await this.client.connect();
+    // A pool, so transactions get a connection of their own
+    this.pool = new Pool(this.config);
+    await this.pool.query('SELECT 1');
     console.log('Connected to PostgreSQL');
   }
 
   async disconnect() {
-    if (this.client) {
-      await this.client.end();
+    if (this.pool) {
+      await this.pool.end();
       console.log('Disconnected from PostgreSQL');
     }
   }
 
+  // Run fn(client) in a transaction on a dedicated connection
+  async transaction(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Run fn(queries) with a CarInfoQueries whose queries all go through one
+  // transaction, so changes made by several methods (e.g. a change and its
+  // audit entry) commit or roll back together. Transactions the methods
+  // start join the outer one.
+  async inTransaction(fn) {
+    return this.transaction(client => fn(Object.create(this, {
+      pool: { value: client },
+      transaction: { value: inner => inner(client) }
+    })));
+  }
+
   // Get car basic information
   async getCarInfo(licensePlate) {
     const query = `
       SELECT license_plate, owner_name, owner_phone, owner_email, 
-             make, model, year, color, vin
+             make, model, year, color, vin, capabilities,
+             retired_at, retired_by, created_at, updated_at
       FROM cars 
       WHERE license_plate = $1
     `;
-    const result = await this.client.query(query, [licensePlate]);
+    const result = await this.pool.query(query, [licensePlate]);
     return result.rows[0] || null;
   }
 
@@ -45,52 +136,154 @@ class CarInfoQueries {
       SELECT * FROM car_summary 
       WHERE license_plate = $1
     `;
-    const result = await this.client.query(query, [licensePlate]);
+    const result = await this.pool.query(query, [licensePlate]);
     return result.rows[0] || null;
   }
 
   // Get all cars with summary
   async getAllCarsSummary() {
     const query = `SELECT * FROM car_summary ORDER BY license_plate`;
-    const result = await this.client.query(query);
+    const result = await this.pool.query(query);
     return result.rows;
   }
 
   // Get service history for a car
   async getServiceHistory(licensePlate, limit = 10) {
     const query = `
-      SELECT service_date, service_type, description, mileage, 
-             cost, service_provider, next_service_date
+      SELECT ${SERVICE_RECORD_COLUMNS}
       FROM service_records 
       WHERE license_plate = $1 
-      ORDER BY service_date DESC 
+      ORDER BY service_date DESC, id DESC
       LIMIT $2
     `;
-    const result = await this.client.query(query, [licensePlate, limit]);
+    const result = await this.pool.query(query, [licensePlate, limit]);
     return result.rows;
   }
 
-  // Add new car
+  async getServiceRecord(id) {
+    const result = await this.pool.query(`SELECT ${SERVICE_RECORD_COLUMNS} FROM service_records WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Add new car with its rental_info row. capabilities, dailyRate,
+  // includedKmPerDay and extraKmRate are optional (table defaults; without a
+  // daily rate the car is not offered for rental).
   async addCar(carData) {
-    const query = `
-      INSERT INTO cars (license_plate, owner_name, owner_phone, owner_email, 
-                       make, model, year, color, vin)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      RETURNING *
-    `;
-    const values = [
-      carData.licensePlate,
-      carData.ownerName,
-      carData.ownerPhone,
-      carData.ownerEmail,
-      carData.make,
-      carData.model,
-      carData.year,
-      carData.color,
-      carData.vin
-    ];
-    const result = await this.client.query(query, values);
-    return result.rows[0];
+    // Columns left out get their table defaults
+    const insert = (client, table, row) => {
+      const columns = Object.keys(row).filter(column => row[column] !== undefined);
+      return client.query(
+        `INSERT INTO ${table} (${columns.join(', ')})
+         VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+         RETURNING *`,
+        columns.map(column => row[column])
+      );
+    };
+
+    return this.transaction(async (client) => {
+      const result = await insert(client, 'cars', {
+        license_plate: carData.licensePlate,
+        owner_name: carData.ownerName,
+        owner_phone: carData.ownerPhone,
+        owner_email: carData.ownerEmail,
+        make: carData.make,
+        model: carData.model,
+        year: carData.year,
+        color: carData.color,
+        vin: carData.vin,
+        capabilities: carData.capabilities
+      });
+      await insert(client, 'rental_info', {
+        license_plate: carData.licensePlate,
+        daily_rate: carData.dailyRate,
+        included_km_per_day: carData.includedKmPerDay,
+        extra_km_rate: carData.extraKmRate
+      });
+      return result.rows[0];
+    });
+  }
+
+  // Cars other than excludePlate with the given license plate or VIN, retired
+  // ones included
+  async findDuplicateCars({ licensePlate = null, vin = null, excludePlate = null }) {
+    const result = await this.pool.query(
+      `SELECT license_plate, vin, retired_at FROM cars
+       WHERE (license_plate = $1 OR UPPER(vin) = UPPER($2))
+         AND ($3::varchar IS NULL OR license_plate <> $3)
+       ORDER BY license_plate`,
+      [licensePlate, vin, excludePlate]
+    );
+    return result.rows;
+  }
+
+  // Update the given fields of a car (camelCase keys, as in addCar). Returns
+  // null if the car does not exist.
+  async updateCar(licensePlate, changes) {
+    const columns = {
+      ownerName: 'owner_name',
+      ownerPhone: 'owner_phone',
+      ownerEmail: 'owner_email',
+      make: 'make',
+      model: 'model',
+      year: 'year',
+      color: 'color',
+      vin: 'vin',
+      capabilities: 'capabilities'
+    };
+    const values = [licensePlate];
+    const assignments = [];
+    for (const [field, column] of Object.entries(columns)) {
+      if (changes[field] !== undefined) {
+        values.push(changes[field]);
+        assignments.push(`${column} = $${values.length}`);
+      }
+    }
+    if (assignments.length === 0) return this.getCarInfo(licensePlate);
+
+    const result = await this.pool.query(
+      `UPDATE cars SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE license_plate = $1 RETURNING *`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  // Retire a car from the fleet (soft delete). Resolves to { car },
+  // { reservations } if confirmed reservations end today or later, or null if
+  // the car does not exist or is already retired.
+  async retireCar(licensePlate, retiredBy, today) {
+    return this.transaction(async (client) => {
+      // Bookings lock the same row, see lockCarForBooking
+      await client.query('SELECT license_plate FROM rental_info WHERE license_plate = $1 FOR UPDATE', [licensePlate]);
+
+      const reservations = await client.query(
+        `SELECT ${RESERVATION_COLUMNS} FROM reservations
+         WHERE license_plate = $1 AND status = 'confirmed' AND end_date >= $2
+         ORDER BY start_date`,
+        [licensePlate, today]
+      );
+      if (reservations.rows.length > 0) return { reservations: reservations.rows };
+
+      const result = await client.query(
+        `UPDATE cars SET retired_at = CURRENT_TIMESTAMP, retired_by = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE license_plate = $1 AND retired_at IS NULL
+         RETURNING *`,
+        [licensePlate, retiredBy]
+      );
+      return result.rows[0] ? { car: result.rows[0] } : null;
+    });
+  }
+
+  // Return a retired car to the fleet. Returns null if the car does not
+  // exist or is not retired.
+  async restoreCar(licensePlate) {
+    const result = await this.pool.query(
+      `UPDATE cars SET retired_at = NULL, retired_by = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE license_plate = $1 AND retired_at IS NOT NULL
+       RETURNING *`,
+      [licensePlate]
+    );
+    return result.rows[0] || null;
   }
 
   // Add service record
@@ -99,7 +292,7 @@ class CarInfoQueries {
       INSERT INTO service_records (license_plate, service_date, service_type, 
                                  description, mileage, cost, service_provider, next_service_date)
       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING *
+      RETURNING ${SERVICE_RECORD_COLUMNS}
     `;
     const values = [
       serviceData.licensePlate,
@@ -111,88 +304,942 @@ class CarInfoQueries {
       serviceData.serviceProvider,
       serviceData.nextServiceDate
     ];
-    const result = await this.client.query(query, values);
+    const result = await this.pool.query(query, values);
     return result.rows[0];
   }
 
-  // Update car owner information
-  async updateCarOwner(licensePlate, ownerData) {
-    const query = `
-      UPDATE cars 
-      SET owner_name = $2, owner_phone = $3, owner_email = $4, updated_at = CURRENT_TIMESTAMP
-      WHERE license_plate = $1
-      RETURNING *
-    `;
-    const values = [licensePlate, ownerData.name, ownerData.phone, ownerData.email];
-    const result = await this.client.query(query, values);
+  // Update the given fields of a service record (camelCase keys, as in
+  // addServiceRecord). Returns null if the record does not exist.
+  async updateServiceRecord(id, changes) {
+    const columns = {
+      serviceDate: 'service_date',
+      serviceType: 'service_type',
+      description: 'description',
+      mileage: 'mileage',
+      cost: 'cost',
+      serviceProvider: 'service_provider',
+      nextServiceDate: 'next_service_date'
+    };
+    const values = [id];
+    const assignments = [];
+    for (const [field, column] of Object.entries(columns)) {
+      if (changes[field] !== undefined) {
+        values.push(changes[field]);
+        assignments.push(`${column} = $${values.length}`);
+      }
+    }
+    if (assignments.length === 0) return this.getServiceRecord(id);
+
+    const result = await this.pool.query(
+      `UPDATE service_records SET ${assignments.join(', ')} WHERE id = $1 RETURNING ${SERVICE_RECORD_COLUMNS}`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  // Update car owner information, recorded in the audit log as done by
+  // audit.actor (with audit.actorRole and audit.request, see recordAudit)
+  async updateCarOwner(licensePlate, ownerData, audit = {}) {
+    return this.transaction(async (client) => {
+      const previous = await client.query(
+        'SELECT owner_name, owner_phone, owner_email FROM cars WHERE license_plate = $1 FOR UPDATE',
+        [licensePlate]
+      );
+      if (previous.rows.length === 0) return undefined;
+
+      const query = `
+        UPDATE cars 
+        SET owner_name = $2, owner_phone = $3, owner_email = $4, updated_at = CURRENT_TIMESTAMP
+        WHERE license_plate = $1
+        RETURNING *
+      `;
+      const values = [licensePlate, ownerData.name, ownerData.phone, ownerData.email];
+      const result = await client.query(query, values);
+      const car = result.rows[0];
+
+      await this.recordAudit({
+        ...audit,
+        action: 'car.owner_update',
+        licensePlate,
+        targetType: 'car',
+        targetId: licensePlate,
+        before: previous.rows[0],
+        after: { owner_name: car.owner_name, owner_phone: car.owner_phone, owner_email: car.owner_email }
+      }, client);
+      return car;
+    });
+  }
+
+  // Append an entry to the audit log: { actor, actorRole, action,
+  // licensePlate, targetType, targetId, before, after, request }. The actor
+  // defaults to 'system' for changes no user asked for.
+  async recordAudit(entry, client = this.pool) {
+    const result = await client.query(
+      `INSERT INTO audit_log (actor, actor_role, action, license_plate, target_type, target_id,
+                              before_values, after_values, request)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        entry.actor || 'system',
+        entry.actorRole || null,
+        entry.action,
+        entry.licensePlate || null,
+        entry.targetType || null,
+        entry.targetId === undefined || entry.targetId === null ? null : String(entry.targetId),
+        entry.before === undefined ? null : JSON.stringify(entry.before),
+        entry.after === undefined ? null : JSON.stringify(entry.after),
+        entry.request ? JSON.stringify(entry.request) : null
+      ]
+    );
     return result.rows[0];
   }
 
+  // Audit log entries, newest first, filtered by car, actor, action prefix
+  // (e.g. 'reservation.') and time range. beforeId pages to older entries.
+  async getAuditLog({ licensePlate, actor, action, from, to, beforeId, limit = 100 } = {}) {
+    let query = 'SELECT * FROM audit_log WHERE 1=1';
+    const values = [];
+
+    if (licensePlate) {
+      values.push(licensePlate);
+      query += ` AND license_plate = $${values.length}`;
+    }
+    if (actor) {
+      values.push(actor);
+      query += ` AND LOWER(actor) = LOWER($${values.length})`;
+    }
+    if (action) {
+      values.push(`${action.replace(/[\\%_]/g, '\\$&')}%`);
+      query += ` AND action LIKE $${values.length}`;
+    }
+    if (from) {
+      values.push(from);
+      query += ` AND occurred_at >= $${values.length}`;
+    }
+    if (to) {
+      values.push(to);
+      query += ` AND occurred_at <= $${values.length}`;
+    }
+    if (beforeId) {
+      values.push(beforeId);
+      query += ` AND id < $${values.length}`;
+    }
+
+    values.push(limit);
+    query += ` ORDER BY id DESC LIMIT $${values.length}`;
+    const result = await this.pool.query(query, values);
+    return result.rows;
+  }
+
   // Get rental information
   async getRentalInfo(licensePlate) {
     const query = `
       SELECT * FROM rental_info 
       WHERE license_plate = $1
     `;
-    const result = await this.client.query(query, [licensePlate]);
+    const result = await this.pool.query(query, [licensePlate]);
     return result.rows[0] || null;
   }
 
-  // Update rental availability
-  async updateRentalAvailability(licensePlate, isAvailable, renterData = null) {
-    let query, values;
-    
-    if (isAvailable) {
-      // Make car available
-      query = `
-        UPDATE rental_info 
-        SET is_available = true, current_renter_name = NULL, 
-            current_renter_phone = NULL, rental_start_date = NULL, 
-            rental_end_date = NULL, updated_at = CURRENT_TIMESTAMP
-        WHERE license_plate = $1
-        RETURNING *
-      `;
-      values = [licensePlate];
-    } else {
-      // Rent out car
-      query = `
-        UPDATE rental_info 
-        SET is_available = false, current_renter_name = $2, 
-            current_renter_phone = $3, rental_start_date = $4, 
-            rental_end_date = $5, updated_at = CURRENT_TIMESTAMP
-        WHERE license_plate = $1
-        RETURNING *
-      `;
-      values = [
-        licensePlate,
-        renterData.name,
-        renterData.phone,
-        renterData.startDate,
-        renterData.endDate
-      ];
+  // Get a reservation by ID
+  async getReservation(id) {
+    const query = `SELECT ${RESERVATION_COLUMNS} FROM reservations WHERE id = $1`;
+    const result = await this.pool.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  // List reservations overlapping the from/to date range (YYYY-MM-DD, both
+  // optional), filtered by car, renter email, owner email or statuses
+  async getReservations({ licensePlate, renterEmail, ownerEmail, from, to, statuses } = {}) {
+    let query = `SELECT ${RESERVATION_COLUMNS} FROM reservations WHERE 1=1`;
+    const values = [];
+
+    if (licensePlate) {
+      values.push(licensePlate);
+      query += ` AND license_plate = $${values.length}`;
+    }
+    if (renterEmail) {
+      values.push(renterEmail);
+      query += ` AND LOWER(renter_email) = LOWER($${values.length})`;
+    }
+    if (ownerEmail) {
+      values.push(ownerEmail);
+      query += ` AND license_plate IN (SELECT license_plate FROM cars WHERE LOWER(owner_email) = LOWER($${values.length}))`;
+    }
+    if (from) {
+      values.push(from);
+      query += ` AND end_date >= $${values.length}`;
+    }
+    if (to) {
+      values.push(to);
+      query += ` AND start_date <= $${values.length}`;
+    }
+    if (statuses && statuses.length > 0) {
+      values.push(statuses);
+      query += ` AND status = ANY($${values.length})`;
+    }
+
+    query += ' ORDER BY start_date, license_plate';
+    const result = await this.pool.query(query, values);
+    return result.rows;
+  }
+
+  // Confirmed reservations of a car overlapping a date range
+  async findConflictingReservations(client, licensePlate, startDate, endDate, excludeId = null) {
+    const query = `
+      SELECT ${RESERVATION_COLUMNS} FROM reservations
+      WHERE license_plate = $1 AND status = 'confirmed'
+        AND start_date <= $3 AND end_date >= $2
+        AND ($4::integer IS NULL OR id <> $4)
+      ORDER BY start_date
+    `;
+    const result = await client.query(query, [licensePlate, startDate, endDate, excludeId]);
+    return result.rows;
+  }
+
+  // Lock the car's rental_info row, so bookings of one car run one at a time.
+  // Returns false if the car is not set up for rental or has been retired.
+  async lockCarForBooking(client, licensePlate) {
+    const result = await client.query(
+      `SELECT r.license_plate FROM rental_info r
+       JOIN cars c ON c.license_plate = r.license_plate
+       WHERE r.license_plate = $1 AND c.retired_at IS NULL
+       FOR UPDATE OF r`,
+      [licensePlate]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Book a car. Resolves to { reservation }, { conflicts } if the dates
+  // overlap another booking, or null if the car is not set up for rental.
+  async createReservation(reservation, today) {
+    return this.transaction(async (client) => {
+      if (!await this.lockCarForBooking(client, reservation.licensePlate)) return null;
+
+      const conflicts = await this.findConflictingReservations(
+        client, reservation.licensePlate, reservation.startDate, reservation.endDate
+      );
+      if (conflicts.length > 0) return { conflicts };
+
+      const inserted = await client.query(
+        `INSERT INTO reservations (license_plate, renter_name, renter_phone, renter_email, start_date, end_date, quoted_price, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id`,
+        [
+          reservation.licensePlate,
+          reservation.renterName,
+          reservation.renterPhone,
+          reservation.renterEmail,
+          reservation.startDate,
+          reservation.endDate,
+          reservation.quotedPrice,
+          reservation.createdBy
+        ]
+      );
+      await this.syncRentalInfo(today, reservation.licensePlate, client);
+
+      const result = await client.query(`SELECT ${RESERVATION_COLUMNS} FROM reservations WHERE id = $1`, [inserted.rows[0].id]);
+      return { reservation: result.rows[0] };
+    });
+  }
+
+  // Change the dates or renter of a confirmed reservation. Handing it to
+  // another renter revokes the digital keys issued to the previous one.
+  // Resolves to { reservation }, { conflicts }, or null if it is no longer
+  // confirmed.
+  async updateReservation(id, changes, today) {
+    return this.transaction(async (client) => {
+      const current = await client.query('SELECT license_plate, renter_email FROM reservations WHERE id = $1', [id]);
+      if (current.rows.length === 0) return null;
+      const licensePlate = current.rows[0].license_plate;
+      const renterChanged = (current.rows[0].renter_email || '').toLowerCase() !== (changes.renterEmail || '').toLowerCase();
+      await this.lockCarForBooking(client, licensePlate);
+
+      const conflicts = await this.findConflictingReservations(client, licensePlate, changes.startDate, changes.endDate, id);
+      if (conflicts.length > 0) return { conflicts };
+
+      const updated = await client.query(
+        `UPDATE reservations
+         SET start_date = $2, end_date = $3, renter_name = $4, renter_phone = $5, renter_email = $6,
+             quoted_price = $7, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'confirmed'
+         RETURNING id`,
+        [id, changes.startDate, changes.endDate, changes.renterName, changes.renterPhone, changes.renterEmail, changes.quotedPrice]
+      );
+      if (updated.rows.length === 0) return null;
+      if (renterChanged) {
+        await this.revokeReservationKeys(client, id, 'renter_changed');
+      }
+      await this.syncRentalInfo(today, licensePlate, client);
+
+      const result = await client.query(`SELECT ${RESERVATION_COLUMNS} FROM reservations WHERE id = $1`, [id]);
+      return { reservation: result.rows[0] };
+    });
+  }
+
+  // Cancel a confirmed reservation and revoke its digital keys. Returns null
+  // if it is not confirmed.
+  async cancelReservation(id, today) {
+    return this.transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE reservations
+         SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'confirmed'
+         RETURNING ${RESERVATION_COLUMNS}`,
+        [id]
+      );
+      if (result.rows.length === 0) return null;
+
+      await this.revokeReservationKeys(client, id, 'reservation_cancelled');
+      await this.syncRentalInfo(today, result.rows[0].license_plate, client);
+      return result.rows[0];
+    });
+  }
+
+  // Complete a started rental; a rental returned early ends today. Adds its
+  // days to rental_info.total_rental_days and revokes its digital keys.
+  // Returns null if the reservation is not confirmed or has not started.
+  async completeReservation(id, today) {
+    return this.transaction(client => this.completeReservationWith(client, id, today));
+  }
+
+  // completeReservation within a caller's transaction
+  async completeReservationWith(client, id, today) {
+    const result = await client.query(
+      `UPDATE reservations
+       SET status = 'completed', end_date = LEAST(end_date, $2::date),
+           completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'confirmed' AND start_date <= $2
+       RETURNING ${RESERVATION_COLUMNS}`,
+      [id, today]
+    );
+    if (result.rows.length === 0) return null;
+
+    const reservation = result.rows[0];
+    await client.query(
+      `UPDATE rental_info
+       SET total_rental_days = total_rental_days + $2, updated_at = CURRENT_TIMESTAMP
+       WHERE license_plate = $1`,
+      [reservation.license_plate, reservation.rental_days]
+    );
+    await this.revokeReservationKeys(client, id, 'rental_ended');
+    await this.syncRentalInfo(today, reservation.license_plate, client);
+    return reservation;
+  }
+
+  // Complete confirmed reservations that ended before today, recording each
+  // in the audit log as done by the system
+  async completeEndedReservations(today) {
+    const ended = await this.pool.query(
+      `SELECT id FROM reservations WHERE status = 'confirmed' AND end_date < $1 ORDER BY end_date`,
+      [today]
+    );
+
+    const completed = [];
+    for (const { id } of ended.rows) {
+      const reservation = await this.transaction(async (client) => {
+        const row = await this.completeReservationWith(client, id, today);
+        if (row) {
+          await this.recordAudit({
+            action: 'reservation.complete',
+            licensePlate: row.license_plate,
+            targetType: 'reservation',
+            targetId: id,
+            before: { status: 'confirmed' },
+            after: { status: row.status, endDate: row.end_date, rentalDays: row.rental_days }
+          }, client);
+        }
+        return row;
+      });
+      if (reservation) completed.push(reservation);
+    }
+    return completed;
+  }
+
+  // Derive rental_info availability and current renter from the reservation
+  // covering today, for one car or all cars. Returns the rows that changed,
+  // which are recorded in the audit log with the reservation that caused it.
+  async syncRentalInfo(today, licensePlate = null, client = this.pool) {
+    const query = `
+      WITH changed AS (
+      UPDATE rental_info r
+      SET is_available = cur.id IS NULL,
+          current_renter_name = cur.renter_name,
+          current_renter_phone = cur.renter_phone,
+          current_renter_email = cur.renter_email,
+          rental_start_date = cur.start_date,
+          rental_end_date = cur.end_date,
+          updated_at = CURRENT_TIMESTAMP
+      FROM rental_info car
+      LEFT JOIN LATERAL (
+        SELECT id, renter_name, renter_phone, renter_email, start_date, end_date
+        FROM reservations
+        WHERE license_plate = car.license_plate AND status = 'confirmed'
+          AND start_date <= $1 AND end_date >= $1
+        LIMIT 1
+      ) cur ON true
+      WHERE r.id = car.id
+        AND ($2::varchar IS NULL OR r.license_plate = $2)
+        AND (r.is_available IS DISTINCT FROM (cur.id IS NULL)
+          OR r.current_renter_email IS DISTINCT FROM cur.renter_email
+          OR r.rental_start_date IS DISTINCT FROM cur.start_date
+          OR r.rental_end_date IS DISTINCT FROM cur.end_date)
+      -- car is the row before the update
+      RETURNING r.license_plate, r.is_available, r.current_renter_email,
+                car.is_available AS was_available, car.current_renter_email AS previous_renter_email,
+                cur.id AS reservation_id
+      ), logged AS (
+        INSERT INTO audit_log (actor, action, license_plate, target_type, target_id, before_values, after_values)
+        SELECT 'system', 'rental_info.sync', license_plate, 'rental_info', license_plate,
+               jsonb_build_object('is_available', was_available, 'current_renter_email', previous_renter_email),
+               jsonb_build_object('is_available', is_available, 'current_renter_email', current_renter_email,
+                                 'reservation_id', reservation_id)
+        FROM changed
+      )
+      SELECT license_plate, is_available, current_renter_email FROM changed
+    `;
+    const result = await client.query(query, [today, licensePlate]);
+    return result.rows;
+  }
+
+  // Checkout and checkin inspections of a reservation, each with its photos
+  async getInspections(reservationId) {
+    const query = `
+      SELECT ${INSPECTION_COLUMNS},
+        COALESCE(
+          (SELECT json_agg(json_build_object(
+             'id', p.id, 'content_type', p.content_type, 'size_bytes', p.size_bytes,
+             'caption', p.caption, 'uploaded_by', p.uploaded_by, 'uploaded_at', p.uploaded_at
+           ) ORDER BY p.id)
+           FROM inspection_photos p WHERE p.inspection_id = i.id),
+          '[]'
+        ) AS photos
+      FROM rental_inspections i
+      WHERE i.reservation_id = $1
+      ORDER BY i.inspected_at
+    `;
+    const result = await this.pool.query(query, [reservationId]);
+    return result.rows;
+  }
+
+  // Record an inspection. A checkin with completeOn also completes the
+  // reservation in the same transaction. Returns null if the reservation
+  // already has an inspection of this kind.
+  async createInspection(inspection, completeOn = null) {
+    return this.transaction(async (client) => {
+      const inserted = await client.query(
+        `INSERT INTO rental_inspections (reservation_id, license_plate, kind, odometer_km, fuel_level_percent,
+                                         cleanliness, damage_notes, damage_fees, notes, telemetry_snapshot, inspected_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         ON CONFLICT (reservation_id, kind) DO NOTHING
+         RETURNING id`,
+        [
+          inspection.reservationId,
+          inspection.licensePlate,
+          inspection.kind,
+          inspection.odometerKm,
+          inspection.fuelLevelPercent,
+          inspection.cleanliness,
+          inspection.damageNotes,
+          JSON.stringify(inspection.damageFees || []),
+          inspection.notes,
+          inspection.telemetrySnapshot,
+          inspection.inspectedBy
+        ]
+      );
+      if (inserted.rows.length === 0) return null;
+
+      if (completeOn) {
+        await this.completeReservationWith(client, inspection.reservationId, completeOn);
+      }
+
+      const result = await client.query(
+        `SELECT ${INSPECTION_COLUMNS}, '[]'::json AS photos FROM rental_inspections i WHERE i.id = $1`,
+        [inserted.rows[0].id]
+      );
+      return result.rows[0];
+    });
+  }
+
+  async addInspectionPhoto(photo) {
+    const query = `
+      INSERT INTO inspection_photos (inspection_id, file_name, content_type, size_bytes, caption, uploaded_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const values = [photo.inspectionId, photo.fileName, photo.contentType, photo.sizeBytes, photo.caption, photo.uploadedBy];
+    const result = await this.pool.query(query, values);
+    return result.rows[0];
+  }
+
+  async getInspectionPhoto(inspectionId, photoId) {
+    const result = await this.pool.query(
+      'SELECT * FROM inspection_photos WHERE id = $1 AND inspection_id = $2',
+      [photoId, inspectionId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Cars in the fleet (not retired) with their rental status: whether they
+  // are offered for rental, available or rented out and to whom
+  async getFleetStatus() {
+    const query = `
+      SELECT c.license_plate, c.make, c.model, c.year, c.color, c.owner_name,
+             r.daily_rate, r.is_available, r.current_renter_name, r.current_renter_email,
+             to_char(r.rental_start_date, 'YYYY-MM-DD') AS rental_start_date,
+             to_char(r.rental_end_date, 'YYYY-MM-DD') AS rental_end_date
+      FROM cars c
+      LEFT JOIN rental_info r ON c.license_plate = r.license_plate
+      WHERE c.retired_at IS NULL
+      ORDER BY c.license_plate
+    `;
+    const result = await this.pool.query(query);
+    return result.rows;
+  }
+
+  // Get cars offered for rental with their daily rate, or one of them.
+  // Retired cars are left out unless includeRetired.
+  async getRentalCars(licensePlate = null, { includeRetired = false } = {}) {
+    const query = `
+      SELECT c.license_plate, c.make, c.model, c.year, c.color, r.daily_rate,
+             r.included_km_per_day, r.extra_km_rate
+      FROM cars c
+      JOIN rental_info r ON c.license_plate = r.license_plate
+      WHERE ($1::varchar IS NULL OR c.license_plate = $1)
+        AND ($2 OR c.retired_at IS NULL)
+      ORDER BY c.license_plate
+    `;
+    const result = await this.pool.query(query, [licensePlate, includeRetired]);
+    return result.rows;
+  }
+
+  async getDigitalKey(id) {
+    const result = await this.pool.query(
+      `SELECT ${DIGITAL_KEY_COLUMNS} FROM digital_keys k JOIN reservations r ON r.id = k.reservation_id WHERE k.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Digital keys filtered by reservation, holder, car and owner of the car.
+  // activeOnly leaves out revoked keys and keys of reservations that are no
+  // longer confirmed.
+  async getDigitalKeys({ reservationId, holderEmail, licensePlate, ownerEmail, activeOnly = false } = {}) {
+    let query = `SELECT ${DIGITAL_KEY_COLUMNS} FROM digital_keys k JOIN reservations r ON r.id = k.reservation_id WHERE 1=1`;
+    const values = [];
+
+    if (reservationId) {
+      values.push(reservationId);
+      query += ` AND k.reservation_id = $${values.length}`;
+    }
+    if (holderEmail) {
+      values.push(holderEmail);
+      query += ` AND LOWER(k.holder_email) = LOWER($${values.length})`;
+    }
+    if (licensePlate) {
+      values.push(licensePlate);
+      query += ` AND k.license_plate = $${values.length}`;
+    }
+    if (ownerEmail) {
+      values.push(ownerEmail);
+      query += ` AND k.license_plate IN (SELECT license_plate FROM cars WHERE LOWER(owner_email) = LOWER($${values.length}))`;
+    }
+    if (activeOnly) {
+      query += ` AND k.revoked_at IS NULL AND r.status = 'confirmed'`;
+    }
+
+    query += ' ORDER BY r.start_date, k.id';
+    const result = await this.pool.query(query, values);
+    return result.rows;
+  }
+
+  // Issue a digital key for a reservation; an active key of the reservation
+  // is revoked, so it has one key at a time
+  async createDigitalKey(key) {
+    return this.transaction(async (client) => {
+      await this.revokeReservationKeys(client, key.reservationId, 'reissued', key.issuedBy);
+      const inserted = await client.query(
+        `INSERT INTO digital_keys (reservation_id, license_plate, holder_email, commands, issued_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [key.reservationId, key.licensePlate, key.holderEmail, key.commands, key.issuedBy]
+      );
+      const result = await client.query(
+        `SELECT ${DIGITAL_KEY_COLUMNS} FROM digital_keys k JOIN reservations r ON r.id = k.reservation_id WHERE k.id = $1`,
+        [inserted.rows[0].id]
+      );
+      return result.rows[0];
+    });
+  }
+
+  // Revoke a key. Returns null if it is already revoked.
+  async revokeDigitalKey(id, revokedBy, reason = 'revoked') {
+    const updated = await this.pool.query(
+      `UPDATE digital_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2, revoke_reason = $3
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [id, revokedBy, reason]
+    );
+    if (updated.rows.length === 0) return null;
+    return this.getDigitalKey(id);
+  }
+
+  // Revoke the active keys of a reservation within a caller's transaction
+  async revokeReservationKeys(client, reservationId, reason, revokedBy = null) {
+    const result = await client.query(
+      `UPDATE digital_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $3, revoke_reason = $2
+       WHERE reservation_id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [reservationId, reason, revokedBy]
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  async logDigitalKeyAccess(access) {
+    const query = `
+      INSERT INTO digital_key_access_log (key_id, license_plate, command, granted, reasons, command_id, requested_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+    const values = [
+      access.keyId,
+      access.licensePlate,
+      access.command,
+      access.granted,
+      JSON.stringify(access.reasons || []),
+      access.commandId,
+      access.requestedBy
+    ];
+    const result = await this.pool.query(query, values);
+    return result.rows[0];
+  }
+
+  // Access log of a key, newest first
+  async getDigitalKeyAccessLog(keyId, limit = 100) {
+    const result = await this.pool.query(
+      'SELECT * FROM digital_key_access_log WHERE key_id = $1 ORDER BY requested_at DESC, id DESC LIMIT $2',
+      [keyId, limit]
+    );
+    return result.rows;
+  }
+
+  async getInvoice(id) {
+    const result = await this.pool.query(`SELECT ${INVOICE_COLUMNS} FROM invoices v WHERE v.id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  async getInvoiceForReservation(reservationId) {
+    const result = await this.pool.query(`SELECT ${INVOICE_COLUMNS} FROM invoices v WHERE v.reservation_id = $1`, [reservationId]);
+    return result.rows[0] || null;
+  }
+
+  // Invoices filtered by car, renter, owner of the car and status
+  async getInvoices({ licensePlate, renterEmail, ownerEmail, status } = {}) {
+    let query = `SELECT ${INVOICE_COLUMNS} FROM invoices v WHERE 1=1`;
+    const values = [];
+
+    if (licensePlate) {
+      values.push(licensePlate);
+      query += ` AND v.license_plate = $${values.length}`;
+    }
+    if (renterEmail) {
+      values.push(renterEmail);
+      query += ` AND LOWER(v.renter_email) = LOWER($${values.length})`;
+    }
+    if (ownerEmail) {
+      values.push(ownerEmail);
+      query += ` AND v.license_plate IN (SELECT license_plate FROM cars WHERE LOWER(owner_email) = LOWER($${values.length}))`;
+    }
+    if (status) {
+      values.push(status);
+      query += ` AND v.status = $${values.length}`;
     }
-    
-    const result = await this.client.query(query, values);
+
+    query += ' ORDER BY v.issue_date DESC, v.id DESC';
+    const result = await this.pool.query(query, values);
+    return result.rows;
+  }
+
+  // Completed reservations that have no invoice yet
+  async getUninvoicedReservations() {
+    const result = await this.pool.query(
+      `SELECT ${RESERVATION_COLUMNS} FROM reservations r
+       WHERE status = 'completed' AND NOT EXISTS (SELECT 1 FROM invoices v WHERE v.reservation_id = r.id)
+       ORDER BY completed_at`
+    );
+    return result.rows;
+  }
+
+  // Store an invoice with its lines. Returns null if the reservation has
+  // already been invoiced.
+  async createInvoice(invoice) {
+    return this.transaction(async (client) => {
+      const inserted = await client.query(
+        `INSERT INTO invoices (reservation_id, license_plate, renter_name, renter_phone, renter_email, start_date, end_date,
+                               rental_days, distance_km, currency, total, issue_date, due_date)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         ON CONFLICT (reservation_id) DO NOTHING
+         RETURNING id`,
+        [
+          invoice.reservationId,
+          invoice.licensePlate,
+          invoice.renterName,
+          invoice.renterPhone,
+          invoice.renterEmail,
+          invoice.startDate,
+          invoice.endDate,
+          invoice.rentalDays,
+          invoice.distanceKm,
+          invoice.currency,
+          invoice.total,
+          invoice.issueDate,
+          invoice.dueDate
+        ]
+      );
+      if (inserted.rows.length === 0) return null;
+      const id = inserted.rows[0].id;
+
+      // Invoice numbers run per year: INV-2024-000042
+      await client.query(
+        `UPDATE invoices SET invoice_number = 'INV-' || to_char(issue_date, 'YYYY') || '-' || lpad(id::text, 6, '0')
+         WHERE id = $1`,
+        [id]
+      );
+      for (const [index, line] of invoice.lines.entries()) {
+        await client.query(
+          `INSERT INTO invoice_lines (invoice_id, position, line_type, description, quantity, unit_price, amount)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [id, index + 1, line.type, line.description, line.quantity, line.unitPrice, line.amount]
+        );
+      }
+
+      const result = await client.query(`SELECT ${INVOICE_COLUMNS} FROM invoices v WHERE v.id = $1`, [id]);
+      const created = result.rows[0];
+      await this.recordAudit({
+        action: 'invoice.create',
+        licensePlate: created.license_plate,
+        targetType: 'invoice',
+        targetId: id,
+        after: {
+          invoiceNumber: created.invoice_number,
+          reservationId: created.reservation_id,
+          total: created.total,
+          currency: created.currency,
+          dueDate: created.due_date
+        }
+      }, client);
+      return created;
+    });
+  }
+
+  // Mark an issued invoice as paid. Returns null if it is already paid.
+  async markInvoicePaid(id) {
+    const updated = await this.pool.query(
+      `UPDATE invoices SET status = 'paid', paid_at = CURRENT_TIMESTAMP WHERE id = $1 AND status = 'issued' RETURNING id`,
+      [id]
+    );
+    if (updated.rows.length === 0) return null;
+    return this.getInvoice(id);
+  }
+
+  // Get pricing rules. With a license plate, only the active rules that apply
+  // to that car (fleet-wide and its own); otherwise all rules.
+  async getPricingRules(licensePlate = null) {
+    const query = licensePlate
+      ? `SELECT * FROM pricing_rules
+         WHERE active = true AND (license_plate IS NULL OR license_plate = $1)
+         ORDER BY id`
+      : 'SELECT * FROM pricing_rules ORDER BY id';
+    const result = await this.pool.query(query, licensePlate ? [licensePlate] : []);
+    return result.rows;
+  }
+
+  // Add a pricing rule
+  async createPricingRule(rule) {
+    const query = `
+      INSERT INTO pricing_rules (name, rule_type, license_plate, adjustment_percent,
+                                 days_of_week, season_start, season_end, min_days, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+    const values = [
+      rule.name,
+      rule.type,
+      rule.licensePlate,
+      rule.adjustmentPercent,
+      rule.daysOfWeek,
+      rule.seasonStart,
+      rule.seasonEnd,
+      rule.minDays,
+      rule.createdBy
+    ];
+    const result = await this.pool.query(query, values);
     return result.rows[0];
   }
 
-  // Get cars due for service
+  // Deactivate a pricing rule; it stays for reference. Returns null if not found.
+  async deactivatePricingRule(id) {
+    const result = await this.pool.query(
+      'UPDATE pricing_rules SET active = false WHERE id = $1 RETURNING *',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Get an API user by email
+  async getUserByEmail(email) {
+    const query = `
+      SELECT email, name, phone, role, password_hash
+      FROM users
+      WHERE LOWER(email) = LOWER($1)
+    `;
+    const result = await this.pool.query(query, [email]);
+    return result.rows[0] || null;
+  }
+
+  // Get license plates an owner or renter has access to
+  async getLicensePlatesForUser(email, role) {
+    const query = role === 'renter'
+      ? `SELECT license_plate FROM rental_info
+         WHERE is_available = false AND LOWER(current_renter_email) = LOWER($1)`
+      : `SELECT license_plate FROM cars WHERE LOWER(owner_email) = LOWER($1)`;
+    const result = await this.pool.query(query, [email]);
+    return result.rows.map(row => row.license_plate);
+  }
+
+  // Get an active (not revoked) device credential by key ID
+  async getActiveDeviceCredential(keyId) {
+    const query = `
+      SELECT key_id, license_plate, secret_hash
+      FROM device_credentials
+      WHERE key_id = $1 AND revoked_at IS NULL
+    `;
+    const result = await this.pool.query(query, [keyId]);
+    return result.rows[0] || null;
+  }
+
+  // List device credentials of a car, without secrets
+  async getDeviceCredentials(licensePlate) {
+    const query = `
+      SELECT key_id, created_at, last_used_at, revoked_at
+      FROM device_credentials
+      WHERE license_plate = $1
+      ORDER BY created_at DESC
+    `;
+    const result = await this.pool.query(query, [licensePlate]);
+    return result.rows;
+  }
+
+  // Replace the car's active credentials with a new one in one transaction
+  async rotateDeviceCredential(licensePlate, keyId, secretHash) {
+    return this.transaction(async (client) => {
+      await client.query(
+        'UPDATE device_credentials SET revoked_at = CURRENT_TIMESTAMP WHERE license_plate = $1 AND revoked_at IS NULL',
+        [licensePlate]
+      );
+      const result = await client.query(
+        `INSERT INTO device_credentials (license_plate, key_id, secret_hash)
+         VALUES ($1, $2, $3)
+         RETURNING key_id, created_at`,
+        [licensePlate, keyId, secretHash]
+      );
+      return result.rows[0];
+    });
+  }
+
+  // Revoke all active credentials of a car. Returns the number revoked.
+  async revokeDeviceCredentials(licensePlate) {
+    const result = await this.pool.query(
+      'UPDATE device_credentials SET revoked_at = CURRENT_TIMESTAMP WHERE license_plate = $1 AND revoked_at IS NULL',
+      [licensePlate]
+    );
+    return result.rowCount;
+  }
+
+  // Record that a credential was used to connect
+  async touchDeviceCredential(keyId) {
+    await this.pool.query(
+      'UPDATE device_credentials SET last_used_at = CURRENT_TIMESTAMP WHERE key_id = $1',
+      [keyId]
+    );
+  }
+
+  // Get cars whose next service (from their latest service record) is due
+  // within daysAhead days, overdue ones included
   async getCarsDueForService(daysAhead = 30) {
     const query = `
       SELECT c.license_plate, c.owner_name, c.make, c.model,
-             sr.next_service_date, sr.service_type
+             to_char(sr.next_service_date, 'YYYY-MM-DD') AS next_service_date,
+             sr.service_type,
+             to_char(sr.service_date, 'YYYY-MM-DD') AS last_service_date,
+             sr.mileage AS last_service_mileage,
+             sr.next_service_date - CURRENT_DATE AS days_until_due
       FROM cars c
       JOIN (
         SELECT DISTINCT ON (license_plate) 
-               license_plate, next_service_date, service_type
+               license_plate, next_service_date, service_type, service_date, mileage
         FROM service_records 
         WHERE next_service_date IS NOT NULL
         ORDER BY license_plate, service_date DESC
       ) sr ON c.license_plate = sr.license_plate
-      WHERE sr.next_service_date <= CURRENT_DATE + INTERVAL '${daysAhead} days'
+      WHERE sr.next_service_date <= CURRENT_DATE + $1::integer AND c.retired_at IS NULL
       ORDER BY sr.next_service_date
     `;
-    const result = await this.client.query(query);
+    const result = await this.pool.query(query, [daysAhead]);
+    return result.rows;
+  }
+
+  // Time and mileage intervals of the service types
+  async getServiceIntervals() {
+    const result = await this.pool.query('SELECT * FROM service_intervals ORDER BY service_type');
+    return result.rows;
+  }
+
+  // Latest service of each type for cars in the fleet, or for one car, with
+  // the intervals of the type. next_service_date is the one entered on the
+  // record, or else the service date plus interval_months.
+  async getServiceSchedule(licensePlate = null) {
+    const query = `
+      SELECT c.license_plate, c.owner_name, c.make, c.model,
+             sr.service_type,
+             to_char(sr.service_date, 'YYYY-MM-DD') AS last_service_date,
+             sr.mileage AS last_service_mileage,
+             to_char(COALESCE(sr.next_service_date,
+                              sr.service_date + si.interval_months * INTERVAL '1 month'), 'YYYY-MM-DD') AS next_service_date,
+             si.interval_months, si.interval_km
+      FROM cars c
+      JOIN (
+        SELECT DISTINCT ON (license_plate, lower(service_type))
+               license_plate, service_type, service_date, mileage, next_service_date
+        FROM service_records
+        ORDER BY license_plate, lower(service_type), service_date DESC, id DESC
+      ) sr ON c.license_plate = sr.license_plate
+      LEFT JOIN service_intervals si ON lower(si.service_type) = lower(sr.service_type)
+      WHERE c.retired_at IS NULL AND ($1::varchar IS NULL OR c.license_plate = $1)
+      ORDER BY c.license_plate, sr.service_type
+    `;
+    const result = await this.pool.query(query, [licensePlate]);
+    return result.rows;
+  }
+
+  // Latest mileage recorded by hand for each car, or for one car: from its
+  // service records and rental inspections, whichever is newer
+  async getRecordedMileage(licensePlate = null) {
+    const query = `
+      SELECT DISTINCT ON (license_plate) license_plate, mileage_km, recorded_at, source
+      FROM (
+        SELECT license_plate, mileage AS mileage_km, service_date::timestamp AS recorded_at,
+               'service_record' AS source
+        FROM service_records
+        WHERE mileage IS NOT NULL
+        UNION ALL
+        SELECT license_plate, odometer_km, inspected_at, 'inspection'
+        FROM rental_inspections
+      ) readings
+      WHERE $1::varchar IS NULL OR license_plate = $1
+      ORDER BY license_plate, recorded_at DESC, mileage_km DESC
+    `;
+    const result = await this.pool.query(query, [licensePlate]);
     return result.rows;
   }
 
@@ -203,32 +1250,74 @@ class CarInfoQueries {
              r.daily_rate
       FROM cars c
       JOIN rental_info r ON c.license_plate = r.license_plate
-      WHERE r.is_available = true
+      WHERE r.is_available = true AND c.retired_at IS NULL
       ORDER BY r.daily_rate
     `;
-    const result = await this.client.query(query);
+    const result = await this.pool.query(query);
     return result.rows;
   }
 
-  // Get insurance expiring soon
+  // Get cars whose insurance (the policy ending last) expires within
+  // daysAhead days, with lapsed and uninsured cars first
   async getExpiringInsurance(daysAhead = 60) {
     const query = `
       SELECT c.license_plate, c.owner_name, c.owner_phone,
-             i.insurance_company, i.end_date
+             i.id AS policy_id, i.policy_number, i.insurance_company,
+             to_char(i.start_date, 'YYYY-MM-DD') AS start_date,
+             to_char(i.end_date, 'YYYY-MM-DD') AS end_date,
+             i.end_date - CURRENT_DATE AS days_until_expiry,
+             EXISTS (
+               SELECT 1 FROM insurance p
+               WHERE p.license_plate = c.license_plate
+                 AND CURRENT_DATE BETWEEN p.start_date AND p.end_date
+             ) AS insured_today
       FROM cars c
-      JOIN (
+      LEFT JOIN (
         SELECT DISTINCT ON (license_plate)
-               license_plate, insurance_company, end_date
+               id, license_plate, policy_number, insurance_company, start_date, end_date
         FROM insurance
         ORDER BY license_plate, end_date DESC
       ) i ON c.license_plate = i.license_plate
-      WHERE i.end_date <= CURRENT_DATE + INTERVAL '${daysAhead} days'
-      ORDER BY i.end_date
+      WHERE (i.end_date IS NULL OR i.end_date <= CURRENT_DATE + $1::integer) AND c.retired_at IS NULL
+      ORDER BY i.end_date NULLS FIRST, c.license_plate
     `;
-    const result = await this.client.query(query);
+    const result = await this.pool.query(query, [daysAhead]);
+    return result.rows;
+  }
+
+  // Insurance policies of a car, latest first
+  async getInsurancePolicies(licensePlate) {
+    const result = await this.pool.query(
+      `SELECT ${INSURANCE_COLUMNS} FROM insurance WHERE license_plate = $1 ORDER BY start_date DESC, id DESC`,
+      [licensePlate]
+    );
     return result.rows;
   }
 
+  async getInsurancePolicy(id) {
+    const result = await this.pool.query(`SELECT ${INSURANCE_COLUMNS} FROM insurance WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  async addInsurancePolicy(policy) {
+    const result = await this.pool.query(
+      `INSERT INTO insurance (license_plate, policy_number, insurance_company, start_date, end_date,
+                              coverage_type, premium_amount)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${INSURANCE_COLUMNS}`,
+      [
+        policy.licensePlate,
+        policy.policyNumber,
+        policy.insuranceCompany,
+        policy.startDate,
+        policy.endDate,
+        policy.coverageType,
+        policy.premiumAmount
+      ]
+    );
+    return result.rows[0];
+  }
+
   // Get database statistics
   async getDatabaseStats() {
     const queries = [
@@ -240,7 +1329,7 @@ class CarInfoQueries {
     ];
 
     const results = await Promise.all(
-      queries.map(query => this.client.query(query))
+      queries.map(query => this.pool.query(query))
     );
 
     return {
@@ -290,7 +1379,7 @@ class CarInfoQueries {
 
     query += ' ORDER BY license_plate';
 
-    const result = await this.client.query(query, values);
+    const result = await this.pool.query(query, values);
     return result.rows;
   }
 }
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Token authentication shared by B1 and B2. Both services verify the same
+// JWTs (issued by B1 /api/auth/login) with JWT_SECRET. Owners and renters may
+// only access their own cars, matched by email against B4 cars.owner_email
+// and rental_info.current_renter_email; staff and admins can access all cars.
+
+const ROLES = ['owner', 'renter', 'staff', 'admin'];
+const FLEET_ROLES = ['staff', 'admin'];
+
+// Public (it is in the repo and .env.example), so only used in development
+// and tests, where NODE_ENV says so
+const DEVELOPMENT_SECRET = 'change-this-secret-in-production';
+const DEVELOPMENT_ENVS = ['development', 'test'];
+
+function isDevelopment() {
+  return DEVELOPMENT_ENVS.includes(process.env.NODE_ENV);
+}
+
+// Secret tokens are signed and verified with. Throws if JWT_SECRET is unset
+// or the public development secret outside development and tests.
+function getSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (secret && (secret !== DEVELOPMENT_SECRET || isDevelopment())) return secret;
+  if (!secret && isDevelopment()) return DEVELOPMENT_SECRET;
+  throw new Error('JWT_SECRET must be set to a long random secret (the development secret is only accepted with NODE_ENV=development or test)');
+}
+
+// Check the secret when a service starts, so that a missing one stops it
+// instead of failing every request. Warns when the development secret is used.
+function checkSecret() {
+  if (getSecret() === DEVELOPMENT_SECRET) {
+    console.warn(`Using the insecure development JWT secret (NODE_ENV=${process.env.NODE_ENV})`);
+  }
+}
+
+function isFleetRole(role) {
+  return FLEET_ROLES.includes(role);
+}
+
+function sameEmail(a, b) {
+  return Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// Issue a token for a B4 users row
+function signToken(user, { secret = getSecret(), expiresIn = '12h' } = {}) {
+  return jwt.sign(
+    { name: user.name, phone: user.phone, role: user.role },
+    secret,
+    { subject: user.email, expiresIn }
+  );
+}
+
+// Returns the user of a valid token. Throws if it is invalid or expired.
+function verifyToken(token, secret = getSecret()) {
+  const payload = jwt.verify(token, secret);
+  if (!ROLES.includes(payload.role)) {
+    throw new Error(`Unknown role "${payload.role}"`);
+  }
+  return { email: payload.sub, name: payload.name, phone: payload.phone, role: payload.role };
+}
+
+// Password hashes are stored as scrypt$<salt>$<hash> (hex)
+const SALT_BYTES = 16;
+const HASH_BYTES = 64;
+const STORED_PASSWORD = /^scrypt\$([0-9a-f]+)\$([0-9a-f]+)$/i;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = crypto.scryptSync(password, salt, HASH_BYTES);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+// False for a wrong password and for a stored value that is not a hash from
+// hashPassword, so that a malformed row cannot break the login
+function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+  const match = STORED_PASSWORD.exec(stored);
+  if (!match) return false;
+
+  const salt = Buffer.from(match[1], 'hex');
+  const expected = Buffer.from(match[2], 'hex');
+  if (salt.length !== SALT_BYTES || expected.length !== HASH_BYTES) return false;
+
+  const actual = crypto.scryptSync(password, salt, HASH_BYTES);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Whether a user may see and command a car, given its B4 cars and rental_info rows
+function canAccessCar(user, car, rental) {
+  if (!user) return false;
+  if (isFleetRole(user.role)) return true;
+  if (user.role === 'owner') {
+    return Boolean(car) && sameEmail(car.owner_email, user.email);
+  }
+  if (user.role === 'renter') {
+    return Boolean(rental) && rental.is_available === false && sameEmail(rental.current_renter_email, user.email);
+  }
+  return false;
+}
+
+// Express middleware: require a valid Bearer token and set req.user.
+// EventSource cannot send headers, so event streams (Accept:
+// text/event-stream) may pass the token as ?access_token= instead.
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  let [scheme, token] = header.split(' ');
+
+  const accept = req.headers.accept || '';
+  if (!header && accept.includes('text/event-stream') && req.query && req.query.access_token) {
+    [scheme, token] = ['Bearer', req.query.access_token];
+  }
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    req.user = verifyToken(token);
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Invalid or expired token' });
+  }
+}
+
+// Express middleware: only let the given roles through
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+// Express middleware for routes with a :licensePlate parameter. getQueries
+// returns the B4 CarInfoQueries, or nothing while B4 is unavailable.
+function authorizeCar(getQueries) {
+  return async (req, res, next) => {
+    if (isFleetRole(req.user.role)) return next();
+
+    const queries = getQueries();
+    if (!queries) {
+      return res.status(503).json({ error: 'Car ownership cannot be verified, database not available' });
+    }
+
+    try {
+      const { licensePlate } = req.params;
+      const [car, rental] = await Promise.all([
+        queries.getCarInfo(licensePlate),
+        queries.getRentalInfo(licensePlate)
+      ]);
+
+      if (!canAccessCar(req.user, car, rental)) {
+        return res.status(403).json({ error: 'You do not have access to this car' });
+      }
+      next();
+    } catch (error) {
+      console.error('Error checking car access:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  FLEET_ROLES,
+  isFleetRole,
+  checkSecret,
+  signToken,
+  verifyToken,
+  hashPassword,
+  verifyPassword,
+  sameEmail,
+  canAccessCar,
+  authenticate,
+  requireRole,
+  authorizeCar
+};
@@ -0,0 +1,217 @@
+// Catalog of commands that can be sent to cars. Used by B1 and B2 to
+// validate commands and by B1 to generate the Swagger command schemas.
+// Sensitive commands need a confirmation round-trip in B1 before dispatch.
+
+// Capabilities a car can have (stored per car in B4 cars.capabilities)
+const CAPABILITIES = ['climate', 'remote_locking', 'remote_start', 'horn_lights'];
+
+const COMMANDS = {
+  start_ac: {
+    description: 'Start air conditioning',
+    capability: 'climate',
+    parameters: {
+      targetTemp: { type: 'number', unit: '°C', min: 16, max: 30, default: 21, description: 'Cabin target temperature' }
+    }
+  },
+  stop_ac: {
+    description: 'Stop air conditioning',
+    capability: 'climate',
+    parameters: {}
+  },
+  start_heating: {
+    description: 'Start cabin heating',
+    capability: 'climate',
+    parameters: {
+      targetTemp: { type: 'number', unit: '°C', min: 16, max: 30, default: 21, description: 'Cabin target temperature' }
+    }
+  },
+  stop_heating: {
+    description: 'Stop cabin heating',
+    capability: 'climate',
+    parameters: {}
+  },
+  set_temperature: {
+    description: 'Set cabin target temperature',
+    capability: 'climate',
+    parameters: {
+      targetTemp: { type: 'number', unit: '°C', min: 16, max: 30, required: true, description: 'Cabin target temperature' }
+    }
+  },
+  lock_doors: {
+    description: 'Lock all doors',
+    capability: 'remote_locking',
+    parameters: {}
+  },
+  unlock_doors: {
+    description: 'Unlock all doors',
+    capability: 'remote_locking',
+    sensitive: true,
+    parameters: {}
+  },
+  start_engine: {
+    description: 'Start engine remotely',
+    capability: 'remote_start',
+    sensitive: true,
+    parameters: {
+      runMinutes: { type: 'integer', unit: 'min', min: 1, max: 15, default: 10, description: 'Engine stops automatically after this time' }
+    }
+  },
+  stop_engine: {
+    description: 'Stop engine',
+    capability: 'remote_start',
+    parameters: {}
+  },
+  honk_and_flash: {
+    description: 'Honk the horn and flash the lights to locate the car',
+    capability: 'horn_lights',
+    parameters: {
+      durationSeconds: { type: 'integer', unit: 's', min: 1, max: 30, default: 5, description: 'How long to honk and flash' }
+    }
+  }
+};
+
+function checkParameter(name, spec, value) {
+  if (spec.type === 'integer' && !Number.isInteger(value)) {
+    return `${name} must be an integer`;
+  }
+  if (spec.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) {
+    return `${name} must be a number`;
+  }
+  if (spec.type === 'string' && typeof value !== 'string') {
+    return `${name} must be a string`;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `${name} must be one of: ${spec.enum.join(', ')}`;
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    return `${name} must be at least ${spec.min}${spec.unit ? ` ${spec.unit}` : ''}`;
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return `${name} must be at most ${spec.max}${spec.unit ? ` ${spec.unit}` : ''}`;
+  }
+  return null;
+}
+
+// Definition of a command, or null for unknown names. Only the catalog's
+// own entries count, so names like "constructor" are unknown too.
+function getCommand(command) {
+  return Object.prototype.hasOwnProperty.call(COMMANDS, command) ? COMMANDS[command] : null;
+}
+
+// Whether a command needs an interactive confirmation
+function isSensitive(command) {
+  const definition = getCommand(command);
+  return Boolean(definition && definition.sensitive);
+}
+
+// Validate a command and its parameters. When the car's capabilities are
+// given, commands the car does not support are rejected as well.
+// Returns { valid, errors: [{ field, message }], parameters } where
+// parameters has defaults applied.
+function validateCommand(command, parameters = {}, capabilities = null) {
+  const errors = [];
+
+  if (!command) {
+    return { valid: false, errors: [{ field: 'command', message: 'Command is required' }], parameters: {} };
+  }
+
+  const definition = getCommand(command);
+  if (!definition) {
+    return {
+      valid: false,
+      errors: [{ field: 'command', message: `Unknown command "${command}". Supported commands: ${Object.keys(COMMANDS).join(', ')}` }],
+      parameters: {}
+    };
+  }
+
+  if (parameters === null || typeof parameters !== 'object' || Array.isArray(parameters)) {
+    return { valid: false, errors: [{ field: 'parameters', message: 'parameters must be an object' }], parameters: {} };
+  }
+
+  if (capabilities && !capabilities.includes(definition.capability)) {
+    errors.push({ field: 'command', message: `Car does not support "${command}" (requires ${definition.capability})` });
+  }
+
+  const normalized = {};
+  for (const [name, spec] of Object.entries(definition.parameters)) {
+    const value = parameters[name];
+    if (value === undefined) {
+      if (spec.required) {
+        errors.push({ field: `parameters.${name}`, message: `${name} is required` });
+      } else if (spec.default !== undefined) {
+        normalized[name] = spec.default;
+      }
+      continue;
+    }
+
+    const message = checkParameter(name, spec, value);
+    if (message) {
+      errors.push({ field: `parameters.${name}`, message });
+    } else {
+      normalized[name] = value;
+    }
+  }
+
+  for (const name of Object.keys(parameters)) {
+    if (!Object.prototype.hasOwnProperty.call(definition.parameters, name)) {
+      errors.push({ field: `parameters.${name}`, message: `Unknown parameter "${name}" for ${command}` });
+    }
+  }
+
+  return { valid: errors.length === 0, errors, parameters: normalized };
+}
+
+// OpenAPI schemas for the command request body, one per catalog entry
+function toOpenApiSchemas() {
+  const schemas = {};
+  const refs = {};
+
+  for (const [name, definition] of Object.entries(COMMANDS)) {
+    const properties = {};
+    const required = [];
+    for (const [paramName, spec] of Object.entries(definition.parameters)) {
+      const { unit, required: isRequired, min, max, ...rest } = spec;
+      properties[paramName] = {
+        ...rest,
+        ...(min !== undefined && { minimum: min }),
+        ...(max !== undefined && { maximum: max }),
+        description: unit ? `${spec.description} (${unit})` : spec.description
+      };
+      if (isRequired) required.push(paramName);
+    }
+
+    const schemaName = `Command_${name}`;
+    schemas[schemaName] = {
+      type: 'object',
+      description: `${definition.description}. Requires capability "${definition.capability}".` +
+        (definition.sensitive ? ' Sensitive: must be confirmed with a confirmationToken.' : ''),
+      required: required.length > 0 ? ['command', 'parameters'] : ['command'],
+      properties: {
+        command: { type: 'string', enum: [name] },
+        parameters: {
+          type: 'object',
+          properties,
+          ...(required.length > 0 && { required }),
+          additionalProperties: false
+        }
+      }
+    };
+    refs[name] = `#/components/schemas/${schemaName}`;
+  }
+
+  schemas.CommandRequest = {
+    oneOf: Object.values(refs).map($ref => ({ $ref })),
+    discriminator: { propertyName: 'command', mapping: refs }
+  };
+
+  return schemas;
+}
+
+module.exports = {
+  CAPABILITIES,
+  COMMANDS,
+  getCommand,
+  isSensitive,
+  validateCommand,
+  toOpenApiSchemas
+};
@@ -0,0 +1,53 @@
+// Geographic helpers shared by the backend services
+
+const EARTH_RADIUS_M = 6371000;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in meters between two { lat, lng } points
+function haversineDistance(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+// Whether a value is a { lat, lng } pair within valid coordinate ranges
+function isValidPoint(point) {
+  return Boolean(point) &&
+    typeof point.lat === 'number' && point.lat >= -90 && point.lat <= 90 &&
+    typeof point.lng === 'number' && point.lng >= -180 && point.lng <= 180;
+}
+
+// Whether a { lat, lng } point is inside a polygon given as its corner
+// points (ray casting). Coordinates are treated as planar, which is accurate
+// enough for zones up to city size.
+function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+      point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// GeoJSON Point of a { lat, lng } pair (longitude first), or null if it is
+// not a valid point
+function toGeoJsonPoint(point) {
+  return isValidPoint(point) ? { type: 'Point', coordinates: [point.lng, point.lat] } : null;
+}
+
+module.exports = {
+  EARTH_RADIUS_M,
+  haversineDistance,
+  isValidPoint,
+  pointInPolygon,
+  toGeoJsonPoint
+};
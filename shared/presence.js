@@ -0,0 +1,32 @@
+// Presence of cars connected to the B2 gateway, kept in Redis (C2) for the
+// other services: car:<plate>:online holds the connection time while the car
+// is connected. B2 refreshes the keys periodically and they expire after
+// PRESENCE_TTL_SECONDS, so the cars of a stopped gateway go offline.
+
+const PRESENCE_TTL_SECONDS = 90;
+
+function presenceKey(licensePlate) {
+  return `car:${licensePlate}:online`;
+}
+
+// Value stored under presenceKey
+function presenceValue(connectedAt) {
+  return JSON.stringify({ connectedAt: new Date(connectedAt).toISOString() });
+}
+
+// { online, connectedAt } of a value read from Redis (null when offline)
+function parsePresence(value) {
+  if (!value) return { online: false, connectedAt: null };
+  try {
+    return { online: true, connectedAt: JSON.parse(value).connectedAt || null };
+  } catch (error) {
+    return { online: true, connectedAt: null };
+  }
+}
+
+module.exports = {
+  PRESENCE_TTL_SECONDS,
+  presenceKey,
+  presenceValue,
+  parsePresence
+};
@@ -0,0 +1,176 @@
+const auth = require('../auth');
+
+describe('Shared Auth Tests', () => {
+  const john = { email: 'john.doe@email.com', name: 'John Doe', phone: '+358-40-123-4567', role: 'owner' };
+  const laura = { email: 'laura.makinen@email.com', name: 'Laura Mäkinen', role: 'renter' };
+  const abc123 = { license_plate: 'ABC-123', owner_email: 'john.doe@email.com' };
+  const xyz789 = { license_plate: 'XYZ-789', owner_email: 'jane.smith@email.com' };
+  const rentedToLaura = { license_plate: 'XYZ-789', is_available: false, current_renter_email: 'Laura.Makinen@email.com' };
+
+  function mockResponse() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  }
+
+  describe('Tokens and passwords', () => {
+    test('tokens carry the user and role', () => {
+      const token = auth.signToken(john, { secret: 'test-secret' });
+
+      expect(auth.verifyToken(token, 'test-secret')).toEqual(john);
+      expect(() => auth.verifyToken(token, 'other-secret')).toThrow();
+    });
+
+    test('the development secret is only used in development and tests', () => {
+      const env = { NODE_ENV: process.env.NODE_ENV, JWT_SECRET: process.env.JWT_SECRET };
+      try {
+        delete process.env.JWT_SECRET;
+        process.env.NODE_ENV = 'production';
+        expect(() => auth.signToken(john)).toThrow(/JWT_SECRET/);
+        expect(() => auth.checkSecret()).toThrow(/JWT_SECRET/);
+
+        process.env.JWT_SECRET = 'change-this-secret-in-production';
+        expect(() => auth.checkSecret()).toThrow(/JWT_SECRET/);
+
+        process.env.JWT_SECRET = 'a-long-random-production-secret';
+        expect(auth.verifyToken(auth.signToken(john))).toEqual(john);
+
+        delete process.env.JWT_SECRET;
+        process.env.NODE_ENV = 'development';
+        expect(auth.verifyToken(auth.signToken(john))).toEqual(john);
+      } finally {
+        for (const [name, value] of Object.entries(env)) {
+          if (value === undefined) delete process.env[name];
+          else process.env[name] = value;
+        }
+      }
+    });
+
+    test('expired tokens are rejected', () => {
+      const token = auth.signToken(john, { secret: 'test-secret', expiresIn: -1 });
+
+      expect(() => auth.verifyToken(token, 'test-secret')).toThrow(/expired/);
+    });
+
+    test('passwords are verified against their scrypt hash', () => {
+      const stored = auth.hashPassword('demo1234');
+
+      expect(stored).toMatch(/^scrypt\$/);
+      expect(auth.verifyPassword('demo1234', stored)).toBe(true);
+      expect(auth.verifyPassword('wrong', stored)).toBe(false);
+      expect(auth.verifyPassword('demo1234', null)).toBe(false);
+    });
+
+    test('malformed stored passwords do not verify', () => {
+      const [, salt, hash] = auth.hashPassword('demo1234').split('$');
+
+      for (const stored of [
+        'scrypt$$',
+        `bcrypt$${salt}$${hash}`,
+        `scrypt$${salt}$${hash}$extra`,
+        `scrypt$${salt}$not-hex`,
+        `scrypt$${salt}$${hash.slice(1)}`,
+        `scrypt$${salt}$${hash.slice(2)}`,
+        `scrypt$${salt.slice(2)}$${hash}`,
+        `scrypt$${salt}$${hash}00`
+      ]) {
+        expect(auth.verifyPassword('demo1234', stored)).toBe(false);
+      }
+      expect(auth.verifyPassword(undefined, `scrypt$${salt}$${hash}`)).toBe(false);
+    });
+  });
+
+  describe('Car access', () => {
+    test('owners can only access their own cars', () => {
+      expect(auth.canAccessCar(john, abc123, null)).toBe(true);
+      expect(auth.canAccessCar(john, xyz789, rentedToLaura)).toBe(false);
+    });
+
+    test('renters can only access the car they currently rent', () => {
+      expect(auth.canAccessCar(laura, xyz789, rentedToLaura)).toBe(true);
+      expect(auth.canAccessCar(laura, xyz789, { ...rentedToLaura, is_available: true })).toBe(false);
+      expect(auth.canAccessCar(laura, abc123, null)).toBe(false);
+    });
+
+    test('staff and admins can access every car', () => {
+      expect(auth.canAccessCar({ email: 'staff@cardemo.com', role: 'staff' }, xyz789, rentedToLaura)).toBe(true);
+      expect(auth.canAccessCar({ email: 'admin@cardemo.com', role: 'admin' }, null, null)).toBe(true);
+    });
+  });
+
+  describe('Middleware', () => {
+    test('authenticate rejects requests without a valid token', () => {
+      const next = jest.fn();
+      const res = mockResponse();
+
+      auth.authenticate({ headers: {} }, res, next);
+      auth.authenticate({ headers: { authorization: 'Bearer not-a-token' } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenLastCalledWith({ error: 'Invalid or expired token' });
+    });
+
+    test('authenticate sets req.user from the token', () => {
+      const req = { headers: { authorization: `Bearer ${auth.signToken(john)}` } };
+      const next = jest.fn();
+
+      auth.authenticate(req, mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual(john);
+    });
+
+    test('authenticate takes the token of event streams from the query', () => {
+      const token = auth.signToken(john);
+      const stream = { headers: { accept: 'text/event-stream' }, query: { access_token: token } };
+      const next = jest.fn();
+      const res = mockResponse();
+
+      auth.authenticate(stream, res, next);
+      auth.authenticate({ headers: {}, query: { access_token: token } }, res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(stream.user).toEqual(john);
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('requireRole only lets the given roles through', () => {
+      const next = jest.fn();
+      const res = mockResponse();
+
+      auth.requireRole('staff', 'admin')({ user: john }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('authorizeCar checks ownership in B4', async () => {
+      const queries = {
+        getCarInfo: jest.fn(async (plate) => (plate === 'ABC-123' ? abc123 : xyz789)),
+        getRentalInfo: jest.fn(async (plate) => (plate === 'XYZ-789' ? rentedToLaura : null))
+      };
+      const middleware = auth.authorizeCar(() => queries);
+
+      const next = jest.fn();
+      await middleware({ user: john, params: { licensePlate: 'ABC-123' } }, mockResponse(), next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      const res = mockResponse();
+      await middleware({ user: john, params: { licensePlate: 'XYZ-789' } }, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('authorizeCar refuses owners while B4 is unavailable', async () => {
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await auth.authorizeCar(() => undefined)({ user: john, params: { licensePlate: 'ABC-123' } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(503);
+    });
+  });
+});
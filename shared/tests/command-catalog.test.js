@@ -0,0 +1,103 @@
+const { COMMANDS, isSensitive, validateCommand, toOpenApiSchemas } = require('../command-catalog');
+
+describe('Shared Command Catalog Tests', () => {
+  describe('validateCommand', () => {
+    test('requires a command', () => {
+      const result = validateCommand(undefined);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([{ field: 'command', message: 'Command is required' }]);
+    });
+
+    test('rejects unknown commands', () => {
+      const result = validateCommand('self_destruct');
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].field).toBe('command');
+      expect(result.errors[0].message).toContain('Unknown command');
+    });
+
+    test('applies parameter defaults', () => {
+      const result = validateCommand('honk_and_flash');
+
+      expect(result.valid).toBe(true);
+      expect(result.parameters).toEqual({ durationSeconds: 5 });
+    });
+
+    test('requires mandatory parameters', () => {
+      const result = validateCommand('set_temperature', {});
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([{ field: 'parameters.targetTemp', message: 'targetTemp is required' }]);
+    });
+
+    test('rejects values outside the allowed range', () => {
+      const result = validateCommand('set_temperature', { targetTemp: 35 });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toBe('targetTemp must be at most 30 °C');
+    });
+
+    test('rejects wrong parameter types and unknown parameters', () => {
+      const result = validateCommand('honk_and_flash', { durationSeconds: 2.5, volume: 11 });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(e => e.field)).toEqual(['parameters.durationSeconds', 'parameters.volume']);
+    });
+
+    test('rejects commands the car does not support', () => {
+      const result = validateCommand('start_engine', {}, ['climate', 'remote_locking']);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toContain('requires remote_start');
+    });
+
+    test('rejects names inherited from Object.prototype as unknown commands', () => {
+      for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+        const result = validateCommand(name, {});
+
+        expect(result.valid).toBe(false);
+        expect(result.errors[0]).toMatchObject({ field: 'command', message: expect.stringContaining('Unknown command') });
+        expect(isSensitive(name)).toBe(false);
+      }
+    });
+
+    test('rejects parameter names inherited from Object.prototype', () => {
+      // JSON bodies can carry "__proto__" as an own key
+      const parameters = JSON.parse('{"constructor": 1, "toString": 1, "__proto__": 1}');
+      const result = validateCommand('lock_doors', parameters);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(error => error.field)).toEqual([
+        'parameters.constructor',
+        'parameters.toString',
+        'parameters.__proto__'
+      ]);
+    });
+
+    test('flags the commands that need confirmation', () => {
+      expect(isSensitive('unlock_doors')).toBe(true);
+      expect(isSensitive('start_engine')).toBe(true);
+      expect(isSensitive('lock_doors')).toBe(false);
+    });
+
+    test('accepts valid commands with parameters', () => {
+      const result = validateCommand('set_temperature', { targetTemp: 21.5 }, ['climate']);
+
+      expect(result).toEqual({ valid: true, errors: [], parameters: { targetTemp: 21.5 } });
+    });
+  });
+
+  describe('toOpenApiSchemas', () => {
+    test('generates one schema per command and a discriminated request schema', () => {
+      const schemas = toOpenApiSchemas();
+
+      for (const name of Object.keys(COMMANDS)) {
+        expect(schemas[`Command_${name}`].properties.command.enum).toEqual([name]);
+      }
+      expect(schemas.CommandRequest.oneOf).toHaveLength(Object.keys(COMMANDS).length);
+      expect(schemas.CommandRequest.discriminator.propertyName).toBe('command');
+      expect(schemas.Command_set_temperature.properties.parameters.required).toEqual(['targetTemp']);
+    });
+  });
+});